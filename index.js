@@ -5,29 +5,176 @@
  * 主入口点 - 监听所有请求并路由到处理器
  */
 addEventListener('fetch', event => {
-  event.respondWith(handleRequest(event.request));
+  event.respondWith(handleRequest(event.request, event));
+});
+
+/**
+ * 定时触发器入口点 - 按wrangler.toml中[triggers]配置的频率执行计划任务
+ */
+addEventListener('scheduled', event => {
+  event.waitUntil(handleScheduled(event));
 });
 
 /**
  * 环境变量说明:
  * - ADMIN_USERNAME: 管理员登录用户名
  * - ADMIN_PASSWORD: 管理员登录密码
- * - RENDER_ACCOUNTS: 账户配置的JSON字符串
- * - SESSION_SECRET: 会话签名密钥
+ * - RENDER_ACCOUNTS: 账户配置的JSON字符串（可选，首次读取时导入KV，之后在面板中管理）
+ * - SESSION_SECRET: 会话签名密钥，同时用于派生API密钥的加密密钥
  * - KV_NAMESPACE: 用于会话存储的KV命名空间
+ * - CACHE_TTL_SERVICES / CACHE_TTL_ENV_VARS / CACHE_TTL_EVENTS: 可选，Render API结果的缓存秒数（部署记录使用CACHE_TTL_EVENTS），0表示不缓存
  */
 
+/**
+ * 角色及其权限
+ * - viewer: 查看服务和事件日志
+ * - deployer: 额外允许触发、回滚和取消部署、运行定时任务、暂停/恢复/重启服务以及设置休眠计划和保活
+ * - env-editor: 额外允许查看和修改环境变量
+ * - admin: 全部权限，包括用户和Render账户管理
+ */
+const ROLE_PERMISSIONS = {
+  'viewer': ['services:read', 'events:read'],
+  'deployer': ['services:read', 'events:read', 'deploy'],
+  'env-editor': ['services:read', 'events:read', 'deploy', 'env:read', 'env:write'],
+  'admin': ['*']
+};
+
+// 邀请链接有效期（秒）
+const INVITE_TTL = 7 * 24 * 60 * 60;
+
+// PBKDF2迭代次数（Workers运行时上限为100000）
+const PASSWORD_HASH_ITERATIONS = 100000;
+
+// TOTP参数（RFC 6238默认值，兼容主流验证器应用）
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = 'Render Manager';
+
+// 双因素登录验证的有效期（秒）和最大尝试次数
+const LOGIN_CHALLENGE_TTL = 5 * 60;
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+
+// 登录失败限制：同一用户名或同一IP连续失败达到阈值后临时锁定，之后每次失败锁定时长翻倍（秒）
+const LOGIN_MAX_FAILURES_PER_USER = 5;
+const LOGIN_MAX_FAILURES_PER_IP = 20;
+const LOGIN_LOCKOUT_BASE = 60;
+const LOGIN_LOCKOUT_MAX = 60 * 60;
+
+// 登录失败计数的保留时间（秒），期间没有新的失败则计数清零
+const LOGIN_FAILURE_WINDOW = 24 * 60 * 60;
+
+// 会话空闲超时（秒），每次访问都会顺延；超过绝对有效期后必须重新登录
+const SESSION_IDLE_TIMEOUT = 24 * 60 * 60;
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60;
+
+// 会话最近访问时间的写入间隔（秒），避免每个请求都写入KV
+const SESSION_TOUCH_INTERVAL = 5 * 60;
+
+// 启用双因素认证时生成的恢复码数量
+const RECOVERY_CODE_COUNT = 10;
+
+// 审计日志保留天数
+const AUDIT_RETENTION_DAYS = 180;
+
+// KV元数据的大小上限（字节），超过时审计记录的元数据只保留用于筛选的字段
+const KV_METADATA_LIMIT = 1024;
+
+// 本面板发起的服务事件（如重启）保留天数，这些事件会合并到事件日志中显示
+const PANEL_EVENT_RETENTION_DAYS = 30;
+
+// 休眠计划执行记录的保留天数，以及暂停/恢复连续失败多少次后放弃本次切换
+const SCHEDULE_LOG_RETENTION_DAYS = 30;
+const SCHEDULE_MAX_FAILURES = 3;
+
+// 保活请求可选的间隔（分钟）、单次请求超时毫秒数，以及保留的最近结果条数
+// 定时触发器每5分钟运行一次，间隔须为5的倍数且小于Render免费实例闲置休眠的15分钟，否则实际间隔会被推迟到下一次触发
+const KEEPALIVE_INTERVALS = [5, 10];
+const KEEPALIVE_TIMEOUT = 30 * 1000;
+const KEEPALIVE_HISTORY_SIZE = 10;
+
+// API令牌可授予的权限（不含用户管理等管理类权限）及最长有效期（天）
+const TOKEN_SCOPES = ['services:read', 'events:read', 'deploy', 'env:read', 'env:write'];
+const TOKEN_MAX_DAYS = 365;
+
+// Render列表接口的单页最大条数，以及服务端自动翻页的页数上限
+const RENDER_PAGE_LIMIT = 100;
+const RENDER_MAX_PAGES = 20;
+
+// 调用Render API失败时的最大重试次数、指数退避的初始等待毫秒数，以及单次等待的上限（超过上限的限流不再重试）
+const RENDER_MAX_RETRIES = 3;
+const RENDER_RETRY_BASE_DELAY = 500;
+const RENDER_MAX_RETRY_DELAY = 10 * 1000;
+
+// 可安全重试的HTTP方法；POST只在被限流（请求未被处理）时重试
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// 可通过 /api/services/{accountId}/{serviceId}/{action} 执行的服务操作（需要deploy权限）
+const SERVICE_ACTIONS = {
+  run: { perform: triggerCronJobRun, audit: 'cron.run', description: '运行定时任务' },
+  suspend: { perform: suspendService, audit: 'service.suspend', description: '暂停服务' },
+  resume: { perform: resumeService, audit: 'service.resume', description: '恢复服务' },
+  restart: { perform: restartService, audit: 'service.restart', description: '重启服务', panelEvent: 'restart' }
+};
+
+// 可通过 /api/deploys/{accountId}/{serviceId}/{deployId}/{action} 对单次部署执行的操作（需要deploy权限）
+const DEPLOY_ACTIONS = {
+  rollback: { perform: rollbackToDeploy, audit: 'deploy.rollback', description: '回滚部署' },
+  cancel: { perform: cancelDeploy, audit: 'deploy.cancel', description: '取消部署', panelEvent: 'deploy_cancel' }
+};
+
+// 事件日志默认每页条数
+const EVENTS_PAGE_SIZE = 20;
+
+// 部署记录默认每页条数，以及Render部署的全部状态（用于校验筛选参数）
+const DEPLOYS_PAGE_SIZE = 20;
+const DEPLOY_STATUSES = [
+  'created', 'queued', 'build_in_progress', 'update_in_progress', 'pre_deploy_in_progress', 'live', 'deactivated',
+  'build_failed', 'update_failed', 'pre_deploy_failed', 'canceled'
+];
+
+// Render API结果的默认缓存秒数（可通过环境变量覆盖），以及过期后仍可先返回旧数据的时长
+const DEFAULT_CACHE_TTLS = { services: 60, envVars: 300, events: 30 };
+const CACHE_STALE_WINDOW = 60 * 60;
+
+// 镜像标签和摘要的格式（与Docker镜像引用的语法一致）
+const IMAGE_TAG_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/;
+const IMAGE_DIGEST_PATTERN = /^sha256:[0-9a-f]{64}$/;
+
+// Render账户在KV中的存储键
+const ACCOUNTS_KEY = 'accounts';
+
+// 不修改数据的HTTP方法，无需CSRF校验
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
 /**
  * 主请求处理器
  * @param {Request} request - 传入的请求
+ * @param {FetchEvent} event - 请求事件，用于在响应返回后继续执行后台任务
  * @returns {Promise<Response>} - 响应
  */
-async function handleRequest(request) {
+async function handleRequest(request, event) {
   const url = new URL(request.url);
   const path = url.pathname;
   
   console.log(`处理请求: ${request.method} ${path}`);
   
+  // 修改数据的请求必须来自本站页面
+  if (!SAFE_METHODS.includes(request.method)) {
+    if (!isSameOriginRequest(request, url)) {
+      console.log(`拒绝跨站请求: ${request.method} ${path}`);
+      return new Response('Forbidden', { status: 403 });
+    }
+    
+    if (path.startsWith('/api/') && !await verifyCsrfToken(request)) {
+      return jsonResponse({ error: 'CSRF令牌无效，请刷新页面后重试' }, 403);
+    }
+  }
+  
+  // 路径编码无效（如 /api/services/%E0/x）时视为不存在，与服务详情页一致，避免处理函数解码时出错返回500
+  if (path.startsWith('/api/') && !isValidPathEncoding(path)) {
+    return jsonResponse({ error: 'Not Found' }, 404);
+  }
+  
   // 路由处理 - 先检查精确匹配，然后是模式匹配
   if (path === '/login' && request.method === 'POST') {
     return handleLogin(request);
@@ -35,21 +182,89 @@ async function handleRequest(request) {
     return renderLoginPage();
   } else if (path === '/logout') {
     return handleLogout(request);
+  } else if (path === '/invite' && request.method === 'GET') {
+    return handleInvitePage(request);
+  } else if (path === '/invite' && request.method === 'POST') {
+    return handleAcceptInvite(request);
+  } else if (path === '/api/sessions' && request.method === 'GET') {
+    return handleGetSessions(request);
+  } else if (path === '/api/sessions/revoke-others' && request.method === 'POST') {
+    return handleRevokeOtherSessions(request);
+  } else if (path.startsWith('/api/sessions/') && request.method === 'DELETE') {
+    return handleRevokeSession(request);
+  } else if (path === '/api/login-lockouts' && request.method === 'GET') {
+    return handleGetLoginLockouts(request);
+  } else if (path.startsWith('/api/login-lockouts/') && request.method === 'DELETE') {
+    return handleUnlockLogin(request);
+  } else if (path === '/api/users' && request.method === 'GET') {
+    return handleGetUsers(request);
+  } else if (path === '/api/users' && request.method === 'POST') {
+    return handleInviteUser(request);
+  } else if (path.startsWith('/api/users/') && request.method === 'PUT') {
+    return handleUpdateUser(request);
+  } else if (path === '/api/totp' && request.method === 'GET') {
+    return handleGetTotpStatus(request);
+  } else if (path === '/api/totp/setup' && request.method === 'POST') {
+    return handleSetupTotp(request);
+  } else if (path === '/api/totp/enable' && request.method === 'POST') {
+    return handleEnableTotp(request);
+  } else if (path === '/api/totp/disable' && request.method === 'POST') {
+    return handleDisableTotp(request);
+  } else if (path === '/api/tokens' && request.method === 'GET') {
+    return handleGetApiTokens(request);
+  } else if (path === '/api/tokens' && request.method === 'POST') {
+    return handleCreateApiToken(request);
+  } else if (path.startsWith('/api/tokens/') && request.method === 'DELETE') {
+    return handleRevokeApiToken(request);
+  } else if (path === '/api/audit' && request.method === 'GET') {
+    return handleGetAuditLog(request);
+  } else if (path === '/api/accounts' && request.method === 'GET') {
+    return handleGetAccounts(request);
+  } else if (path === '/api/accounts' && request.method === 'POST') {
+    return handleCreateAccount(request);
+  } else if (path.startsWith('/api/accounts/') && request.method === 'PUT') {
+    return handleUpdateAccount(request);
+  } else if (path.startsWith('/api/accounts/') && request.method === 'DELETE') {
+    return handleDeleteAccount(request);
   } else if (path === '/api/services' && request.method === 'GET') {
-    return handleGetServices(request);
+    return handleGetServices(request, event);
   } else if (path === '/api/deploy' && request.method === 'POST') {
     return handleDeploy(request);
+  } else if (path.startsWith('/api/services/') && request.method === 'GET') {
+    return handleGetServiceDetail(request, event);
+  } else if (path.startsWith('/api/services/') && request.method === 'POST') {
+    return handleServiceAction(request);
+  } else if (path === '/api/schedules' && request.method === 'GET') {
+    return handleGetSchedules(request);
+  } else if (path.startsWith('/api/schedules/') && request.method === 'GET') {
+    return handleGetSchedule(request);
+  } else if (path.startsWith('/api/schedules/') && request.method === 'PUT') {
+    return handleSaveSchedule(request);
+  } else if (path.startsWith('/api/schedules/') && request.method === 'DELETE') {
+    return handleDeleteSchedule(request);
+  } else if (path === '/api/keepalive' && request.method === 'GET') {
+    return handleGetKeepAlives(request);
+  } else if (path.startsWith('/api/keepalive/') && request.method === 'PUT') {
+    return handleSaveKeepAlive(request, event);
+  } else if (path.startsWith('/api/keepalive/') && request.method === 'DELETE') {
+    return handleDeleteKeepAlive(request);
   } else if (path.startsWith('/api/events/') && request.method === 'GET') {
-    return handleGetEvents(request);
+    return handleGetEvents(request, event);
+  } else if (path.startsWith('/api/deploys/') && request.method === 'GET') {
+    // /api/deploys/{accountId}/{serviceId} 为部署记录列表，/api/deploys/{accountId}/{serviceId}/{deployId} 为单次部署
+    return path.split('/').length === 6 ? handleGetDeploy(request) : handleGetDeploys(request, event);
+  } else if (path.startsWith('/api/deploys/') && request.method === 'POST') {
+    return handleDeployAction(request);
   } else if (path.startsWith('/api/env-vars/') && request.method === 'GET') {
-    return handleGetEnvVars(request);
+    return handleGetEnvVars(request, event);
   } else if (path.startsWith('/api/env-vars/') && request.method === 'PUT') {
     // 检查是更新所有环境变量还是单个环境变量
+    // split结果以空字符串开头：['', 'api', 'env-vars', accountId, serviceId, envVarKey]
     const pathParts = path.split('/');
-    if (pathParts.length === 4) {
-      // /api/env-vars/{serviceId} - 更新所有环境变量
+    if (pathParts.length === 5) {
+      // /api/env-vars/{accountId}/{serviceId} - 更新所有环境变量
       return handleUpdateAllEnvVars(request);
-    } else if (pathParts.length >= 5) {
+    } else if (pathParts.length >= 6) {
       // /api/env-vars/{accountId}/{serviceId}/{envVarKey} - 更新单个环境变量
       return handleUpdateSingleEnvVar(request);
     }
@@ -57,6 +272,8 @@ async function handleRequest(request) {
     return handleDeleteEnvVar(request);
   } else if (path === '/') {
     return handleMainPage(request);
+  } else if (path.startsWith('/services/') && request.method === 'GET') {
+    return handleServiceDetailPage(request);
   } else {
     // 静态资源或404
     console.log(`未找到路由: ${request.method} ${path}`);
@@ -67,9 +284,10 @@ async function handleRequest(request) {
 /**
  * 处理获取事件日志请求
  * @param {Request} request - 事件请求
+ * @param {FetchEvent} event - 请求事件，用于后台刷新缓存
  * @returns {Promise<Response>} - 事件响应
  */
-async function handleGetEvents(request) {
+async function handleGetEvents(request, event) {
   console.log('调用handleGetEvents');
   
   // 验证会话
@@ -82,77 +300,339 @@ async function handleGetEvents(request) {
     });
   }
   
+  // 检查角色权限
+  if (!hasPermission(session, 'events:read')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
   try {
     const url = new URL(request.url);
     const pathParts = url.pathname.split('/');
     console.log('路径部分:', pathParts);
     
-    const accountNameOrId = pathParts[3];
+    const accountId = decodeURIComponent(pathParts[3]);
     const serviceId = pathParts[4];
     
-    console.log(`提取的accountNameOrId: ${accountNameOrId}, serviceId: ${serviceId}`);
-    
-    // 通过ID或名称查找账户（不区分大小写）
-    const accounts = JSON.parse(RENDER_ACCOUNTS);
-    const account = accounts.find(acc => 
-      acc.id === accountNameOrId || 
-      acc.name.toLowerCase() === accountNameOrId.toLowerCase()
-    );
+    console.log(`提取的accountId: ${accountId}, serviceId: ${serviceId}`);
     
-    if (!account) {
-      console.log(`找不到账户: ${accountNameOrId}`);
-      return new Response(JSON.stringify({ error: '找不到账户' }), { 
-        status: 404, 
-        headers: { 'Content-Type': 'application/json' } 
-      });
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
     }
     
     console.log(`找到账户: ${account.name} (ID: ${account.id})`);
     
+    // 分页参数：每条事件都带有cursor，传入上一页最后一条的cursor即可获取下一页
+    // before为上一页最后一条事件的时间（毫秒），用于确定本页应合并哪些面板事件
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || EVENTS_PAGE_SIZE, 1), RENDER_PAGE_LIMIT);
+    const cursor = url.searchParams.get('cursor') || undefined;
+    const before = Number(url.searchParams.get('before')) || undefined;
+    
+    // 可选的时间范围（ISO 8601），用于查看某次部署期间的事件
+    const startTime = url.searchParams.get('startTime') || undefined;
+    const endTime = url.searchParams.get('endTime') || undefined;
+    if ([startTime, endTime].some(time => time && Number.isNaN(Date.parse(time)))) {
+      return jsonResponse({ error: '时间范围格式无效' }, 400);
+    }
+    
     // 获取事件日志
-    const events = await getEventsForService(account, serviceId);
+    const events = await cachedFetch(
+      `cache:${account.id}:events:${serviceId}:${limit}:${cursor || ''}:${startTime || ''}:${endTime || ''}`,
+      getCacheTtl('events'),
+      () => getEventsForService(account, serviceId, { limit, cursor, startTime, endTime }),
+      { refresh: url.searchParams.has('refresh'), event }
+    );
     console.log(`获取了 ${events.length} 条事件日志`);
     
-    return new Response(JSON.stringify(events), { 
+    // 合并本面板发起的事件：首页包含最新的事件，之后每页包含上一页最后一条到本页最后一条之间的事件
+    let newest = Infinity;
+    if (cursor) {
+      newest = before || (events.length > 0 ? Date.parse(events[0].event.timestamp) : 0);
+    }
+    let oldest = events.length === limit ? Date.parse(events[events.length - 1].event.timestamp) : 0;
+    if (startTime) {
+      oldest = Math.max(oldest, Date.parse(startTime));
+    }
+    if (endTime) {
+      newest = Math.min(newest, Date.parse(endTime));
+    }
+    const panelEvents = await getPanelEvents(account.id, serviceId, oldest, newest);
+    const merged = [...events, ...panelEvents].sort((a, b) => Date.parse(b.event.timestamp) - Date.parse(a.event.timestamp));
+    
+    return new Response(JSON.stringify(merged), { 
       status: 200, 
       headers: { 'Content-Type': 'application/json' } 
     });
   } catch (error) {
     console.error('获取事件日志出错:', error);
-    return new Response(JSON.stringify({ error: '获取事件日志失败' }), { 
-      status: 500, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    return renderErrorResponse(error, '获取事件日志失败');
   }
 }
 
 /**
- * 获取服务的事件日志
+ * 获取服务的一页事件日志
  * @param {Object} account - 账户配置
  * @param {string} serviceId - 服务ID
+ * @param {Object} options - 分页参数
+ * @param {number} options.limit - 每页条数
+ * @param {string} [options.cursor] - 上一页最后一条事件的cursor
+ * @param {string} [options.startTime] - 只返回此时间之后的事件（ISO 8601）
+ * @param {string} [options.endTime] - 只返回此时间之前的事件（ISO 8601）
  * @returns {Promise<Array>} - 事件列表
  */
-async function getEventsForService(account, serviceId) {
+async function getEventsForService(account, serviceId, { limit = EVENTS_PAGE_SIZE, cursor, startTime, endTime } = {}) {
   console.log(`获取服务的事件日志: ${serviceId}`);
   
-  const response = await fetch(`https://api.render.com/v1/services/${serviceId}/events?limit=5`, {
-    headers: {
-      'accept': 'application/json',
-      'authorization': `Bearer ${account.apiKey}`
-    }
-  });
-  
-  if (!response.ok) {
-    console.error(`获取事件日志失败: ${response.status} ${response.statusText}`);
-    throw new Error(`获取事件日志失败: ${response.statusText}`);
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+  if (startTime) {
+    params.set('startTime', startTime);
+  }
+  if (endTime) {
+    params.set('endTime', endTime);
   }
   
-  const data = await response.json();
+  const data = await renderApi(account, `/services/${serviceId}/events?${params}`, { description: '获取事件日志' });
   console.log('事件日志响应:', data);
   
   return data;
 }
 
+/**
+ * 记录一条由本面板发起的服务事件，事件日志中会与Render的事件合并显示
+ * 键按时间倒序排列，事件同时写入元数据，以便列表时无需逐条读取；写入失败只记录日志，不影响已完成的操作
+ * @param {string} accountId - 账户ID
+ * @param {string} serviceId - 服务ID
+ * @param {string} type - 事件类型，如restart
+ * @param {Object} session - 发起操作的会话
+ * @param {Object} [details] - 附加的事件详情，如deployId
+ * @returns {Promise<void>}
+ */
+async function recordPanelEvent(accountId, serviceId, type, session, details = {}) {
+  const timestamp = Date.now();
+  const event = {
+    id: `panel-${generateSessionId().slice(0, 12)}`,
+    serviceId: serviceId,
+    type: type,
+    timestamp: new Date(timestamp).toISOString(),
+    source: 'panel',
+    details: { ...details, user: session.username }
+  };
+  
+  try {
+    const reverseTime = String(9999999999999 - timestamp).padStart(13, '0');
+    await RENDER_KV.put(`panel-event:${accountId}:${serviceId}:${reverseTime}:${event.id}`, JSON.stringify(event), {
+      metadata: event,
+      expirationTtl: PANEL_EVENT_RETENTION_DAYS * 24 * 60 * 60
+    });
+  } catch (error) {
+    console.error('写入面板事件出错:', error, event);
+  }
+}
+
+/**
+ * 获取时间范围内由本面板发起的服务事件（新的在前），格式与Render事件日志一致，但没有cursor
+ * @param {string} accountId - 账户ID
+ * @param {string} serviceId - 服务ID
+ * @param {number} oldest - 起始时间（毫秒，含）
+ * @param {number} newest - 结束时间（毫秒，不含）
+ * @returns {Promise<Array>} - 事件列表
+ */
+async function getPanelEvents(accountId, serviceId, oldest, newest) {
+  const events = [];
+  let cursor;
+  
+  do {
+    const result = await RENDER_KV.list({ prefix: `panel-event:${accountId}:${serviceId}:`, cursor: cursor });
+    for (const key of result.keys) {
+      const time = Date.parse(key.metadata.timestamp);
+      if (time < oldest) {
+        return events;
+      }
+      if (time < newest) {
+        events.push({ event: key.metadata });
+      }
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+  
+  return events;
+}
+
+/**
+ * 处理获取部署记录的请求
+ * GET /api/deploys/{accountId}/{serviceId}?limit=&cursor=&status=live,build_failed
+ * @param {Request} request - 请求
+ * @param {FetchEvent} event - 请求事件，用于在后台刷新缓存
+ * @returns {Promise<Response>} - 一页部署记录，每条带有用于翻页的cursor
+ */
+async function handleGetDeploys(request, event) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'events:read')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const url = new URL(request.url);
+    const pathParts = url.pathname.split('/');
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
+    
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || DEPLOYS_PAGE_SIZE, 1), RENDER_PAGE_LIMIT);
+    const cursor = url.searchParams.get('cursor') || undefined;
+    const statuses = (url.searchParams.get('status') || '').split(',').filter(Boolean).sort();
+    
+    const invalidStatus = statuses.find(status => !DEPLOY_STATUSES.includes(status));
+    if (invalidStatus) {
+      return jsonResponse({ error: `未知的部署状态: ${invalidStatus}` }, 400);
+    }
+    
+    const deploys = await cachedFetch(
+      `cache:${account.id}:deploys:${serviceId}:${limit}:${statuses.join(',')}:${cursor || ''}`,
+      getCacheTtl('events'),
+      () => getDeploysForService(account, serviceId, { limit, cursor, statuses }),
+      { refresh: url.searchParams.has('refresh'), event }
+    );
+    
+    return jsonResponse(deploys);
+  } catch (error) {
+    console.error('获取部署记录出错:', error);
+    return renderErrorResponse(error, '获取部署记录失败');
+  }
+}
+
+/**
+ * 处理获取单次部署的请求，用于跟踪部署进度，因此不使用缓存
+ * GET /api/deploys/{accountId}/{serviceId}/{deployId}
+ * @param {Request} request - 请求
+ * @returns {Promise<Response>} - 部署的当前状态
+ */
+async function handleGetDeploy(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'events:read')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const pathParts = new URL(request.url).pathname.split('/');
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
+    const deployId = pathParts[5];
+    if (!deployId) {
+      return jsonResponse({ error: 'Not Found' }, 404);
+    }
+    
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    
+    const deploy = await renderApi(account, `/services/${serviceId}/deploys/${deployId}`, { description: '获取部署状态' });
+    return jsonResponse(deploy);
+  } catch (error) {
+    console.error('获取部署状态出错:', error);
+    return renderErrorResponse(error, '获取部署状态失败');
+  }
+}
+
+/**
+ * 处理对单次部署的操作请求
+ * 路径: /api/deploys/{accountId}/{serviceId}/{deployId}/{action}，action见DEPLOY_ACTIONS；部署状态不允许该操作时返回Render的错误
+ * @param {Request} request - 操作请求
+ * @returns {Promise<Response>} - Render返回的结果
+ */
+async function handleDeployAction(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'deploy')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  const pathParts = new URL(request.url).pathname.split('/');
+  const action = DEPLOY_ACTIONS[pathParts[6]];
+  if (pathParts.length !== 7 || !action || !pathParts[5]) {
+    return jsonResponse({ error: '不支持的部署操作' }, 404);
+  }
+  
+  try {
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
+    const deployId = pathParts[5];
+    
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    
+    const result = await action.perform(account, serviceId, deployId);
+    if (action.panelEvent) {
+      await recordPanelEvent(account.id, serviceId, action.panelEvent, session, { deployId: deployId });
+    }
+    await invalidateServiceCache(account.id, serviceId);
+    
+    await recordAudit(request, session, {
+      action: action.audit,
+      accountId: account.id,
+      serviceId: serviceId,
+      deployId: deployId,
+      ...(result && result.id && result.id !== deployId ? { resultId: result.id } : {})
+    });
+    
+    return jsonResponse(result || {});
+  } catch (error) {
+    console.error(`${action.description}出错:`, error);
+    return renderErrorResponse(error, `${action.description}失败`);
+  }
+}
+
+/**
+ * 获取服务的一页部署记录（按创建时间倒序）
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @param {Object} options - 分页和筛选参数
+ * @param {number} options.limit - 每页条数
+ * @param {string} [options.cursor] - 上一页最后一条部署的cursor
+ * @param {Array<string>} [options.statuses] - 只返回这些状态的部署
+ * @returns {Promise<Array>} - 部署列表，每项为 { deploy, cursor }
+ */
+async function getDeploysForService(account, serviceId, { limit = DEPLOYS_PAGE_SIZE, cursor, statuses = [] } = {}) {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+  statuses.forEach(status => params.append('status', status));
+  
+  return renderApi(account, `/services/${serviceId}/deploys?${params}`, { description: '获取部署记录' });
+}
+
 /**
  * 处理用户登录
  * @param {Request} request - 登录请求
@@ -161,30 +641,42 @@ async function getEventsForService(account, serviceId) {
 async function handleLogin(request) {
   try {
     const formData = await request.formData();
+    
+    const ip = request.headers.get('CF-Connecting-IP') || '';
+    
+    // 双因素认证的第二步
+    if (formData.get('challenge')) {
+      return handleLoginChallenge(request, formData);
+    }
+    
     const username = formData.get('username');
     const password = formData.get('password');
     
+    // 锁定期间不再校验密码
+    const lockedFor = await getLoginLockout(ip, username);
+    if (lockedFor > 0) {
+      return renderLoginPage(formatLockoutMessage(lockedFor));
+    }
+    
     // 验证凭据
-    if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-      // 创建会话
-      const sessionId = generateSessionId();
-      const sessionData = {
-        username: username,
-        createdAt: Date.now(),
-        expiresAt: Date.now() + (24 * 60 * 60 * 1000) // 24小时
-      };
-      
-      // 将会话存储到KV
-      await RENDER_KV.put(`session:${sessionId}`, JSON.stringify(sessionData));
-      
-      // 设置会话cookie
-      const headers = new Headers();
-      headers.set('Set-Cookie', `session=${sessionId}; Path=/; HttpOnly; SameSite=Strict; Max-Age=86400`);
-      headers.set('Location', '/');
+    const user = await getUser(username);
+    if (user && !user.disabled && user.status !== 'invited' && await verifyUserPassword(user, password)) {
+      // 已启用双因素认证时，先验证动态码再创建会话
+      if (user.totpEnabled) {
+        const challengeId = generateSessionId();
+        await RENDER_KV.put(`login-challenge:${challengeId}`, JSON.stringify({
+          username: user.username,
+          attempts: 0
+        }), { expirationTtl: LOGIN_CHALLENGE_TTL });
+        
+        return renderTotpPage(challengeId);
+      }
       
-      return new Response(null, { status: 302, headers });
+      await clearLoginFailures(username);
+      return createLoginSession(user, request);
     } else {
-      return renderLoginPage('用户名或密码无效');
+      const lockSeconds = await recordLoginFailure(ip, username);
+      return renderLoginPage(lockSeconds > 0 ? formatLockoutMessage(lockSeconds) : '用户名或密码无效');
     }
   } catch (error) {
     console.error('登录错误:', error);
@@ -192,6 +684,97 @@ async function handleLogin(request) {
   }
 }
 
+/**
+ * 处理登录的双因素认证步骤
+ * 动态码错误同样计入登录失败次数
+ * @param {Request} request - 登录请求
+ * @param {FormData} formData - 包含challenge和code的表单
+ * @returns {Promise<Response>} - 登录响应
+ */
+async function handleLoginChallenge(request, formData) {
+  const ip = request.headers.get('CF-Connecting-IP') || '';
+  const challengeId = formData.get('challenge');
+  const code = formData.get('code') || '';
+  
+  const challengeData = await RENDER_KV.get(`login-challenge:${challengeId}`);
+  if (!challengeData) {
+    return renderLoginPage('验证已过期，请重新登录');
+  }
+  
+  const challenge = JSON.parse(challengeData);
+  const user = await getUser(challenge.username);
+  if (!user || user.disabled || !user.totpEnabled) {
+    await RENDER_KV.delete(`login-challenge:${challengeId}`);
+    return renderLoginPage('验证已过期，请重新登录');
+  }
+  
+  const lockedFor = await getLoginLockout(ip, user.username);
+  if (lockedFor > 0) {
+    await RENDER_KV.delete(`login-challenge:${challengeId}`);
+    return renderLoginPage(formatLockoutMessage(lockedFor));
+  }
+  
+  if (!await verifySecondFactor(user, code)) {
+    const lockSeconds = await recordLoginFailure(ip, user.username);
+    if (lockSeconds > 0) {
+      await RENDER_KV.delete(`login-challenge:${challengeId}`);
+      return renderLoginPage(formatLockoutMessage(lockSeconds));
+    }
+    
+    challenge.attempts += 1;
+    if (challenge.attempts >= LOGIN_CHALLENGE_MAX_ATTEMPTS) {
+      await RENDER_KV.delete(`login-challenge:${challengeId}`);
+      return renderLoginPage('验证码错误次数过多，请重新登录');
+    }
+    
+    await RENDER_KV.put(`login-challenge:${challengeId}`, JSON.stringify(challenge), { expirationTtl: LOGIN_CHALLENGE_TTL });
+    return renderTotpPage(challengeId, '验证码无效');
+  }
+  
+  await RENDER_KV.delete(`login-challenge:${challengeId}`);
+  await clearLoginFailures(user.username);
+  return createLoginSession(user, request);
+}
+
+/**
+ * 为已通过认证的用户创建会话并重定向到主页
+ * @param {Object} user - 用户数据
+ * @param {Request} request - 登录请求，用于记录设备和IP
+ * @returns {Promise<Response>} - 带会话cookie的重定向响应
+ */
+async function createLoginSession(user, request) {
+  // 记录最近登录时间
+  if (!user.builtin) {
+    user.lastLoginAt = Date.now();
+    await saveUser(user);
+  }
+  
+  // 创建会话，id用于在会话列表中标识会话，不能用来登录
+  const now = Date.now();
+  const sessionId = generateSessionId();
+  const sessionData = {
+    id: generateSessionId().slice(0, 16),
+    username: user.username,
+    role: user.role,
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: now + SESSION_IDLE_TIMEOUT * 1000,
+    csrfToken: generateSessionId(),
+    userAgent: (request.headers.get('User-Agent') || '').slice(0, 256),
+    ip: request.headers.get('CF-Connecting-IP') || ''
+  };
+  
+  // 将会话存储到KV
+  await saveSession(sessionId, sessionData);
+  
+  // 设置会话cookie，有效期由服务端的空闲超时控制
+  const headers = new Headers();
+  headers.set('Set-Cookie', `session=${sessionId}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_MAX_AGE}`);
+  headers.set('Location', '/');
+  
+  return new Response(null, { status: 302, headers });
+}
+
 /**
  * 处理用户登出
  * @param {Request} request - 登出请求
@@ -216,10 +799,12 @@ async function handleLogout(request) {
 
 /**
  * 处理获取服务请求
- * @param {Request} request - 服务请求
- * @returns {Promise<Response>} - 服务响应
+ * 各账户并发获取，单个账户失败时只返回其他账户的服务
+ * @param {Request} request - 服务请求，带refresh参数时跳过缓存，带withErrors参数时一并返回失败账户的错误列表和服务列表不完整的账户
+ * @param {FetchEvent} event - 请求事件，用于后台刷新缓存
+ * @returns {Promise<Response>} - 服务数组；带withErrors参数时格式为 { services, errors, truncated }
  */
-async function handleGetServices(request) {
+async function handleGetServices(request, event) {
   // 验证会话
   const session = await verifySession(request);
   if (!session) {
@@ -229,23 +814,58 @@ async function handleGetServices(request) {
     });
   }
   
+  // 检查角色权限
+  if (!hasPermission(session, 'services:read')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
   try {
-    // 从环境解析Render账户
-    const accounts = JSON.parse(RENDER_ACCOUNTS);
+    const searchParams = new URL(request.url).searchParams;
+    const refresh = searchParams.has('refresh');
+    
+    // 读取Render账户
+    const accounts = (await getAccounts()).filter(acc => canAccessAccount(session, acc.id));
     const allServices = [];
+    const errors = [];
+    const truncated = [];
     
-    // 获取每个账户的服务
-    for (const account of accounts) {
-      const services = await getServicesForAccount(account);
+    // 并发获取每个账户的服务（仅限当前用户可访问的账户），单个账户失败不影响其他账户
+    const results = await Promise.allSettled(accounts.map(account => getCachedServices(account, { refresh, event })));
+    
+    results.forEach((result, index) => {
+      const account = accounts[index];
+      
+      if (result.status === 'rejected') {
+        console.error(`获取账户 ${account.id} 的服务出错:`, result.reason);
+        errors.push({
+          accountId: account.id,
+          accountName: account.name,
+          type: classifyRenderError(result.reason),
+          message: result.reason.message
+        });
+        return;
+      }
+      
+      // 服务超过分页上限时只获取了一部分
+      if (result.value.truncated) {
+        truncated.push({
+          accountId: account.id,
+          accountName: account.name,
+          count: result.value.services.length
+        });
+      }
+      
       // 为每个服务添加账户信息
-      services.forEach(service => {
+      result.value.services.filter(service => canAccessService(session, account.id, service.id)).forEach(service => {
         service.accountName = account.name;
         service.accountId = account.id;
         allServices.push(service);
       });
-    }
+    });
     
-    return new Response(JSON.stringify(allServices), { 
+    // 默认保持原有的数组格式，避免影响已有的API令牌脚本
+    const body = searchParams.has('withErrors') ? { services: allServices, errors: errors, truncated: truncated } : allServices;
+    return new Response(JSON.stringify(body), { 
       status: 200, 
       headers: { 'Content-Type': 'application/json' } 
     });
@@ -259,2944 +879,10046 @@ async function handleGetServices(request) {
 }
 
 /**
- * 处理部署请求
- * @param {Request} request - 部署请求
- * @returns {Promise<Response>} - 部署响应
+ * 处理获取账户列表请求（不含API密钥）
+ * 管理员额外获得密钥末位、来源和更新时间，用于账户管理
+ * @param {Request} request - 账户列表请求
+ * @returns {Promise<Response>} - 当前用户可访问的账户列表
  */
-async function handleDeploy(request) {
+async function handleGetAccounts(request) {
   // 验证会话
   const session = await verifySession(request);
   if (!session) {
-    return new Response(JSON.stringify({ error: 'Unauthorized' }), { 
-      status: 401, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'services:read')) {
+    return jsonResponse({ error: '权限不足' }, 403);
   }
   
   try {
-    const { accountId, serviceId } = await request.json();
-    
-    // 通过ID或名称查找账户（不区分大小写）
-    const accounts = JSON.parse(RENDER_ACCOUNTS);
-    const account = accounts.find(acc => 
-      acc.id === accountId || 
-      acc.name.toLowerCase() === accountId.toLowerCase()
-    );
-    
-    if (!account) {
-      return new Response(JSON.stringify({ error: '找不到账户' }), { 
-        status: 404, 
-        headers: { 'Content-Type': 'application/json' } 
-      });
-    }
+    const isAdmin = hasPermission(session, 'accounts:manage');
+    const store = await loadAccountStore();
+    const accounts = store.accounts
+      .filter(acc => canAccessAccount(session, acc.id))
+      .map(acc => isAdmin ? toPublicAccount(acc) : { id: acc.id, name: acc.name });
     
-    // 触发部署
-    const deployResult = await triggerDeployment(account, serviceId);
-    
-    return new Response(JSON.stringify(deployResult), { 
-      status: 200, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    return jsonResponse(accounts);
   } catch (error) {
-    console.error('触发部署出错:', error);
-    return new Response(JSON.stringify({ error: '触发部署失败' }), { 
-      status: 500, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    console.error('获取账户出错:', error);
+    return jsonResponse({ error: '获取账户失败' }, 500);
   }
 }
 
 /**
- * 处理获取环境变量请求
- * @param {Request} request - 环境变量请求
- * @returns {Promise<Response>} - 环境变量响应
+ * 处理添加Render账户请求（仅管理员）
+ * 保存前先用API密钥调用Render API，确认密钥有效
+ * @param {Request} request - 添加请求，包含id（可选）、name和apiKey
+ * @returns {Promise<Response>} - 新账户（不含API密钥）
  */
-async function handleGetEnvVars(request) {
-  console.log('调用handleGetEnvVars');
-  
+async function handleCreateAccount(request) {
   // 验证会话
   const session = await verifySession(request);
   if (!session) {
-    console.log('会话验证失败');
-    return new Response(JSON.stringify({ error: 'Unauthorized' }), { 
-      status: 401, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'accounts:manage')) {
+    return jsonResponse({ error: '权限不足' }, 403);
   }
   
   try {
-    const url = new URL(request.url);
-    const pathParts = url.pathname.split('/');
-    console.log('路径部分:', pathParts);
+    const { id, name, apiKey } = await request.json();
+    const accountName = String(name || '').trim();
+    const accountKey = String(apiKey || '').trim();
     
-    const accountNameOrId = pathParts[3];
-    const serviceId = pathParts[4];
+    if (!accountName || !accountKey) {
+      return jsonResponse({ error: '账户名称和API密钥不能为空' }, 400);
+    }
     
-    console.log(`提取的accountNameOrId: ${accountNameOrId}, serviceId: ${serviceId}`);
+    const store = await loadAccountStore();
+    const accountId = String(id || '').trim() || generateAccountId(accountName, store.accounts);
     
-    // 通过ID或名称查找账户（不区分大小写）
-    const accounts = JSON.parse(RENDER_ACCOUNTS);
-    const account = accounts.find(acc => 
-      acc.id === accountNameOrId || 
-      acc.name.toLowerCase() === accountNameOrId.toLowerCase()
-    );
+    if (!/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(accountId)) {
+      return jsonResponse({ error: '账户ID只能包含字母、数字、下划线和连字符' }, 400);
+    }
+    if (store.accounts.some(acc => acc.id === accountId)) {
+      return jsonResponse({ error: '账户ID已存在' }, 409);
+    }
     
-    if (!account) {
-      console.log(`找不到账户: ${accountNameOrId}`);
-      console.log('可用账户:', accounts.map(a => ({ id: a.id, name: a.name })));
-      return new Response(JSON.stringify({ error: '找不到账户' }), { 
-        status: 404, 
-        headers: { 'Content-Type': 'application/json' } 
-      });
+    const validation = await validateRenderApiKey(accountKey);
+    if (!validation.valid) {
+      return jsonResponse({ error: validation.error }, 400);
     }
     
-    console.log(`找到账户: ${account.name} (ID: ${account.id})`);
+    const now = Date.now();
+    const account = {
+      id: accountId,
+      name: accountName,
+      apiKey: await encryptSecret(accountKey),
+      keyHint: accountKey.slice(-4),
+      owner: validation.owner,
+      source: 'panel',
+      createdAt: now,
+      updatedAt: now
+    };
     
-    // 获取环境变量
-    const envVars = await getEnvVarsForService(account, serviceId);
-    console.log(`获取了 ${envVars.length} 个环境变量`);
+    store.accounts.push(account);
+    await saveAccountStore(store);
+    await recordAudit(request, session, { action: 'account.create', accountId: accountId });
     
-    return new Response(JSON.stringify(envVars), { 
-      status: 200, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    console.log(`用户 ${session.username} 添加了账户 ${accountId}`);
+    return jsonResponse(toPublicAccount(account), 201);
   } catch (error) {
-    console.error('获取环境变量出错:', error);
-    return new Response(JSON.stringify({ error: '获取环境变量失败' }), { 
-      status: 500, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    console.error('添加账户出错:', error);
+    return jsonResponse({ error: '添加账户失败' }, 500);
   }
 }
 
 /**
- * 处理更新所有环境变量请求
- * @param {Request} request - 更新环境变量请求
- * @returns {Promise<Response>} - 更新响应
+ * 处理修改Render账户请求（仅管理员）
+ * 账户ID不可修改；apiKey为空时保留原密钥
+ * @param {Request} request - 修改请求，包含name和apiKey（可选）
+ * @returns {Promise<Response>} - 修改后的账户（不含API密钥）
  */
-async function handleUpdateAllEnvVars(request) {
+async function handleUpdateAccount(request) {
   // 验证会话
   const session = await verifySession(request);
   if (!session) {
-    return new Response(JSON.stringify({ error: 'Unauthorized' }), { 
-      status: 401, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'accounts:manage')) {
+    return jsonResponse({ error: '权限不足' }, 403);
   }
   
   try {
     const url = new URL(request.url);
-    const pathParts = url.pathname.split('/');
-    const accountNameOrId = pathParts[3];
-    const serviceId = pathParts[4];
-    const envVars = await request.json();
-    
-    // 通过ID或名称查找账户（不区分大小写）
-    const accounts = JSON.parse(RENDER_ACCOUNTS);
-    const account = accounts.find(acc => 
-      acc.id === accountNameOrId || 
-      acc.name.toLowerCase() === accountNameOrId.toLowerCase()
-    );
+    const accountId = decodeURIComponent(url.pathname.split('/')[3]);
+    const { name, apiKey } = await request.json();
     
+    const store = await loadAccountStore();
+    const account = store.accounts.find(acc => acc.id === accountId);
     if (!account) {
-      return new Response(JSON.stringify({ error: '找不到账户' }), { 
-        status: 404, 
-        headers: { 'Content-Type': 'application/json' } 
-      });
+      return accountNotFoundResponse(accountId);
     }
     
-    // 更新所有环境变量
-    const result = await updateAllEnvVarsForService(account, serviceId, envVars);
+    if (name !== undefined) {
+      const accountName = String(name).trim();
+      if (!accountName) {
+        return jsonResponse({ error: '账户名称不能为空' }, 400);
+      }
+      account.name = accountName;
+    }
     
-    return new Response(JSON.stringify(result), { 
-      status: 200, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    const accountKey = String(apiKey || '').trim();
+    if (accountKey) {
+      const validation = await validateRenderApiKey(accountKey);
+      if (!validation.valid) {
+        return jsonResponse({ error: validation.error }, 400);
+      }
+      account.apiKey = await encryptSecret(accountKey);
+      account.keyHint = accountKey.slice(-4);
+      account.owner = validation.owner;
+    }
+    
+    account.updatedAt = Date.now();
+    await saveAccountStore(store);
+    await invalidateCachePrefix(`cache:${accountId}:`);
+    await recordAudit(request, session, { action: 'account.update', accountId: accountId, keyChanged: !!accountKey });
+    
+    console.log(`用户 ${session.username} 修改了账户 ${accountId}`);
+    return jsonResponse(toPublicAccount(account));
   } catch (error) {
-    console.error('更新环境变量出错:', error);
-    return new Response(JSON.stringify({ error: '更新环境变量失败' }), { 
-      status: 500, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    console.error('修改账户出错:', error);
+    return jsonResponse({ error: '修改账户失败' }, 500);
   }
 }
 
 /**
- * 处理更新单个环境变量请求
- * @param {Request} request - 更新单个环境变量请求
- * @returns {Promise<Response>} - 更新响应
+ * 处理删除Render账户请求（仅管理员）
+ * 同时从所有用户的访问范围中移除该账户
+ * @param {Request} request - 删除请求
+ * @returns {Promise<Response>} - 删除响应
  */
-async function handleUpdateSingleEnvVar(request) {
-  console.log('调用handleUpdateSingleEnvVar');
-  
+async function handleDeleteAccount(request) {
   // 验证会话
   const session = await verifySession(request);
   if (!session) {
-    console.log('会话验证失败');
-    return new Response(JSON.stringify({ error: 'Unauthorized' }), { 
-      status: 401, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'accounts:manage')) {
+    return jsonResponse({ error: '权限不足' }, 403);
   }
   
   try {
     const url = new URL(request.url);
-    const pathParts = url.pathname.split('/');
-    console.log('路径部分:', pathParts);
-    
-    // 路径结构: /api/env-vars/{accountId}/{serviceId}/{envVarKey}
-    const accountNameOrId = pathParts[3];
-    const serviceId = pathParts[4];
-    const envVarKey = pathParts[5];
-    
-    console.log(`提取的accountNameOrId: ${accountNameOrId}, serviceId: ${serviceId}, envVarKey: ${envVarKey}`);
+    const accountId = decodeURIComponent(url.pathname.split('/')[3]);
     
-    const { value } = await request.json();
-    console.log(`要更新的值: ${value}`);
+    const store = await loadAccountStore();
+    if (!store.accounts.some(acc => acc.id === accountId)) {
+      return accountNotFoundResponse(accountId);
+    }
     
-    // 通过ID或名称查找账户（不区分大小写）
-    const accounts = JSON.parse(RENDER_ACCOUNTS);
-    const account = accounts.find(acc => 
-      acc.id === accountNameOrId || 
-      acc.name.toLowerCase() === accountNameOrId.toLowerCase()
-    );
+    store.accounts = store.accounts.filter(acc => acc.id !== accountId);
+    await saveAccountStore(store);
+    await invalidateCachePrefix(`cache:${accountId}:`);
     
-    if (!account) {
-      console.log(`找不到账户: ${accountNameOrId}`);
-      console.log('可用账户:', accounts.map(a => ({ id: a.id, name: a.name })));
-      return new Response(JSON.stringify({ error: '找不到账户' }), { 
-        status: 404, 
-        headers: { 'Content-Type': 'application/json' } 
-      });
+    for (const user of await listUsers()) {
+      if (!user.builtin && user.scope && user.scope[accountId] !== undefined) {
+        delete user.scope[accountId];
+        await saveUser(user);
+      }
     }
     
-    console.log(`找到账户: ${account.name} (ID: ${account.id})`);
-    
-    // 更新单个环境变量
-    const result = await updateSingleEnvVarForService(account, serviceId, envVarKey, value);
-    console.log('更新结果:', result);
+    await recordAudit(request, session, { action: 'account.delete', accountId: accountId });
     
-    return new Response(JSON.stringify(result), { 
-      status: 200, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    console.log(`用户 ${session.username} 删除了账户 ${accountId}`);
+    return jsonResponse({ success: true });
   } catch (error) {
-    console.error('更新环境变量出错:', error);
-    return new Response(JSON.stringify({ error: '更新环境变量失败' }), { 
-      status: 500, 
-      headers: { 'Content-Type': 'application/json' } 
-    });
+    console.error('删除账户出错:', error);
+    return jsonResponse({ error: '删除账户失败' }, 500);
   }
 }
 
 /**
- * 处理删除环境变量请求
- * @param {Request} request - 删除环境变量请求
- * @returns {Promise<Response>} - 删除响应
+ * 处理部署请求
+ * @param {Request} request - 部署请求
+ * @returns {Promise<Response>} - 部署响应
  */
-async function handleDeleteEnvVar(request) {
-  console.log('调用handleDeleteEnvVar');
-  
+async function handleDeploy(request) {
   // 验证会话
   const session = await verifySession(request);
   if (!session) {
-    console.log('会话验证失败');
     return new Response(JSON.stringify({ error: 'Unauthorized' }), { 
       status: 401, 
       headers: { 'Content-Type': 'application/json' } 
     });
   }
   
+  // 检查角色权限
+  if (!hasPermission(session, 'deploy')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
   try {
-    const url = new URL(request.url);
-    const pathParts = url.pathname.split('/');
-    console.log('路径部分:', pathParts);
-    
-    // 路径结构: /api/env-vars/{accountId}/{serviceId}/{envVarKey}
-    const accountNameOrId = pathParts[3];
-    const serviceId = pathParts[4];
-    const envVarKey = pathParts[5];
-    
-    console.log(`提取的accountNameOrId: ${accountNameOrId}, serviceId: ${serviceId}, envVarKey: ${envVarKey}`);
+    const body = await request.json();
+    const { accountId, serviceId } = body;
     
-    // 通过ID或名称查找账户（不区分大小写）
-    const accounts = JSON.parse(RENDER_ACCOUNTS);
-    const account = accounts.find(acc => 
-      acc.id === accountNameOrId || 
-      acc.name.toLowerCase() === accountNameOrId.toLowerCase()
-    );
-    
-    if (!account) {
-      console.log(`找不到账户: ${accountNameOrId}`);
-      console.log('可用账户:', accounts.map(a => ({ id: a.id, name: a.name })));
-      return new Response(JSON.stringify({ error: '找不到账户' }), { 
-        status: 404, 
-        headers: { 'Content-Type': 'application/json' } 
-      });
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
     }
     
-    console.log(`找到账户: ${account.name} (ID: ${account.id})`);
+    // 指定提交或镜像时，需要根据服务是基于Git仓库还是镜像进行校验
+    const service = body.commitId || body.imageUrl
+      ? await renderApi(account, `/services/${serviceId}`, { description: '获取服务详情' })
+      : null;
+    const { options, error } = normalizeDeployOptions(body, service);
+    if (error) {
+      return jsonResponse({ error: error }, 400);
+    }
     
-    // 删除环境变量
-    await deleteEnvVarForService(account, serviceId, envVarKey);
-    console.log('环境变量删除成功');
+    // 触发部署
+    const deployResult = await triggerDeployment(account, serviceId, options);
+    await invalidateServiceCache(account.id, serviceId);
+    
+    await recordAudit(request, session, {
+      action: 'deploy',
+      accountId: account.id,
+      serviceId: serviceId,
+      deployId: deployResult.id,
+      ...options
+    });
     
-    return new Response(null, { status: 204 });
-  } catch (error) {
-    console.error('删除环境变量出错:', error);
-    return new Response(JSON.stringify({ error: '删除环境变量失败' }), { 
-      status: 500, 
+    return new Response(JSON.stringify(deployResult), { 
+      status: 200, 
       headers: { 'Content-Type': 'application/json' } 
     });
+  } catch (error) {
+    console.error('触发部署出错:', error);
+    return renderErrorResponse(error, '触发部署失败');
   }
 }
 
 /**
- * 处理主页请求
- * @param {Request} request - 主页请求
- * @returns {Promise<Response>} - 主页响应
+ * 校验并规范化部署选项
+ * 提交SHA只能用于基于Git仓库的服务，镜像只能用于基于镜像的服务，且须与服务当前镜像的仓库相同
+ * @param {Object} input - 提交的选项 { clearCache, commitId, imageUrl }
+ * @param {Object|null} service - Render服务对象，未指定提交和镜像时可为null
+ * @returns {{options: Object|undefined, error: string|undefined}} - 传给triggerDeployment的选项或错误信息
  */
-async function handleMainPage(request) {
-  // 检查用户是否已登录
-  const session = await verifySession(request);
-  if (!session) {
-    return renderLoginPage();
+function normalizeDeployOptions(input, service) {
+  const commitId = String(input.commitId || '').trim();
+  const imageUrl = String(input.imageUrl || '').trim();
+  const options = { clearCache: input.clearCache === true ? 'clear' : 'do_not_clear' };
+  
+  if (commitId && imageUrl) {
+    return { error: '不能同时指定提交和镜像' };
   }
   
-  // 渲染仪表盘
-  return renderDashboard();
+  if (commitId) {
+    if (!service.repo) {
+      return { error: '只有基于Git仓库的服务可以指定提交' };
+    }
+    if (!/^[0-9a-f]{7,40}$/i.test(commitId)) {
+      return { error: '提交SHA格式无效' };
+    }
+    options.commitId = commitId;
+  }
+  
+  if (imageUrl) {
+    if (!service.imagePath) {
+      return { error: '只有基于镜像的服务可以指定镜像' };
+    }
+    const resolved = resolveDeployImage(service.imagePath, imageUrl);
+    if (resolved.error) {
+      return { error: resolved.error };
+    }
+    options.imageUrl = resolved.imageUrl;
+  }
+  
+  return { options: options };
 }
 
 /**
- * 验证用户会话
- * @param {Request} request - 带有会话cookie的请求
- * @returns {Promise<Object|null>} - 会话数据，若无效则为null
+ * 根据服务当前的镜像解析要部署的镜像地址
+ * 只填写标签（如 v1.2）或摘要（sha256:...）时沿用当前镜像的仓库；
+ * 填写完整地址时格式须为 仓库[:标签][@sha256:摘要]，且仓库必须与当前镜像相同
+ * @param {string} imagePath - 服务当前的镜像地址，如 docker.io/org/app:latest
+ * @param {string} input - 标签、摘要或完整的镜像地址
+ * @returns {{imageUrl: string|undefined, error: string|undefined}} - 完整的镜像地址或错误信息
  */
-async function verifySession(request) {
-  const cookieHeader = request.headers.get('Cookie') || '';
-  const sessionId = getSessionIdFromCookie(cookieHeader);
+function resolveDeployImage(imagePath, input) {
+  const repository = getImageRepository(imagePath);
+  const tagError = '镜像标签格式无效：须以字母、数字或 _ 开头，只能包含字母、数字和 _ . -，最长128个字符';
+  const digestError = '镜像摘要格式无效：须为 sha256: 加 64 位小写十六进制字符';
   
-  if (!sessionId) {
-    return null;
+  if (IMAGE_DIGEST_PATTERN.test(input)) {
+    return { imageUrl: `${repository}@${input}` };
+  }
+  
+  const tag = input.replace(/^:/, '');
+  if (IMAGE_TAG_PATTERN.test(tag)) {
+    return { imageUrl: `${repository}:${tag}` };
+  }
+  
+  // 不含仓库路径时只能是标签或摘要
+  if (!input.includes('/')) {
+    return { error: input.startsWith('sha256:') ? digestError : tagError };
+  }
+  
+  const [name, digest, ...rest] = input.split('@');
+  if (rest.length > 0 || (digest !== undefined && !IMAGE_DIGEST_PATTERN.test(digest))) {
+    return { error: digestError };
+  }
+  
+  const inputRepository = getImageRepository(name);
+  if (name !== inputRepository && !IMAGE_TAG_PATTERN.test(name.slice(inputRepository.length + 1))) {
+    return { error: tagError };
+  }
+  
+  if (inputRepository !== repository) {
+    return { error: `镜像仓库须与服务当前使用的仓库相同：${repository}` };
+  }
+  return { imageUrl: input };
+}
+
+/**
+ * 去掉镜像地址中的标签和摘要，得到仓库部分
+ * @param {string} image - 镜像地址
+ * @returns {string} - 仓库地址
+ */
+function getImageRepository(image) {
+  const withoutDigest = image.split('@')[0];
+  const lastColon = withoutDigest.lastIndexOf(':');
+  return lastColon > withoutDigest.lastIndexOf('/') ? withoutDigest.slice(0, lastColon) : withoutDigest;
+}
+
+/**
+ * 处理获取服务详情请求
+ * 路径: /api/services/{accountId}/{serviceId}，返回Render的完整服务对象、自定义域名和通知设置
+ * @param {Request} request - 服务详情请求
+ * @param {FetchEvent} event - 请求事件，用于后台刷新缓存
+ * @returns {Promise<Response>} - 服务详情
+ */
+async function handleGetServiceDetail(request, event) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'services:read')) {
+    return jsonResponse({ error: '权限不足' }, 403);
   }
   
   try {
-    const sessionData = await RENDER_KV.get(`session:${sessionId}`);
-    if (!sessionData) {
-      return null;
+    const url = new URL(request.url);
+    const pathParts = url.pathname.split('/');
+    if (pathParts.length !== 5) {
+      return jsonResponse({ error: 'Not Found' }, 404);
     }
     
-    const session = JSON.parse(sessionData);
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
     
-    // 检查会话是否过期
-    if (session.expiresAt < Date.now()) {
-      await RENDER_KV.delete(`session:${sessionId}`);
-      return null;
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
     }
     
-    return session;
+    const detail = await cachedFetch(
+      `cache:${account.id}:service:${serviceId}`,
+      getCacheTtl('services'),
+      () => getServiceDetail(account, serviceId),
+      { refresh: url.searchParams.has('refresh'), event }
+    );
+    
+    return jsonResponse({ ...detail, accountId: account.id, accountName: account.name });
   } catch (error) {
-    console.error('会话验证错误:', error);
-    return null;
+    console.error('获取服务详情出错:', error);
+    return renderErrorResponse(error, '获取服务详情失败');
   }
 }
 
 /**
- * 从cookie头获取会话ID
- * @param {string} cookieHeader - Cookie头字符串
- * @returns {string|null} - 会话ID，若未找到则为null
+ * 处理服务操作请求
+ * 路径: /api/services/{accountId}/{serviceId}/{action}，action见SERVICE_ACTIONS；服务类型不支持该操作时返回Render的错误
+ * @param {Request} request - 操作请求
+ * @returns {Promise<Response>} - Render返回的结果
  */
-function getSessionIdFromCookie(cookieHeader) {
-  const cookies = cookieHeader.split(';');
-  for (const cookie of cookies) {
-    const [name, value] = cookie.trim().split('=');
-    if (name === 'session') {
-      return value;
+async function handleServiceAction(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'deploy')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  const pathParts = new URL(request.url).pathname.split('/');
+  const action = SERVICE_ACTIONS[pathParts[5]];
+  if (pathParts.length !== 6 || !action) {
+    return jsonResponse({ error: '不支持的服务操作' }, 404);
+  }
+  
+  try {
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
+    
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    
+    const result = await action.perform(account, serviceId);
+    if (action.panelEvent) {
+      await recordPanelEvent(account.id, serviceId, action.panelEvent, session);
     }
+    await invalidateServiceCache(account.id, serviceId);
+    
+    await recordAudit(request, session, {
+      action: action.audit,
+      accountId: account.id,
+      serviceId: serviceId,
+      ...(result && result.id ? { resultId: result.id } : {})
+    });
+    
+    return jsonResponse(result || {});
+  } catch (error) {
+    console.error(`${action.description}出错:`, error);
+    return renderErrorResponse(error, `${action.description}失败`);
   }
-  return null;
 }
 
 /**
- * 生成随机会话ID
- * @returns {string} - 随机会话ID
+ * 处理获取休眠计划列表请求，仅包含当前用户可访问的服务，用于在服务卡片上标记
+ * @param {Request} request - 列表请求
+ * @returns {Promise<Response>} - 休眠计划列表
  */
-function generateSessionId() {
-  const array = new Uint8Array(32);
-  crypto.getRandomValues(array);
-  return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
+async function handleGetSchedules(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'services:read')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const schedules = await listSchedules();
+    return jsonResponse(schedules.filter(schedule => canAccessService(session, schedule.accountId, schedule.serviceId)));
+  } catch (error) {
+    console.error('获取休眠计划出错:', error);
+    return jsonResponse({ error: '获取休眠计划失败' }, 500);
+  }
 }
 
 /**
- * 获取特定Render账户的服务
- * @param {Object} account - 账户配置
- * @returns {Promise<Array>} - 服务列表
+ * 处理获取单个服务休眠计划请求
+ * 路径: /api/schedules/{accountId}/{serviceId}，同时返回该服务最近的执行记录
+ * @param {Request} request - 休眠计划请求
+ * @returns {Promise<Response>} - 休眠计划（未设置时为null）和执行记录
  */
-async function getServicesForAccount(account) {
-  // Render API服务终端，包含示例中的查询参数
-  const response = await fetch('https://api.render.com/v1/services?includePreviews=true&limit=20', {
-    headers: {
-      'accept': 'application/json',
-      'authorization': `Bearer ${account.apiKey}`
-    }
-  });
-  
-  if (!response.ok) {
-    throw new Error(`获取账户 ${account.name} 的服务失败: ${response.statusText}`);
+async function handleGetSchedule(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
   }
   
-  const data = await response.json();
+  // 检查角色权限
+  if (!hasPermission(session, 'services:read')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
   
-  // 根据实际API响应转换服务，仅包含必要信息
-  return data.map(item => {
-    const service = item.service;
-    return {
-      id: service.id,
-      name: service.name,
-      type: service.type,
-      autoDeploy: service.autoDeploy,
-      autoDeployTrigger: service.autoDeployTrigger,
-      createdAt: service.createdAt,
-      updatedAt: service.updatedAt,
-      suspended: service.suspended,
-      dashboardUrl: service.dashboardUrl,
-      url: service.serviceDetails.url,
-      region: service.serviceDetails.region,
-      plan: service.serviceDetails.plan,
-      env: service.serviceDetails.env,
-      imagePath: service.imagePath,
-      ownerId: service.ownerId
-    };
-  });
+  try {
+    const pathParts = new URL(request.url).pathname.split('/');
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
+    
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    
+    const data = await RENDER_KV.get(`schedule:${account.id}:${serviceId}`);
+    const log = await getScheduleLog(account.id, serviceId);
+    
+    return jsonResponse({ schedule: data ? JSON.parse(data) : null, log: log });
+  } catch (error) {
+    console.error('获取休眠计划出错:', error);
+    return jsonResponse({ error: '获取休眠计划失败' }, 500);
+  }
 }
 
 /**
- * 触发服务部署
- * @param {Object} account - 账户配置
- * @param {string} serviceId - 要部署的服务ID
- * @returns {Promise<Object>} - 部署结果
+ * 处理保存休眠计划请求
+ * 请求体: { serviceName, enabled, timezone, days, start, end }，days为0（周日）到6（周六），start/end为HH:MM
+ * 新建或修改运行时段后会在下一次定时检查时按计划调整服务状态，之后只在进入或离开运行时段时暂停或恢复；
+ * 只修改启用状态或服务名称时保留上次的状态，不会触发切换
+ * @param {Request} request - 保存请求
+ * @returns {Promise<Response>} - 保存后的休眠计划
  */
-async function triggerDeployment(account, serviceId) {
-  // 用于触发部署的Render API终端，示例中包含请求体
-  const response = await fetch(`https://api.render.com/v1/services/${serviceId}/deploys`, {
-    method: 'POST',
-    headers: {
-      'accept': 'application/json',
-      'authorization': `Bearer ${account.apiKey}`,
-      'content-type': 'application/json'
-    },
-    body: JSON.stringify({
-      "clearCache": "do_not_clear"
-    })
-  });
+async function handleSaveSchedule(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
   
-  if (!response.ok) {
-    throw new Error(`触发部署失败: ${response.statusText}`);
+  // 检查角色权限
+  if (!hasPermission(session, 'deploy')) {
+    return jsonResponse({ error: '权限不足' }, 403);
   }
   
-  return await response.json();
+  try {
+    const pathParts = new URL(request.url).pathname.split('/');
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
+    
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    
+    const body = await request.json();
+    const { schedule, error } = normalizeSchedule(body);
+    if (error) {
+      return jsonResponse({ error: error }, 400);
+    }
+    
+    // 运行时段未变（如只是启用/停用）时保留上次的状态，避免下一次检查立即暂停或恢复服务
+    const key = `schedule:${account.id}:${serviceId}`;
+    const existing = await RENDER_KV.get(key);
+    const previous = existing ? JSON.parse(existing) : null;
+    const keepState = previous && isSameScheduleWindow(previous, schedule);
+    
+    const record = {
+      ...schedule,
+      accountId: account.id,
+      serviceId: serviceId,
+      serviceName: String(body.serviceName || serviceId).slice(0, 100),
+      lastState: keepState ? previous.lastState : null,
+      failures: keepState ? previous.failures || 0 : 0,
+      updatedAt: Date.now(),
+      updatedBy: session.username
+    };
+    
+    await RENDER_KV.put(key, JSON.stringify(record));
+    await recordAudit(request, session, { action: 'schedule.update', accountId: account.id, serviceId: serviceId });
+    
+    return jsonResponse(record);
+  } catch (error) {
+    console.error('保存休眠计划出错:', error);
+    return jsonResponse({ error: '保存休眠计划失败' }, 500);
+  }
 }
 
 /**
- * 获取服务的环境变量
- * @param {Object} account - 账户配置
- * @param {string} serviceId - 服务ID
- * @returns {Promise<Array>} - 环境变量列表
+ * 处理删除休眠计划请求（不改变服务当前的状态）
+ * @param {Request} request - 删除请求
+ * @returns {Promise<Response>} - 删除响应
  */
-async function getEnvVarsForService(account, serviceId) {
-  console.log(`获取服务的环境变量: ${serviceId}`);
+async function handleDeleteSchedule(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'deploy')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
   
-  const response = await fetch(`https://api.render.com/v1/services/${serviceId}/env-vars?limit=20`, {
-    headers: {
-      'accept': 'application/json',
-      'authorization': `Bearer ${account.apiKey}`
+  try {
+    const pathParts = new URL(request.url).pathname.split('/');
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
+    
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
     }
-  });
+    
+    await RENDER_KV.delete(`schedule:${account.id}:${serviceId}`);
+    await recordAudit(request, session, { action: 'schedule.delete', accountId: account.id, serviceId: serviceId });
+    
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    console.error('删除休眠计划出错:', error);
+    return jsonResponse({ error: '删除休眠计划失败' }, 500);
+  }
+}
+
+/**
+ * 校验并规范化休眠计划
+ * @param {Object} input - 提交的计划
+ * @returns {{schedule: Object|undefined, error: string|undefined}} - 规范化后的计划或错误信息
+ */
+function normalizeSchedule(input) {
+  const timezone = String(input.timezone || '').trim();
+  if (!timezone) {
+    return { error: '请选择时区' };
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    return { error: '无效的时区' };
+  }
   
-  if (!response.ok) {
-    console.error(`获取环境变量失败: ${response.status} ${response.statusText}`);
-    throw new Error(`获取环境变量失败: ${response.statusText}`);
+  const days = Array.isArray(input.days) ? [...new Set(input.days.map(Number))].sort((a, b) => a - b) : [];
+  if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return { error: '请至少选择一天' };
   }
   
-  const data = await response.json();
-  console.log('环境变量响应:', data);
+  const clock = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!clock.test(input.start) || !clock.test(input.end)) {
+    return { error: '时间格式应为 HH:MM' };
+  }
+  if (input.start === input.end) {
+    return { error: '开始和结束时间不能相同' };
+  }
   
-  return data;
+  return {
+    schedule: {
+      enabled: input.enabled !== false,
+      timezone: timezone,
+      days: days,
+      start: input.start,
+      end: input.end
+    }
+  };
 }
 
 /**
- * 更新服务的所有环境变量
- * @param {Object} account - 账户配置
- * @param {string} serviceId - 服务ID
- * @param {Array} envVars - 环境变量列表
- * @returns {Promise<Array>} - 更新后的环境变量
+ * 判断两个休眠计划的运行时段（时区、星期和起止时间）是否相同
+ * @param {Object} a - 休眠计划
+ * @param {Object} b - 休眠计划
+ * @returns {boolean} - 是否相同
  */
-async function updateAllEnvVarsForService(account, serviceId, envVars) {
-  const response = await fetch(`https://api.render.com/v1/services/${serviceId}/env-vars`, {
-    method: 'PUT',
-    headers: {
-      'accept': 'application/json',
-      'authorization': `Bearer ${account.apiKey}`,
-      'content-type': 'application/json'
-    },
-    body: JSON.stringify(envVars)
-  });
+function isSameScheduleWindow(a, b) {
+  return a.timezone === b.timezone &&
+    a.start === b.start &&
+    a.end === b.end &&
+    a.days.join(',') === b.days.join(',');
+}
+
+/**
+ * 读取所有休眠计划
+ * @returns {Promise<Array>} - 休眠计划列表
+ */
+async function listSchedules() {
+  const schedules = [];
+  let cursor;
   
-  if (!response.ok) {
-    throw new Error(`更新环境变量失败: ${response.statusText}`);
-  }
+  do {
+    const result = await RENDER_KV.list({ prefix: 'schedule:', cursor: cursor });
+    for (const key of result.keys) {
+      const data = await RENDER_KV.get(key.name);
+      if (data) {
+        schedules.push(JSON.parse(data));
+      }
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
   
-  return await response.json();
+  return schedules;
 }
 
 /**
- * 更新服务的单个环境变量
- * @param {Object} account - 账户配置
- * @param {string} serviceId - 服务ID
- * @param {string} envVarKey - 环境变量键
- * @param {string} value - 环境变量值
- * @returns {Promise<Object>} - 更新后的环境变量
+ * 计算某一时刻在指定时区的星期和当天分钟数
+ * @param {Date} date - 时刻
+ * @param {string} timezone - IANA时区，如Asia/Shanghai
+ * @returns {{day: number, minutes: number}} - 星期（0为周日）和从0点起的分钟数
  */
-async function updateSingleEnvVarForService(account, serviceId, envVarKey, value) {
-  console.log(`更新环境变量: ${envVarKey} = ${value} 用于服务: ${serviceId}`);
+function getZonedTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => parts.find(item => item.type === type).value;
   
-  const response = await fetch(`https://api.render.com/v1/services/${serviceId}/env-vars/${envVarKey}`, {
-    method: 'PUT',
-    headers: {
-      'accept': 'application/json',
-      'authorization': `Bearer ${account.apiKey}`,
-      'content-type': 'application/json'
-    },
-    body: JSON.stringify({
-      "value": value
-    })
-  });
+  return {
+    day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday')),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+/**
+ * 判断某一时刻是否处于休眠计划的运行时段
+ * 结束时间早于开始时间表示跨午夜（如22:00–02:00），此时星期指开始的那一天
+ * @param {Object} schedule - 休眠计划
+ * @param {Date} date - 时刻
+ * @returns {boolean} - 是否应当运行
+ */
+function isWithinSchedule(schedule, date) {
+  const { day, minutes } = getZonedTime(date, schedule.timezone);
+  const toMinutes = clock => Number(clock.slice(0, 2)) * 60 + Number(clock.slice(3));
+  const start = toMinutes(schedule.start);
+  const end = toMinutes(schedule.end);
   
-  if (!response.ok) {
-    console.error(`更新环境变量失败: ${response.status} ${response.statusText}`);
-    throw new Error(`更新环境变量失败: ${response.statusText}`);
+  if (start < end) {
+    return schedule.days.includes(day) && minutes >= start && minutes < end;
+  }
+  return (schedule.days.includes(day) && minutes >= start) || (schedule.days.includes((day + 6) % 7) && minutes < end);
+}
+
+/**
+ * 执行所有休眠计划：只在计划状态发生变化时暂停或恢复服务，因此手动恢复的服务会保持运行到下一次切换
+ * 切换失败时在下一次检查重试，连续失败达到上限后放弃本次切换
+ * @param {Date} now - 本次检查的时间
+ * @returns {Promise<void>}
+ */
+async function runSleepSchedules(now) {
+  const schedules = (await listSchedules()).filter(schedule => schedule.enabled);
+  if (schedules.length === 0) {
+    return;
   }
   
-  const result = await response.json();
-  console.log('更新结果:', result);
+  const accounts = await getAccounts();
   
-  return result;
+  for (const schedule of schedules) {
+    const desired = isWithinSchedule(schedule, now) ? 'awake' : 'asleep';
+    if (desired === schedule.lastState) {
+      continue;
+    }
+    
+    const action = desired === 'asleep' ? 'suspend' : 'resume';
+    const account = accounts.find(acc => acc.id === schedule.accountId);
+    let error = null;
+    
+    try {
+      if (!account) {
+        throw new Error('找不到账户');
+      }
+      await SERVICE_ACTIONS[action].perform(account, schedule.serviceId);
+      await invalidateServiceCache(account.id, schedule.serviceId);
+      schedule.lastState = desired;
+      schedule.failures = 0;
+    } catch (err) {
+      console.error(`执行休眠计划 ${schedule.accountId}/${schedule.serviceId} 出错:`, err);
+      error = err.message;
+      schedule.failures = (schedule.failures || 0) + 1;
+      if (schedule.failures >= SCHEDULE_MAX_FAILURES) {
+        schedule.lastState = desired;
+        schedule.failures = 0;
+      }
+    }
+    
+    // 暂停/恢复期间计划可能已被删除或修改：删除的不再写回；运行时段已修改的以新计划为准
+    const key = `schedule:${schedule.accountId}:${schedule.serviceId}`;
+    const current = await RENDER_KV.get(key);
+    if (current) {
+      const latest = JSON.parse(current);
+      if (isSameScheduleWindow(latest, schedule)) {
+        await RENDER_KV.put(key, JSON.stringify({ ...latest, lastState: schedule.lastState, failures: schedule.failures }));
+      }
+    }
+    await recordScheduleLog(schedule, action, error);
+  }
 }
 
 /**
- * 删除服务的环境变量
- * @param {Object} account - 账户配置
- * @param {string} serviceId - 服务ID
- * @param {string} envVarKey - 环境变量键
+ * 写入一条休眠计划执行记录，键按时间倒序排列，记录同时写入元数据
+ * @param {Object} schedule - 休眠计划
+ * @param {string} action - suspend或resume
+ * @param {string|null} error - 失败原因，成功时为null
  * @returns {Promise<void>}
  */
-async function deleteEnvVarForService(account, serviceId, envVarKey) {
-  console.log(`删除环境变量: ${envVarKey} 用于服务: ${serviceId}`);
+async function recordScheduleLog(schedule, action, error) {
+  const timestamp = Date.now();
+  const entry = {
+    timestamp: timestamp,
+    accountId: schedule.accountId,
+    serviceId: schedule.serviceId,
+    serviceName: schedule.serviceName,
+    action: action,
+    ok: !error,
+    error: error ? String(error).slice(0, 300) : null
+  };
   
-  const response = await fetch(`https://api.render.com/v1/services/${serviceId}/env-vars/${envVarKey}`, {
-    method: 'DELETE',
-    headers: {
-      'accept': 'application/json',
-      'authorization': `Bearer ${account.apiKey}`
-    }
-  });
+  try {
+    const reverseTime = String(9999999999999 - timestamp).padStart(13, '0');
+    await RENDER_KV.put(`schedule-log:${schedule.accountId}:${schedule.serviceId}:${reverseTime}:${generateSessionId().slice(0, 8)}`, JSON.stringify(entry), {
+      metadata: entry,
+      expirationTtl: SCHEDULE_LOG_RETENTION_DAYS * 24 * 60 * 60
+    });
+  } catch (err) {
+    console.error('写入休眠计划记录出错:', err, entry);
+  }
+}
+
+/**
+ * 获取服务最近的休眠计划执行记录（新的在前）
+ * @param {string} accountId - 账户ID
+ * @param {string} serviceId - 服务ID
+ * @param {number} limit - 最多条数
+ * @returns {Promise<Array>} - 执行记录
+ */
+async function getScheduleLog(accountId, serviceId, limit = 20) {
+  const result = await RENDER_KV.list({ prefix: `schedule-log:${accountId}:${serviceId}:`, limit: limit });
+  return result.keys.map(key => key.metadata).filter(Boolean);
+}
+
+/**
+ * 处理获取保活配置列表请求，仅包含当前用户可访问的服务，用于在服务卡片上显示最近一次结果
+ * @param {Request} request - 列表请求
+ * @returns {Promise<Response>} - 保活配置列表
+ */
+async function handleGetKeepAlives(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
   
-  if (!response.ok) {
-    console.error(`删除环境变量失败: ${response.status} ${response.statusText}`);
-    throw new Error(`删除环境变量失败: ${response.statusText}`);
+  // 检查角色权限
+  if (!hasPermission(session, 'services:read')) {
+    return jsonResponse({ error: '权限不足' }, 403);
   }
   
-  console.log('环境变量删除成功');
+  try {
+    const targets = await listKeepAlives();
+    return jsonResponse(targets.filter(target => canAccessService(session, target.accountId, target.serviceId)));
+  } catch (error) {
+    console.error('获取保活配置出错:', error);
+    return jsonResponse({ error: '获取保活配置失败' }, 500);
+  }
 }
 
 /**
- * 渲染登录页面，设计优化
- * @param {string} error - 要显示的错误信息
- * @returns {Response} - 登录页面HTML响应
+ * 处理保存保活配置请求
+ * 路径: /api/keepalive/{accountId}/{serviceId}，请求体: { enabled, path, intervalMinutes }
+ * 请求地址取自Render返回的服务URL，只能拼接路径，不接受任意URL
+ * @param {Request} request - 保存请求
+ * @param {FetchEvent} event - 请求事件，用于读取服务列表缓存
+ * @returns {Promise<Response>} - 保存后的保活配置
  */
-function renderLoginPage(error = '') {
-  const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Render Service Management - Login</title>
-  <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
+async function handleSaveKeepAlive(request, event) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'deploy')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const pathParts = new URL(request.url).pathname.split('/');
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
     
-    body {
-      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      min-height: 100vh;
-      display: flex;
-      justify-content: center;
-      align-items: center;
-      padding: 20px;
-      color: #333;
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
     }
     
-    .login-container {
-      background: rgba(255, 255, 255, 0.95);
-      backdrop-filter: blur(10px);
-      border-radius: 20px;
-      box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1), 0 0 0 1px rgba(255, 255, 255, 0.2);
-      padding: 40px;
-      width: 100%;
-      max-width: 420px;
-      transform: translateY(0);
-      transition: all 0.3s ease;
+    const { enabled, path, intervalMinutes } = await request.json();
+    const healthPath = String(path || '/').trim();
+    if (!healthPath.startsWith('/') || healthPath.length > 200) {
+      return jsonResponse({ error: '路径必须以 / 开头，且不超过200个字符' }, 400);
     }
-    
-    .login-container:hover {
-      transform: translateY(-5px);
-      box-shadow: 0 25px 50px rgba(0, 0, 0, 0.15), 0 0 0 1px rgba(255, 255, 255, 0.2);
+    if (!KEEPALIVE_INTERVALS.includes(Number(intervalMinutes))) {
+      return jsonResponse({ error: `间隔只能是 ${KEEPALIVE_INTERVALS.join('、')} 分钟` }, 400);
     }
     
-    .logo {
-      text-align: center;
-      margin-bottom: 30px;
+    const { services } = await getCachedServices(account, { event });
+    const service = services.find(item => item.id === serviceId);
+    if (!service) {
+      return jsonResponse({ error: '找不到服务' }, 404);
     }
-    
-    .logo-icon {
-      width: 60px;
-      height: 60px;
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      border-radius: 15px;
-      display: inline-flex;
-      align-items: center;
-      justify-content: center;
-      margin-bottom: 15px;
-      box-shadow: 0 10px 20px rgba(102, 126, 234, 0.3);
+    if (service.type !== 'web_service' || !service.url) {
+      return jsonResponse({ error: '只有带公开URL的Web服务可以保活' }, 400);
     }
-    
-    .logo-icon svg {
-      width: 30px;
-      height: 30px;
-      fill: white;
+    if (!resolveKeepAliveUrl(service.url, healthPath)) {
+      return jsonResponse({ error: '路径无效：不能以 // 或 /\\ 开头，请求地址必须属于该服务' }, 400);
     }
     
-    h1 {
-      font-size: 28px;
-      font-weight: 700;
-      color: #2d3748;
-      text-align: center;
-      margin-bottom: 10px;
-    }
+    const record = {
+      accountId: account.id,
+      serviceId: serviceId,
+      serviceName: service.name,
+      url: service.url,
+      path: healthPath,
+      intervalMinutes: Number(intervalMinutes),
+      enabled: enabled !== false,
+      updatedAt: Date.now(),
+      updatedBy: session.username
+    };
     
-    .subtitle {
-      text-align: center;
-      color: #718096;
-      margin-bottom: 30px;
-      font-size: 16px;
-    }
+    await RENDER_KV.put(`keepalive:${account.id}:${serviceId}`, JSON.stringify(record));
+    await recordAudit(request, session, { action: 'keepalive.update', accountId: account.id, serviceId: serviceId });
     
-    .form-group {
-      margin-bottom: 25px;
-    }
+    const status = await getKeepAliveStatus(account.id, serviceId);
+    return jsonResponse({ ...record, lastPing: null, history: [], ...status });
+  } catch (error) {
+    console.error('保存保活配置出错:', error);
+    return renderErrorResponse(error, '保存保活配置失败');
+  }
+}
+
+/**
+ * 处理删除保活配置请求
+ * @param {Request} request - 删除请求
+ * @returns {Promise<Response>} - 删除响应
+ */
+async function handleDeleteKeepAlive(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'deploy')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const pathParts = new URL(request.url).pathname.split('/');
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
     
-    label {
-      display: block;
-      margin-bottom: 8px;
-      font-weight: 600;
-      color: #4a5568;
-      font-size: 14px;
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
     }
     
-    input {
-      width: 100%;
-      padding: 15px;
-      border: 2px solid #e2e8f0;
-      border-radius: 12px;
-      font-size: 16px;
-      font-weight: 500;
-      transition: all 0.3s ease;
-      background-color: #f7fafc;
-    }
+    await RENDER_KV.delete(`keepalive:${account.id}:${serviceId}`);
+    await RENDER_KV.delete(`keepalive-status:${account.id}:${serviceId}`);
+    await recordAudit(request, session, { action: 'keepalive.delete', accountId: account.id, serviceId: serviceId });
     
-    input:focus {
-      outline: none;
-      border-color: #667eea;
-      background-color: white;
-      box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    console.error('删除保活配置出错:', error);
+    return jsonResponse({ error: '删除保活配置失败' }, 500);
+  }
+}
+
+/**
+ * 读取服务最近的保活请求结果
+ * 结果与配置分开存放，定时触发器写入结果时不会覆盖同时进行的修改或删除
+ * @param {string} accountId - 账户ID
+ * @param {string} serviceId - 服务ID
+ * @returns {Promise<{lastPing: Object|null, history: Array}|null>} - 最近一次结果和最近的结果列表，还没有结果时为null
+ */
+async function getKeepAliveStatus(accountId, serviceId) {
+  const data = await RENDER_KV.get(`keepalive-status:${accountId}:${serviceId}`);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * 读取所有保活配置，并附带最近的请求结果
+ * @returns {Promise<Array>} - 保活配置列表
+ */
+async function listKeepAlives() {
+  const targets = [];
+  let cursor;
+  
+  do {
+    const result = await RENDER_KV.list({ prefix: 'keepalive:', cursor: cursor });
+    for (const key of result.keys) {
+      const data = await RENDER_KV.get(key.name);
+      if (data) {
+        // 早期版本的结果保存在配置中，没有单独的结果时沿用
+        const target = JSON.parse(data);
+        const status = await getKeepAliveStatus(target.accountId, target.serviceId);
+        targets.push({ ...target, lastPing: target.lastPing || null, history: target.history || [], ...status });
+      }
     }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+  
+  return targets;
+}
+
+/**
+ * 请求所有到期的保活地址，并记录状态码和响应时间
+ * 处于休眠计划暂停时段的服务不请求；距上次请求的时间比间隔少30秒以内也视为到期，避免因触发时间的抖动多等一轮
+ * @param {Date} now - 本次检查的时间
+ * @returns {Promise<void>}
+ */
+async function runKeepAlivePings(now) {
+  const targets = (await listKeepAlives()).filter(target => target.enabled);
+  if (targets.length === 0) {
+    return;
+  }
+  
+  const schedules = await listSchedules();
+  const asleep = new Set(schedules
+    .filter(schedule => schedule.enabled && schedule.lastState === 'asleep')
+    .map(schedule => `${schedule.accountId}:${schedule.serviceId}`));
+  
+  const due = targets.filter(target => {
+    if (asleep.has(`${target.accountId}:${target.serviceId}`)) {
+      return false;
+    }
+    // 早期版本允许14分钟，按不超过它的最大可选间隔处理
+    const interval = Math.min(target.intervalMinutes, KEEPALIVE_INTERVALS[KEEPALIVE_INTERVALS.length - 1]);
+    const last = target.lastPing ? target.lastPing.timestamp : 0;
+    return now.getTime() - last >= interval * 60 * 1000 - 30 * 1000;
+  });
+  
+  await Promise.allSettled(due.map(async target => {
+    const result = await pingKeepAliveTarget(target);
+    
+    // 请求期间配置可能已被删除，此时不再写入结果
+    if (!(await RENDER_KV.get(`keepalive:${target.accountId}:${target.serviceId}`))) {
+      return;
+    }
+    await RENDER_KV.put(`keepalive-status:${target.accountId}:${target.serviceId}`, JSON.stringify({
+      lastPing: result,
+      history: [result, ...target.history].slice(0, KEEPALIVE_HISTORY_SIZE)
+    }));
+  }));
+}
+
+/**
+ * 将保活路径拼接到服务地址上，结果必须与服务地址同源
+ * 以 // 或 /\ 开头的路径会被解析为其他主机，因此一律拒绝
+ * @param {string} serviceUrl - Render返回的服务URL
+ * @param {string} path - 保活路径
+ * @returns {string|null} - 完整的请求地址，不属于该服务时返回null
+ */
+function resolveKeepAliveUrl(serviceUrl, path) {
+  if (typeof path !== 'string' || !/^\/(?![\/\\])/.test(path)) {
+    return null;
+  }
+  
+  try {
+    const url = new URL(path, serviceUrl);
+    return url.origin === new URL(serviceUrl).origin ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 请求一次保活地址
+ * @param {Object} target - 保活配置
+ * @returns {Promise<{timestamp: number, ok: boolean, status: number|null, durationMs: number, error: string|null}>} - 请求结果
+ */
+async function pingKeepAliveTarget(target) {
+  const timestamp = Date.now();
+  
+  // 保存时已校验，这里再次确认请求地址仍属于该服务
+  const url = resolveKeepAliveUrl(target.url, target.path);
+  if (!url) {
+    return {
+      timestamp: timestamp,
+      ok: false,
+      status: null,
+      durationMs: 0,
+      error: '请求地址不属于该服务，已跳过'
+    };
+  }
+  
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), KEEPALIVE_TIMEOUT);
+  
+  try {
+    const response = await fetch(url, {
+      headers: { 'user-agent': 'render-service-manager-keepalive' },
+      redirect: 'follow',
+      signal: controller.signal
+    });
+    await response.body?.cancel();
     
-    button {
-      width: 100%;
-      padding: 16px;
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      color: white;
-      border: none;
-      border-radius: 12px;
-      font-size: 16px;
-      font-weight: 600;
-      cursor: pointer;
-      transition: all 0.3s ease;
-      margin-top: 10px;
-      box-shadow: 0 10px 20px rgba(102, 126, 234, 0.3);
-    }
+    return {
+      timestamp: timestamp,
+      ok: response.ok,
+      status: response.status,
+      durationMs: Date.now() - timestamp,
+      error: null
+    };
+  } catch (error) {
+    console.error(`保活请求 ${target.url}${target.path} 出错:`, error);
+    return {
+      timestamp: timestamp,
+      ok: false,
+      status: null,
+      durationMs: Date.now() - timestamp,
+      error: error.name === 'AbortError' ? `超过 ${KEEPALIVE_TIMEOUT / 1000} 秒未响应` : String(error.message || error).slice(0, 200)
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 处理定时触发器事件
+ * @param {ScheduledEvent} event - 定时事件
+ * @returns {Promise<void>}
+ */
+async function handleScheduled(event) {
+  const now = new Date(event.scheduledTime || Date.now());
+  
+  try {
+    await runSleepSchedules(now);
+  } catch (error) {
+    console.error('执行休眠计划出错:', error);
+  }
+  
+  try {
+    await runKeepAlivePings(now);
+  } catch (error) {
+    console.error('执行保活请求出错:', error);
+  }
+}
+
+/**
+ * 处理获取环境变量请求
+ * @param {Request} request - 环境变量请求
+ * @param {FetchEvent} event - 请求事件，用于后台刷新缓存
+ * @returns {Promise<Response>} - 环境变量响应
+ */
+async function handleGetEnvVars(request, event) {
+  console.log('调用handleGetEnvVars');
+  
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    console.log('会话验证失败');
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), { 
+      status: 401, 
+      headers: { 'Content-Type': 'application/json' } 
+    });
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'env:read')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const url = new URL(request.url);
+    const pathParts = url.pathname.split('/');
+    console.log('路径部分:', pathParts);
     
-    button:hover {
-      transform: translateY(-2px);
-      box-shadow: 0 15px 30px rgba(102, 126, 234, 0.4);
-    }
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
     
-    button:active {
-      transform: translateY(0);
-    }
+    console.log(`提取的accountId: ${accountId}, serviceId: ${serviceId}`);
     
-    .error-message {
-      color: #e53e3e;
-      background-color: #fed7d7;
-      padding: 12px 16px;
-      border-radius: 10px;
-      margin-bottom: 20px;
-      text-align: center;
-      font-size: 14px;
-      font-weight: 500;
-      animation: shake 0.5s ease-in-out;
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
     }
     
-    @keyframes shake {
-      0%, 100% { transform: translateX(0); }
-      10%, 30%, 50%, 70%, 90% { transform: translateX(-5px); }
-      20%, 40%, 60%, 80% { transform: translateX(5px); }
-    }
+    console.log(`找到账户: ${account.name} (ID: ${account.id})`);
     
-    .footer {
-      text-align: center;
-      margin-top: 30px;
-      color: #a0aec0;
-      font-size: 14px;
-    }
+    // 获取环境变量
+    const envVars = await cachedFetch(
+      `cache:${account.id}:env-vars:${serviceId}`,
+      getCacheTtl('envVars'),
+      () => getEnvVarsForService(account, serviceId),
+      { refresh: url.searchParams.has('refresh'), event }
+    );
+    console.log(`获取了 ${envVars.length} 个环境变量`);
     
-    .footer a {
-      color: #667eea;
-      text-decoration: none;
-      font-weight: 600;
-    }
+    return new Response(JSON.stringify(envVars), { 
+      status: 200, 
+      headers: { 'Content-Type': 'application/json' } 
+    });
+  } catch (error) {
+    console.error('获取环境变量出错:', error);
+    return renderErrorResponse(error, '获取环境变量失败');
+  }
+}
+
+/**
+ * 处理更新所有环境变量请求
+ * @param {Request} request - 更新环境变量请求
+ * @returns {Promise<Response>} - 更新响应
+ */
+async function handleUpdateAllEnvVars(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), { 
+      status: 401, 
+      headers: { 'Content-Type': 'application/json' } 
+    });
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'env:write')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const url = new URL(request.url);
+    const pathParts = url.pathname.split('/');
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
+    const envVars = await request.json();
     
-    .footer a:hover {
-      text-decoration: underline;
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
     }
-  </style>
-</head>
-<body>
-  <div class="login-container">
-    <div class="logo">
-      <div class="logo-icon">
-        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-          <path d="M12 2L2 7V12C2 16.5 4.23 20.68 7.62 23.15L12 25L16.38 23.15C19.77 20.68 22 16.5 22 12V7L12 2M12 4.18L19.25 7.8V12C19.25 15.58 17.58 18.85 15 20.75V13.25H9V20.75C6.42 18.85 4.75 15.58 4.75 12V7.8L12 4.18Z" />
-        </svg>
-      </div>
-      <h1>Render Manager</h1>
-      <p class="subtitle">登录您的账户</p>
-    </div>
     
-    ${error ? `<div class="error-message">${error}</div>` : ''}
+    // 记录修改前的值，用于生成逐个变量的审计记录
+    const previousEnvVars = await getEnvVarsForService(account, serviceId);
     
-    <form method="post" action="/login">
-      <div class="form-group">
-        <label for="username">用户名</label>
-        <input type="text" id="username" name="username" required placeholder="输入您的用户名">
-      </div>
-      <div class="form-group">
-        <label for="password">密码</label>
-        <input type="password" id="password" name="password" required placeholder="输入您的密码">
-      </div>
-      <button type="submit">登录</button>
-    </form>
+    // 更新所有环境变量
+    const result = await updateAllEnvVarsForService(account, serviceId, envVars);
+    await invalidateServiceCache(account.id, serviceId);
     
-    <div class="footer">
-      <p>© 2025 Render Service Manager | <a href="https://github.com/ssfun/render-service-manager" target="_blank" rel="noopener noreferrer">@sfun</a></p>
-    </div>
-  </div>
-</body>
-</html>
-  `;
-  
-  return new Response(html, {
-    headers: { 'Content-Type': 'text/html' }
-  });
+    await recordEnvVarsReplaceAudit(request, session, account, serviceId, previousEnvVars, envVars);
+    
+    return new Response(JSON.stringify(result), { 
+      status: 200, 
+      headers: { 'Content-Type': 'application/json' } 
+    });
+  } catch (error) {
+    console.error('更新环境变量出错:', error);
+    return renderErrorResponse(error, '更新环境变量失败');
+  }
 }
 
 /**
- * 渲染仪表板页面，布局优化
- * @returns {Response} - 仪表板HTML响应
+ * 处理更新单个环境变量请求
+ * @param {Request} request - 更新单个环境变量请求
+ * @returns {Promise<Response>} - 更新响应
  */
-function renderDashboard() {
-  const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Render Service Management</title>
-  <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
-    
-    body {
-      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
-      background: #f0f2f5;
-      color: #1a202c;
-      line-height: 1.6;
-      min-height: 100vh;
-      display: flex;
-      flex-direction: column;
-    }
+async function handleUpdateSingleEnvVar(request) {
+  console.log('调用handleUpdateSingleEnvVar');
+  
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    console.log('会话验证失败');
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), { 
+      status: 401, 
+      headers: { 'Content-Type': 'application/json' } 
+    });
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'env:write')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const url = new URL(request.url);
+    const pathParts = url.pathname.split('/');
+    console.log('路径部分:', pathParts);
     
-    /* 头部样式 */
-    .header {
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      color: white;
-      padding: 1.5rem 0;
-      box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
-      position: sticky;
-      top: 0;
-      z-index: 100;
-    }
+    // 路径结构: /api/env-vars/{accountId}/{serviceId}/{envVarKey}
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
+    const envVarKey = decodeURIComponent(pathParts[5]);
     
-    .header-container {
-      max-width: 1400px;
-      margin: 0 auto;
-      padding: 0 2rem;
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-    }
+    console.log(`提取的accountId: ${accountId}, serviceId: ${serviceId}, envVarKey: ${envVarKey}`);
     
-    .logo {
-      display: flex;
-      align-items: center;
-      gap: 15px;
-    }
+    const { value } = await request.json();
+    console.log(`要更新的值: ${value}`);
     
-    .logo-icon {
-      width: 45px;
-      height: 45px;
-      background: rgba(255, 255, 255, 0.2);
-      backdrop-filter: blur(10px);
-      border-radius: 12px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      box-shadow: 0 8px 16px rgba(0, 0, 0, 0.1);
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
     }
     
-    .logo-icon svg {
-      width: 25px;
-      height: 25px;
-      fill: white;
-    }
+    console.log(`找到账户: ${account.name} (ID: ${account.id})`);
     
-    h1 {
-      font-size: 24px;
-      font-weight: 700;
-    }
+    // 记录修改前的值，用于审计
+    const previous = await getEnvVarForService(account, serviceId, envVarKey);
     
-    .logout-btn {
-      padding: 10px 20px;
-      background: rgba(255, 255, 255, 0.2);
-      backdrop-filter: blur(10px);
-      color: white;
-      border: 1px solid rgba(255, 255, 255, 0.3);
-      border-radius: 10px;
-      cursor: pointer;
-      text-decoration: none;
-      font-weight: 600;
-      font-size: 14px;
-      display: flex;
-      align-items: center;
-      gap: 8px;
-      transition: all 0.3s ease;
-    }
+    // 更新单个环境变量
+    const result = await updateSingleEnvVarForService(account, serviceId, envVarKey, value);
+    await invalidateServiceCache(account.id, serviceId);
+    console.log('更新结果:', result);
     
-    .logout-btn:hover {
-      background: rgba(255, 255, 255, 0.3);
-      transform: translateY(-1px);
+    await recordAudit(request, session, {
+      action: previous ? 'env.update' : 'env.create',
+      accountId: account.id,
+      serviceId: serviceId,
+      envVarKey: envVarKey,
+      beforeHash: previous ? await hashAuditValue(previous.value) : null,
+      afterHash: await hashAuditValue(value)
+    });
+    
+    return new Response(JSON.stringify(result), { 
+      status: 200, 
+      headers: { 'Content-Type': 'application/json' } 
+    });
+  } catch (error) {
+    console.error('更新环境变量出错:', error);
+    return renderErrorResponse(error, '更新环境变量失败');
+  }
+}
+
+/**
+ * 处理删除环境变量请求
+ * @param {Request} request - 删除环境变量请求
+ * @returns {Promise<Response>} - 删除响应
+ */
+async function handleDeleteEnvVar(request) {
+  console.log('调用handleDeleteEnvVar');
+  
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    console.log('会话验证失败');
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), { 
+      status: 401, 
+      headers: { 'Content-Type': 'application/json' } 
+    });
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'env:write')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const url = new URL(request.url);
+    const pathParts = url.pathname.split('/');
+    console.log('路径部分:', pathParts);
+    
+    // 路径结构: /api/env-vars/{accountId}/{serviceId}/{envVarKey}
+    const accountId = decodeURIComponent(pathParts[3]);
+    const serviceId = pathParts[4];
+    const envVarKey = decodeURIComponent(pathParts[5]);
+    
+    console.log(`提取的accountId: ${accountId}, serviceId: ${serviceId}, envVarKey: ${envVarKey}`);
+    
+    // 查找账户并检查访问范围
+    const { account, errorResponse } = await resolveAccount(session, accountId, serviceId);
+    if (errorResponse) {
+      return errorResponse;
     }
     
-    /* 主容器 */
-    .main-content {
-      flex: 1;
+    console.log(`找到账户: ${account.name} (ID: ${account.id})`);
+    
+    // 记录删除前的值，用于审计
+    const previous = await getEnvVarForService(account, serviceId, envVarKey);
+    
+    // 删除环境变量
+    await deleteEnvVarForService(account, serviceId, envVarKey);
+    await invalidateServiceCache(account.id, serviceId);
+    console.log('环境变量删除成功');
+    
+    await recordAudit(request, session, {
+      action: 'env.delete',
+      accountId: account.id,
+      serviceId: serviceId,
+      envVarKey: envVarKey,
+      beforeHash: previous ? await hashAuditValue(previous.value) : null,
+      afterHash: null
+    });
+    
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    console.error('删除环境变量出错:', error);
+    return renderErrorResponse(error, '删除环境变量失败');
+  }
+}
+
+/**
+ * 处理获取用户列表请求（仅管理员）
+ * @param {Request} request - 用户列表请求
+ * @returns {Promise<Response>} - 用户列表响应
+ */
+async function handleGetUsers(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'users:manage')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const users = await listUsers();
+    return jsonResponse(users.map(toPublicUser));
+  } catch (error) {
+    console.error('获取用户列表出错:', error);
+    return jsonResponse({ error: '获取用户列表失败' }, 500);
+  }
+}
+
+/**
+ * 处理邀请用户请求（仅管理员）
+ * 已邀请但尚未接受的用户可以重新邀请，旧链接随之失效
+ * @param {Request} request - 邀请请求
+ * @returns {Promise<Response>} - 包含邀请链接的响应
+ */
+async function handleInviteUser(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'users:manage')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const { username, role } = await request.json();
+    
+    if (typeof username !== 'string' || !/^[a-zA-Z0-9._@-]{3,64}$/.test(username)) {
+      return jsonResponse({ error: '用户名须为3-64位字母、数字或 . _ @ -' }, 400);
     }
     
-    .container {
-      max-width: 1400px;
-      margin: 0 auto;
-      padding: 2rem;
+    if (!ROLE_PERMISSIONS[role]) {
+      return jsonResponse({ error: '无效的角色' }, 400);
     }
     
-    /* 统计栏 */
-    .stats-bar {
-      background: white;
-      border-radius: 16px;
-      padding: 1.5rem;
-      margin-bottom: 2rem;
-      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.04);
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      gap: 2rem;
+    const existing = await getUser(username);
+    if (existing && (existing.builtin || existing.status !== 'invited')) {
+      return jsonResponse({ error: '用户已存在' }, 409);
     }
     
-    .stats-content {
-      display: flex;
-      align-items: center;
-      gap: 3rem;
-      flex: 1;
+    const token = generateSessionId();
+    const inviteId = generateSessionId();
+    const user = {
+      username: username,
+      role: role,
+      status: 'invited',
+      disabled: false,
+      inviteId: inviteId,
+      invitedBy: session.username,
+      createdAt: existing ? existing.createdAt : Date.now()
+    };
+    
+    await saveUser(user);
+    await RENDER_KV.put(`invite:${token}`, JSON.stringify({ username, inviteId }), { expirationTtl: INVITE_TTL });
+    
+    await recordAudit(request, session, { action: 'user.invite', targetUser: username, role: role });
+    console.log(`用户 ${session.username} 邀请了 ${username} (${role})`);
+    
+    const url = new URL(request.url);
+    return jsonResponse({
+      user: toPublicUser(user),
+      inviteUrl: `${url.origin}/invite?token=${token}`
+    }, 201);
+  } catch (error) {
+    console.error('邀请用户出错:', error);
+    return jsonResponse({ error: '邀请用户失败' }, 500);
+  }
+}
+
+/**
+ * 处理更新用户请求（修改角色或禁用/启用，仅管理员）
+ * @param {Request} request - 更新用户请求
+ * @returns {Promise<Response>} - 更新后的用户
+ */
+async function handleUpdateUser(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'users:manage')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const url = new URL(request.url);
+    // 路径结构: /api/users/{username}
+    const username = decodeURIComponent(url.pathname.split('/')[3] || '');
+    const { role, disabled, scope, resetTotp } = await request.json();
+    
+    const user = await getUser(username);
+    if (!user) {
+      return jsonResponse({ error: '找不到用户' }, 404);
     }
     
-    .stat-item {
-      display: flex;
-      align-items: center;
-      gap: 1rem;
+    if (user.builtin) {
+      return jsonResponse({ error: '内置管理员不可修改' }, 400);
     }
     
-    .stat-icon {
-      width: 48px;
-      height: 48px;
-      background: linear-gradient(135deg, #667eea20 0%, #764ba220 100%);
-      border-radius: 12px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      color: #667eea;
+    if (user.username.toLowerCase() === session.username.toLowerCase()) {
+      return jsonResponse({ error: '不能修改自己的角色或状态' }, 400);
     }
     
-    .stat-info h3 {
-      font-size: 24px;
-      font-weight: 700;
-      color: #2d3748;
-      margin: 0;
+    // 审计中记录本次修改的字段
+    const changes = [];
+    
+    if (role !== undefined) {
+      if (!ROLE_PERMISSIONS[role]) {
+        return jsonResponse({ error: '无效的角色' }, 400);
+      }
+      changes.push(`role: ${user.role} → ${role}`);
+      user.role = role;
     }
     
-    .stat-info p {
-      font-size: 14px;
-      color: #718096;
-      margin: 0;
+    if (disabled !== undefined) {
+      changes.push(`disabled: ${!!user.disabled} → ${!!disabled}`);
+      user.disabled = !!disabled;
     }
     
-    .search-box {
-      position: relative;
-      width: 300px;
+    // 用户丢失验证器和恢复码时，由管理员重置双因素认证
+    if (resetTotp) {
+      clearTotp(user);
+      changes.push('resetTotp');
     }
     
-    .search-input {
-      width: 100%;
-      padding: 12px 40px 12px 16px;
-      border: 2px solid #e2e8f0;
-      border-radius: 12px;
-      font-size: 14px;
-      transition: all 0.3s ease;
-      background-color: #f7fafc;
+    if (scope !== undefined) {
+      try {
+        user.scope = await normalizeScope(scope);
+      } catch (error) {
+        return jsonResponse({ error: error.message }, 400);
+      }
+      changes.push('scope');
     }
     
-    .search-input:focus {
-      outline: none;
-      border-color: #667eea;
-      background-color: white;
-      box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
-    }
+    await saveUser(user);
+    await recordAudit(request, session, { action: 'user.update', targetUser: user.username, changes: changes.join(', ') });
+    console.log(`用户 ${session.username} 更新了 ${user.username}: role=${user.role}, disabled=${user.disabled}, scope=${JSON.stringify(user.scope || null)}`);
     
-    .search-icon {
-      position: absolute;
-      right: 12px;
-      top: 50%;
-      transform: translateY(-50%);
-      color: #94a3b8;
-      pointer-events: none;
-    }
+    return jsonResponse(toPublicUser(user));
+  } catch (error) {
+    console.error('更新用户出错:', error);
+    return jsonResponse({ error: '更新用户失败' }, 500);
+  }
+}
+
+/**
+ * 查找有效的邀请
+ * @param {string} token - 邀请令牌
+ * @returns {Promise<Object|null>} - 被邀请的用户，若邀请无效则为null
+ */
+async function findInvitedUser(token) {
+  if (!token) {
+    return null;
+  }
+  
+  const inviteData = await RENDER_KV.get(`invite:${token}`);
+  if (!inviteData) {
+    return null;
+  }
+  
+  const invite = JSON.parse(inviteData);
+  const user = await getUser(invite.username);
+  
+  // 重新邀请后旧链接的inviteId不再匹配
+  if (!user || user.status !== 'invited' || user.inviteId !== invite.inviteId) {
+    return null;
+  }
+  
+  return user;
+}
+
+/**
+ * 处理邀请页面请求
+ * @param {Request} request - 邀请页面请求
+ * @returns {Promise<Response>} - 设置密码页面
+ */
+async function handleInvitePage(request) {
+  const url = new URL(request.url);
+  const token = url.searchParams.get('token') || '';
+  
+  const user = await findInvitedUser(token);
+  if (!user) {
+    return renderInvitePage('', '', '邀请链接无效或已过期');
+  }
+  
+  return renderInvitePage(token, user.username);
+}
+
+/**
+ * 处理接受邀请（设置密码）请求
+ * @param {Request} request - 设置密码请求
+ * @returns {Promise<Response>} - 成功后重定向到登录页
+ */
+async function handleAcceptInvite(request) {
+  try {
+    const formData = await request.formData();
+    const token = formData.get('token') || '';
+    const password = formData.get('password') || '';
+    const confirmPassword = formData.get('confirmPassword') || '';
     
-    /* 服务网格布局 */
-    .services-grid {
-      display: grid;
-      grid-template-columns: repeat(auto-fill, minmax(400px, 1fr));
-      gap: 1.5rem;
+    const user = await findInvitedUser(token);
+    if (!user) {
+      return renderInvitePage('', '', '邀请链接无效或已过期');
     }
     
-    /* 增强的服务卡片 */
-    .service-card {
-      background: white;
-      border-radius: 16px;
-      overflow: hidden;
-      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.04);
-      transition: all 0.3s ease;
-      border: 1px solid #e2e8f0;
+    if (password.length < 8) {
+      return renderInvitePage(token, user.username, '密码至少需要8个字符');
     }
     
-    .service-card:hover {
-      transform: translateY(-4px);
-      box-shadow: 0 12px 24px rgba(0, 0, 0, 0.08);
+    if (password !== confirmPassword) {
+      return renderInvitePage(token, user.username, '两次输入的密码不一致');
     }
     
-    .service-card-header {
-      background: linear-gradient(135deg, #f7fafc 0%, #edf2f7 100%);
-      padding: 1.5rem;
-      border-bottom: 1px solid #e2e8f0;
-    }
+    user.salt = generateSessionId().slice(0, 32);
+    user.passwordHash = await hashPassword(password, user.salt);
+    user.status = 'active';
+    delete user.inviteId;
     
-    .service-header-top {
-      display: flex;
-      justify-content: space-between;
-      align-items: start;
-      margin-bottom: 0.75rem;
-    }
+    await saveUser(user);
+    await RENDER_KV.delete(`invite:${token}`);
     
-    .service-name {
-      font-size: 18px;
-      font-weight: 700;
-      color: #1a202c;
-      margin: 0;
-      line-height: 1.3;
-    }
+    console.log(`用户 ${user.username} 接受了邀请`);
     
-    .service-badges {
-      display: flex;
-      gap: 0.5rem;
-      align-items: center;
-    }
+    const headers = new Headers();
+    headers.set('Location', '/login');
+    return new Response(null, { status: 302, headers });
+  } catch (error) {
+    console.error('接受邀请出错:', error);
+    return renderInvitePage('', '', '设置密码过程中发生错误');
+  }
+}
+
+/**
+ * 处理获取活动会话请求
+ * 普通用户只能看到自己的会话，管理员可以看到所有用户的会话
+ * @param {Request} request - 获取请求
+ * @returns {Promise<Response>} - 会话列表，当前会话带有current标记
+ */
+async function handleGetSessions(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 会话只能通过登录会话管理
+  if (session.authType === 'token') {
+    return jsonResponse({ error: '此操作需要登录会话' }, 403);
+  }
+  
+  try {
+    const isAdmin = hasPermission(session, 'users:manage');
+    const sessions = (await listSessions())
+      .filter(item => isAdmin || item.username.toLowerCase() === session.username.toLowerCase())
+      .map(({ key, ...item }) => ({ ...item, current: item.id === session.id }));
     
-    .service-type {
-      padding: 4px 10px;
-      background: #e6f3ff;
-      color: #2563eb;
-      border-radius: 20px;
-      font-size: 11px;
-      font-weight: 600;
-      text-transform: uppercase;
-      letter-spacing: 0.5px;
-    }
+    sessions.sort((a, b) => (b.current - a.current) || (b.lastSeenAt - a.lastSeenAt));
+    return jsonResponse(sessions);
+  } catch (error) {
+    console.error('获取会话出错:', error);
+    return jsonResponse({ error: '获取会话失败' }, 500);
+  }
+}
+
+/**
+ * 处理撤销会话请求
+ * 用户可以撤销自己的会话，管理员可以撤销任何会话
+ * @param {Request} request - 撤销请求
+ * @returns {Promise<Response>} - 撤销响应
+ */
+async function handleRevokeSession(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 会话只能通过登录会话管理
+  if (session.authType === 'token') {
+    return jsonResponse({ error: '此操作需要登录会话' }, 403);
+  }
+  
+  try {
+    const url = new URL(request.url);
+    const id = url.pathname.split('/')[3];
     
-    .account-badge {
-      padding: 4px 10px;
-      background: linear-gradient(135deg, #667eea20 0%, #764ba220 100%);
-      color: #667eea;
-      border-radius: 20px;
-      font-size: 11px;
-      font-weight: 600;
-      display: flex;
-      align-items: center;
-      gap: 4px;
+    const target = (await listSessions()).find(item => item.id === id);
+    if (!target) {
+      return jsonResponse({ error: '会话不存在' }, 404);
     }
     
-    .service-meta {
-      display: flex;
-      align-items: center;
-      gap: 1.5rem;
-      font-size: 13px;
-      color: #64748b;
+    if (target.username.toLowerCase() !== session.username.toLowerCase() && !hasPermission(session, 'users:manage')) {
+      return jsonResponse({ error: '权限不足' }, 403);
     }
     
-    .meta-item {
-      display: flex;
-      align-items: center;
-      gap: 0.25rem;
-    }
+    await RENDER_KV.delete(target.key);
+    await recordAudit(request, session, { action: 'session.revoke', targetUser: target.username, sessionId: target.id });
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error('撤销会话出错:', error);
+    return jsonResponse({ error: '撤销会话失败' }, 500);
+  }
+}
+
+/**
+ * 处理撤销当前用户其他所有会话的请求
+ * @param {Request} request - 撤销请求
+ * @returns {Promise<Response>} - 被撤销的会话数量
+ */
+async function handleRevokeOtherSessions(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 会话只能通过登录会话管理
+  if (session.authType === 'token') {
+    return jsonResponse({ error: '此操作需要登录会话' }, 403);
+  }
+  
+  try {
+    const others = (await listSessions()).filter(item =>
+      item.username.toLowerCase() === session.username.toLowerCase() && item.id !== session.id
+    );
     
-    .service-card-body {
-      padding: 1.5rem;
+    for (const item of others) {
+      await RENDER_KV.delete(item.key);
     }
     
-    .service-status-row {
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      margin-bottom: 1.25rem;
+    if (others.length > 0) {
+      await recordAudit(request, session, { action: 'session.revoke-others', targetUser: session.username, revoked: others.length });
     }
     
-    .service-status {
-      display: inline-flex;
-      align-items: center;
-      gap: 6px;
-      padding: 8px 14px;
-      border-radius: 20px;
-      font-size: 13px;
-      font-weight: 600;
-    }
+    return jsonResponse({ revoked: others.length });
+  } catch (error) {
+    console.error('撤销其他会话出错:', error);
+    return jsonResponse({ error: '撤销其他会话失败' }, 500);
+  }
+}
+
+/**
+ * 处理获取登录失败记录请求（仅管理员）
+ * @param {Request} request - 获取请求
+ * @returns {Promise<Response>} - 按IP和用户名统计的失败记录，锁定中的排在前面
+ */
+async function handleGetLoginLockouts(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'users:manage')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const now = Date.now();
+    const records = [];
+    let cursor;
+    
+    do {
+      const result = await RENDER_KV.list({ prefix: 'login-fail:', cursor });
+      for (const key of result.keys) {
+        if (key.metadata) {
+          records.push({ ...key.metadata, locked: key.metadata.lockedUntil > now });
+        }
+      }
+      cursor = result.list_complete ? null : result.cursor;
+    } while (cursor);
     
-    .status-indicator {
-      width: 8px;
-      height: 8px;
-      border-radius: 50%;
-    }
+    records.sort((a, b) => (b.locked - a.locked) || (b.lastFailureAt - a.lastFailureAt));
+    return jsonResponse(records);
+  } catch (error) {
+    console.error('获取登录失败记录出错:', error);
+    return jsonResponse({ error: '获取登录失败记录失败' }, 500);
+  }
+}
+
+/**
+ * 处理解除登录锁定请求（仅管理员）
+ * 路径结构: /api/login-lockouts/{ip|user}/{subject}
+ * @param {Request} request - 解锁请求
+ * @returns {Promise<Response>} - 解锁响应
+ */
+async function handleUnlockLogin(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'users:manage')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const url = new URL(request.url);
+    const pathParts = url.pathname.split('/');
+    const type = pathParts[3];
+    const subject = decodeURIComponent(pathParts.slice(4).join('/'));
     
-    .status-live {
-      background-color: #d1fae5;
-      color: #065f46;
+    if (!['ip', 'user'].includes(type) || !subject) {
+      return jsonResponse({ error: '无效的锁定记录' }, 400);
     }
     
-    .status-live .status-indicator {
-      background-color: #10b981;
-      box-shadow: 0 0 0 2px rgba(16, 185, 129, 0.2);
+    await RENDER_KV.delete(getLoginFailureKey(type, subject));
+    await recordAudit(request, session, { action: 'login.unlock', lockType: type, subject: subject });
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error('解除登录锁定出错:', error);
+    return jsonResponse({ error: '解除登录锁定失败' }, 500);
+  }
+}
+
+/**
+ * 处理获取双因素认证状态请求
+ * @param {Request} request - 状态请求
+ * @returns {Promise<Response>} - 当前用户的双因素认证状态
+ */
+async function handleGetTotpStatus(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 安全设置只能通过登录会话修改
+  if (session.authType === 'token') {
+    return jsonResponse({ error: '此操作需要登录会话' }, 403);
+  }
+  
+  const user = await getUser(session.username);
+  return jsonResponse({
+    enabled: !!user.totpEnabled,
+    recoveryCodesRemaining: (user.recoveryCodeHashes || []).length
+  });
+}
+
+/**
+ * 处理开始启用双因素认证请求：生成待确认的密钥
+ * @param {Request} request - 设置请求
+ * @returns {Promise<Response>} - 密钥和otpauth URI
+ */
+async function handleSetupTotp(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 安全设置只能通过登录会话修改
+  if (session.authType === 'token') {
+    return jsonResponse({ error: '此操作需要登录会话' }, 403);
+  }
+  
+  try {
+    const user = await getUser(session.username);
+    if (user.totpEnabled) {
+      return jsonResponse({ error: '双因素认证已启用' }, 409);
     }
     
-    .status-suspended {
-      background-color: #fee2e2;
-      color: #991b1b;
-    }
+    // 160位密钥，RFC 4226推荐长度
+    const secretBytes = new Uint8Array(20);
+    crypto.getRandomValues(secretBytes);
+    const secret = base32Encode(secretBytes);
     
-    .status-suspended .status-indicator {
-      background-color: #ef4444;
-      box-shadow: 0 0 0 2px rgba(239, 68, 68, 0.2);
-    }
+    user.totpPendingSecret = secret;
+    await saveUser(user);
     
-    .service-url {
-      color: #3b82f6;
-      text-decoration: none;
-      font-size: 13px;
-      display: flex;
-      align-items: center;
-      gap: 0.25rem;
-      transition: color 0.2s ease;
-    }
-    
-    .service-url:hover {
-      color: #2563eb;
-      text-decoration: underline;
-    }
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username}`);
+    const issuer = encodeURIComponent(TOTP_ISSUER);
+    const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
     
-    .service-info-grid {
-      display: grid;
-      grid-template-columns: repeat(2, 1fr);
-      gap: 1rem;
-      margin-bottom: 1.5rem;
-    }
+    return jsonResponse({ secret, otpauthUri });
+  } catch (error) {
+    console.error('生成双因素认证密钥出错:', error);
+    return jsonResponse({ error: '生成双因素认证密钥失败' }, 500);
+  }
+}
+
+/**
+ * 处理确认启用双因素认证请求：校验动态码并生成恢复码
+ * @param {Request} request - 启用请求，包含code
+ * @returns {Promise<Response>} - 一次性展示的恢复码
+ */
+async function handleEnableTotp(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 安全设置只能通过登录会话修改
+  if (session.authType === 'token') {
+    return jsonResponse({ error: '此操作需要登录会话' }, 403);
+  }
+  
+  try {
+    const { code } = await request.json();
+    const user = await getUser(session.username);
     
-    .info-item {
-      display: flex;
-      flex-direction: column;
-      gap: 0.25rem;
+    if (!user.totpPendingSecret) {
+      return jsonResponse({ error: '请先生成密钥' }, 400);
     }
     
-    .info-label {
-      font-size: 12px;
-      font-weight: 600;
-      color: #94a3b8;
-      text-transform: uppercase;
-      letter-spacing: 0.5px;
+    const step = await verifyTotpCode(user.totpPendingSecret, String(code || '').trim());
+    if (step === null) {
+      return jsonResponse({ error: '验证码无效' }, 400);
     }
     
-    .info-value {
-      font-size: 14px;
-      color: #374151;
-      font-weight: 500;
-    }
+    const recoveryCodes = generateRecoveryCodes();
+    user.totpSecret = user.totpPendingSecret;
+    user.totpEnabled = true;
+    user.totpLastUsedStep = step;
+    user.recoveryCodeHashes = await Promise.all(recoveryCodes.map(sha256Hex));
+    delete user.totpPendingSecret;
     
-    .service-actions {
-      display: grid;
-      grid-template-columns: repeat(3, 1fr);
-      gap: 0.75rem;
-    }
+    await saveUser(user);
+    await recordAudit(request, session, { action: 'totp.enable', targetUser: user.username });
+    console.log(`用户 ${user.username} 启用了双因素认证`);
     
-    .action-btn {
-      padding: 10px 12px;
-      border: none;
-      border-radius: 10px;
-      font-weight: 600;
-      font-size: 13px;
-      cursor: pointer;
-      transition: all 0.3s ease;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      gap: 6px;
-    }
+    return jsonResponse({ recoveryCodes });
+  } catch (error) {
+    console.error('启用双因素认证出错:', error);
+    return jsonResponse({ error: '启用双因素认证失败' }, 500);
+  }
+}
+
+/**
+ * 处理关闭双因素认证请求，需要提供动态码或恢复码
+ * @param {Request} request - 关闭请求，包含code
+ * @returns {Promise<Response>} - 关闭结果
+ */
+async function handleDisableTotp(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 安全设置只能通过登录会话修改
+  if (session.authType === 'token') {
+    return jsonResponse({ error: '此操作需要登录会话' }, 403);
+  }
+  
+  try {
+    const { code } = await request.json();
+    const user = await getUser(session.username);
     
-    .deploy-btn {
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      color: white;
-      box-shadow: 0 4px 12px rgba(102, 126, 234, 0.25);
+    if (!user.totpEnabled) {
+      return jsonResponse({ error: '双因素认证未启用' }, 400);
     }
     
-    .deploy-btn:hover {
-      transform: translateY(-1px);
-      box-shadow: 0 6px 16px rgba(102, 126, 234, 0.35);
+    if (!await verifySecondFactor(user, code || '')) {
+      return jsonResponse({ error: '验证码无效' }, 400);
     }
     
-    .env-vars-btn {
-      background: #f1f5f9;
-      color: #475569;
-      border: 1px solid #e2e8f0;
-    }
+    clearTotp(user);
+    await saveUser(user);
+    await recordAudit(request, session, { action: 'totp.disable', targetUser: user.username });
+    console.log(`用户 ${user.username} 关闭了双因素认证`);
     
-    .env-vars-btn:hover {
-      background: #e2e8f0;
-      color: #334155;
-      transform: translateY(-1px);
-    }
+    return jsonResponse({ enabled: false });
+  } catch (error) {
+    console.error('关闭双因素认证出错:', error);
+    return jsonResponse({ error: '关闭双因素认证失败' }, 500);
+  }
+}
+
+/**
+ * 清除用户的双因素认证数据
+ * @param {Object} user - 用户数据
+ */
+function clearTotp(user) {
+  delete user.totpSecret;
+  delete user.totpPendingSecret;
+  delete user.totpLastUsedStep;
+  delete user.recoveryCodeHashes;
+  user.totpEnabled = false;
+}
+
+/**
+ * 处理获取API令牌列表请求
+ * 普通用户只能看到自己的令牌，管理员可以看到所有令牌
+ * @param {Request} request - 令牌列表请求
+ * @returns {Promise<Response>} - 令牌列表
+ */
+async function handleGetApiTokens(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 令牌只能通过登录会话管理
+  if (session.authType === 'token') {
+    return jsonResponse({ error: '此操作需要登录会话' }, 403);
+  }
+  
+  try {
+    const isAdmin = hasPermission(session, 'users:manage');
+    const tokens = [];
+    let cursor;
+    
+    do {
+      const result = await RENDER_KV.list({ prefix: 'apitoken:', cursor });
+      for (const key of result.keys) {
+        const tokenData = await RENDER_KV.get(key.name);
+        if (!tokenData) {
+          continue;
+        }
+        const record = JSON.parse(tokenData);
+        if (isAdmin || record.username.toLowerCase() === session.username.toLowerCase()) {
+          tokens.push(toPublicToken(record));
+        }
+      }
+      cursor = result.list_complete ? null : result.cursor;
+    } while (cursor);
     
-    .events-btn {
-      background: #fef3c7;
-      color: #92400e;
-      border: 1px solid #fde68a;
-    }
+    tokens.sort((a, b) => b.createdAt - a.createdAt);
+    return jsonResponse(tokens);
+  } catch (error) {
+    console.error('获取API令牌出错:', error);
+    return jsonResponse({ error: '获取API令牌失败' }, 500);
+  }
+}
+
+/**
+ * 处理创建API令牌请求
+ * 令牌明文只在创建时返回一次
+ * @param {Request} request - 创建请求，包含name、scopes和expiresInDays
+ * @returns {Promise<Response>} - 新令牌
+ */
+async function handleCreateApiToken(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 令牌只能通过登录会话管理
+  if (session.authType === 'token') {
+    return jsonResponse({ error: '此操作需要登录会话' }, 403);
+  }
+  
+  try {
+    const { name, scopes, expiresInDays } = await request.json();
     
-    .events-btn:hover {
-      background: #fde68a;
-      color: #78350f;
-      transform: translateY(-1px);
+    // 名称只允许文字、数字、空格和 . _ -，避免在页面中被当作代码执行
+    if (typeof name !== 'string' || !/^[\p{L}\p{N} ._-]{1,64}$/u.test(name.trim())) {
+      return jsonResponse({ error: '令牌名称须为1-64个字符，只能包含文字、数字、空格和 . _ -' }, 400);
     }
     
-    .action-btn:disabled {
-      background: #cbd5e1;
-      color: #94a3b8;
-      cursor: not-allowed;
-      box-shadow: none;
-      transform: none;
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return jsonResponse({ error: '请至少选择一个权限' }, 400);
     }
     
-    /* 页脚样式 */
-    .footer {
-      background: white;
-      border-top: 1px solid #e2e8f0;
-      padding: 1.5rem 0;
-      margin-top: 3rem;
+    // 只能授予自己拥有的权限
+    const invalidScope = scopes.find(scope => !TOKEN_SCOPES.includes(scope) || !hasPermission(session, scope));
+    if (invalidScope) {
+      return jsonResponse({ error: `无法授予权限: ${invalidScope}` }, 400);
     }
     
-    .footer p {
-      text-align: center;
-      color: #64748b;
-      font-size: 14px;
-      margin: 0;
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > TOKEN_MAX_DAYS) {
+      return jsonResponse({ error: `有效期须为1-${TOKEN_MAX_DAYS}天` }, 400);
     }
     
-    .footer a {
-      color: #667eea;
-      text-decoration: none;
-      font-weight: 600;
-    }
+    const tokenId = generateSessionId().slice(0, 16);
+    const secret = generateSessionId();
+    const record = {
+      id: tokenId,
+      name: name.trim(),
+      username: session.username,
+      scopes: [...new Set(scopes)],
+      tokenHash: await sha256Hex(secret),
+      createdAt: Date.now(),
+      expiresAt: Date.now() + days * 24 * 60 * 60 * 1000
+    };
     
-    .footer a:hover {
-      text-decoration: underline;
-    }
+    await saveApiToken(record);
+    await recordAudit(request, session, {
+      action: 'token.create',
+      targetUser: record.username,
+      tokenId: tokenId,
+      tokenName: record.name,
+      scopes: record.scopes.join(' ')
+    });
+    console.log(`用户 ${session.username} 创建了API令牌 ${record.name} (${tokenId})`);
     
-    /* 加载和消息样式 */
-    .loading {
-      text-align: center;
-      padding: 4rem 2rem;
-      color: #64748b;
-    }
+    return jsonResponse({ ...toPublicToken(record), token: `rsm_${tokenId}_${secret}` }, 201);
+  } catch (error) {
+    console.error('创建API令牌出错:', error);
+    return jsonResponse({ error: '创建API令牌失败' }, 500);
+  }
+}
+
+/**
+ * 处理撤销API令牌请求（令牌所有者或管理员）
+ * @param {Request} request - 撤销请求
+ * @returns {Promise<Response>} - 撤销响应
+ */
+async function handleRevokeApiToken(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 令牌只能通过登录会话管理
+  if (session.authType === 'token') {
+    return jsonResponse({ error: '此操作需要登录会话' }, 403);
+  }
+  
+  try {
+    const url = new URL(request.url);
+    // 路径结构: /api/tokens/{tokenId}
+    const tokenId = url.pathname.split('/')[3];
     
-    .loading-spinner {
-      display: inline-block;
-      width: 50px;
-      height: 50px;
-      border: 4px solid #e2e8f0;
-      border-radius: 50%;
-      border-top-color: #667eea;
-      animation: spin 1s ease-in-out infinite;
-      margin-bottom: 1rem;
+    const tokenData = await RENDER_KV.get(`apitoken:${tokenId}`);
+    if (!tokenData) {
+      return jsonResponse({ error: '找不到令牌' }, 404);
     }
     
-    @keyframes spin {
-      to { transform: rotate(360deg); }
+    const record = JSON.parse(tokenData);
+    const isOwner = record.username.toLowerCase() === session.username.toLowerCase();
+    if (!isOwner && !hasPermission(session, 'users:manage')) {
+      return jsonResponse({ error: '权限不足' }, 403);
     }
     
-    /* 模态框样式 */
-    .modal {
-      display: none;
-      position: fixed;
-      z-index: 1000;
-      left: 0;
-      top: 0;
-      width: 100%;
-      height: 100%;
-      background-color: rgba(0, 0, 0, 0.6);
-      backdrop-filter: blur(8px);
-      animation: fadeIn 0.3s ease-out;
-    }
+    await RENDER_KV.delete(`apitoken:${tokenId}`);
+    await recordAudit(request, session, { action: 'token.revoke', targetUser: record.username, tokenId: tokenId, tokenName: record.name });
+    console.log(`用户 ${session.username} 撤销了API令牌 ${record.name} (${tokenId})`);
     
-    .modal.show {
-      display: block;
-    }
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    console.error('撤销API令牌出错:', error);
+    return jsonResponse({ error: '撤销API令牌失败' }, 500);
+  }
+}
+
+/**
+ * 计算环境变量值的审计哈希
+ * 使用以SESSION_SECRET为密钥的HMAC，避免通过哈希反推常见的值
+ * @param {string} value - 环境变量值
+ * @returns {Promise<string|null>} - 截断的十六进制哈希
+ */
+async function hashAuditValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(SESSION_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(String(value)));
+  return Array.from(new Uint8Array(signature).slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 写入一条审计记录
+ * 键按时间倒序排列，完整记录写入值；元数据中也保存记录以便列表时无需逐条读取，
+ * 超过KV元数据大小上限时只保存摘要（标记partial），列表时再读取完整记录
+ * 审计写入失败只记录日志，不影响已完成的操作
+ * @param {Request} request - 触发操作的请求
+ * @param {Object} session - 当前会话
+ * @param {Object} details - 操作详情（action、accountId、serviceId、envVarKey、beforeHash、afterHash、targetUser等）
+ * @returns {Promise<void>}
+ */
+async function recordAudit(request, session, details) {
+  const timestamp = Date.now();
+  const entry = {
+    timestamp: timestamp,
+    user: session.username,
+    via: session.authType === 'token' ? `token:${session.tokenId}` : 'session',
+    ip: request.headers.get('CF-Connecting-IP') || '',
+    ...details
+  };
+  
+  try {
+    const reverseTime = String(9999999999999 - timestamp).padStart(13, '0');
+    const value = JSON.stringify(entry);
+    const metadata = new TextEncoder().encode(value).length <= KV_METADATA_LIMIT ? entry : {
+      timestamp: entry.timestamp,
+      user: entry.user,
+      action: entry.action,
+      accountId: entry.accountId,
+      serviceId: entry.serviceId,
+      partial: true
+    };
+    await RENDER_KV.put(`audit:${reverseTime}:${generateSessionId().slice(0, 8)}`, value, {
+      metadata: metadata,
+      expirationTtl: AUDIT_RETENTION_DAYS * 24 * 60 * 60
+    });
+  } catch (error) {
+    console.error('写入审计记录出错:', error, entry);
+  }
+}
+
+/**
+ * 为整体替换环境变量的操作写入逐个变量的审计记录
+ * @param {Request} request - 触发操作的请求
+ * @param {Object} session - 当前会话
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @param {Array} previousEnvVars - 修改前的环境变量（Render API格式）
+ * @param {Array} nextEnvVars - 提交的新环境变量列表
+ * @returns {Promise<void>}
+ */
+async function recordEnvVarsReplaceAudit(request, session, account, serviceId, previousEnvVars, nextEnvVars) {
+  const before = new Map(previousEnvVars.map(item => [item.envVar.key, item.envVar.value]));
+  const after = new Map(nextEnvVars.map(item => [item.key, item.value]));
+  
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const beforeHash = before.has(key) ? await hashAuditValue(before.get(key)) : null;
+    const afterHash = after.has(key) ? await hashAuditValue(after.get(key)) : null;
     
-    @keyframes fadeIn {
-      from { opacity: 0; }
-      to { opacity: 1; }
+    if (before.has(key) && after.has(key) && beforeHash === afterHash) {
+      continue;
     }
     
-    .modal-content {
-      background-color: white;
-      margin: 2% auto;
-      padding: 0;
-      border-radius: 20px;
-      width: 95%;
-      max-width: 900px;
-      max-height: 90vh;
-      overflow: hidden;
-      box-shadow: 0 25px 50px rgba(0, 0, 0, 0.25);
-      animation: slideUp 0.3s ease-out;
-      position: relative;
+    let action = 'env.update';
+    if (!before.has(key)) {
+      action = 'env.create';
+    } else if (!after.has(key)) {
+      action = 'env.delete';
     }
     
-    @keyframes slideUp {
-      from {
-        transform: translateY(50px);
-        opacity: 0;
-      }
-      to {
-        transform: translateY(0);
-        opacity: 1;
+    await recordAudit(request, session, {
+      action: action,
+      accountId: account.id,
+      serviceId: serviceId,
+      envVarKey: key,
+      beforeHash: beforeHash,
+      afterHash: afterHash,
+      bulk: true
+    });
+  }
+}
+
+/**
+ * 处理获取审计日志请求（仅管理员）
+ * 查询参数: user、service、action（前缀匹配，如 env）、limit、format（json或csv，指定时以附件形式下载）
+ * @param {Request} request - 审计日志请求
+ * @returns {Promise<Response>} - 审计记录列表或导出文件
+ */
+async function handleGetAuditLog(request) {
+  // 验证会话
+  const session = await verifySession(request);
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  
+  // 检查角色权限
+  if (!hasPermission(session, 'audit:read')) {
+    return jsonResponse({ error: '权限不足' }, 403);
+  }
+  
+  try {
+    const url = new URL(request.url);
+    const userFilter = (url.searchParams.get('user') || '').toLowerCase();
+    const serviceFilter = url.searchParams.get('service') || '';
+    const actionFilter = url.searchParams.get('action') || '';
+    const format = url.searchParams.get('format');
+    const limit = Math.min(Number(url.searchParams.get('limit')) || 200, 5000);
+    
+    const entries = [];
+    let cursor;
+    
+    do {
+      const result = await RENDER_KV.list({ prefix: 'audit:', cursor });
+      for (const key of result.keys) {
+        let entry = key.metadata;
+        if (!entry) {
+          continue;
+        }
+        if (userFilter && (entry.user || '').toLowerCase() !== userFilter) {
+          continue;
+        }
+        if (serviceFilter && !(entry.serviceId || '').includes(serviceFilter)) {
+          continue;
+        }
+        if (actionFilter && !(entry.action || '').startsWith(actionFilter)) {
+          continue;
+        }
+        if (entry.partial) {
+          const data = await RENDER_KV.get(key.name);
+          entry = data ? JSON.parse(data) : entry;
+        }
+        entries.push(entry);
+        if (entries.length >= limit) {
+          break;
+        }
       }
-    }
-    
-    .modal-header {
-      padding: 2rem 2rem 1rem 2rem;
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      color: white;
-      position: relative;
-    }
-    
-    .modal-title-section {
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-    }
+      cursor = result.list_complete || entries.length >= limit ? null : result.cursor;
+    } while (cursor);
     
-    .modal-title {
-      font-size: 24px;
-      font-weight: 700;
-      margin: 0;
-    }
+    const date = new Date().toISOString().slice(0, 10);
     
-    .modal-service-info {
-      margin-top: 0.5rem;
-      opacity: 0.9;
-      font-size: 14px;
+    if (format === 'csv') {
+      return new Response(auditEntriesToCsv(entries), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="audit-${date}.csv"`
+        }
+      });
     }
     
-    .close-btn {
-      background: rgba(255, 255, 255, 0.2);
-      border: none;
-      width: 40px;
-      height: 40px;
-      border-radius: 50%;
-      color: white;
-      font-size: 20px;
-      cursor: pointer;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      transition: all 0.2s ease;
+    if (format === 'json') {
+      return new Response(JSON.stringify(entries, null, 2), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Disposition': `attachment; filename="audit-${date}.json"`
+        }
+      });
     }
     
-    .close-btn:hover {
-      background: rgba(255, 255, 255, 0.3);
-      transform: scale(1.1);
+    return jsonResponse(entries);
+  } catch (error) {
+    console.error('获取审计日志出错:', error);
+    return jsonResponse({ error: '获取审计日志失败' }, 500);
+  }
+}
+
+/**
+ * 将审计记录转换为CSV
+ * @param {Array} entries - 审计记录
+ * @returns {string} - CSV文本（带BOM，便于Excel识别UTF-8）
+ */
+function auditEntriesToCsv(entries) {
+  const columns = ['timestamp', 'user', 'via', 'ip', 'action', 'accountId', 'serviceId', 'envVarKey', 'beforeHash', 'afterHash', 'deployId', 'clearCache', 'commitId', 'imageUrl', 'targetUser', 'role', 'changes', 'tokenId', 'tokenName', 'scopes', 'sessionId', 'revoked', 'lockType', 'subject'];
+  const escapeCell = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  const rows = entries.map(entry => columns.map(column => {
+    if (column === 'timestamp') {
+      return escapeCell(new Date(entry.timestamp).toISOString());
     }
-    
-    .modal-body {
-      padding: 2rem;
-      max-height: 70vh;
-      overflow-y: auto;
+    return escapeCell(entry[column]);
+  }).join(','));
+  
+  return '\ufeff' + [columns.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * 处理主页请求
+ * @param {Request} request - 主页请求
+ * @returns {Promise<Response>} - 主页响应
+ */
+async function handleMainPage(request) {
+  // 检查用户是否已登录（API令牌不能用于访问页面）
+  const session = await verifySession(request);
+  if (!session || session.authType === 'token') {
+    return renderLoginPage();
+  }
+  
+  // 渲染仪表盘
+  return renderDashboard(session);
+}
+
+/**
+ * 处理服务详情页面请求
+ * 路径: /services/{accountId}/{serviceId}，页面加载后通过 /api/services/{accountId}/{serviceId} 获取数据
+ * @param {Request} request - 页面请求
+ * @returns {Promise<Response>} - 服务详情页面或登录页面
+ */
+async function handleServiceDetailPage(request) {
+  // 检查用户是否已登录（API令牌不能用于访问页面）
+  const session = await verifySession(request);
+  if (!session || session.authType === 'token') {
+    return renderLoginPage();
+  }
+  
+  const pathParts = new URL(request.url).pathname.split('/');
+  if (pathParts.length !== 4 || !pathParts[3]) {
+    return new Response('Not Found', { status: 404 });
+  }
+  
+  // 账户ID编码无效（如 /services/%E0/x）时同样视为不存在
+  let accountId;
+  try {
+    accountId = decodeURIComponent(pathParts[2]);
+  } catch (error) {
+    return new Response('Not Found', { status: 404 });
+  }
+  
+  return renderServiceDetailPage(session, accountId, pathParts[3]);
+}
+
+/**
+ * 验证用户会话
+ * 除会话cookie外，也接受 Authorization: Bearer 形式的个人API令牌
+ * @param {Request} request - 带有会话cookie或API令牌的请求
+ * @returns {Promise<Object|null>} - 会话数据，若无效则为null
+ */
+async function verifySession(request) {
+  const authHeader = request.headers.get('Authorization') || '';
+  if (/^Bearer\s+/i.test(authHeader)) {
+    return verifyApiToken(authHeader.replace(/^Bearer\s+/i, '').trim());
+  }
+  
+  const cookieHeader = request.headers.get('Cookie') || '';
+  const sessionId = getSessionIdFromCookie(cookieHeader);
+  
+  if (!sessionId) {
+    return null;
+  }
+  
+  try {
+    const sessionData = await RENDER_KV.get(`session:${sessionId}`);
+    if (!sessionData) {
+      return null;
     }
     
-    /* 事件日志样式 */
-    .events-container {
-      display: flex;
-      flex-direction: column;
-      gap: 1rem;
-    }
+    const session = JSON.parse(sessionData);
+    const now = Date.now();
     
-    .event-item {
-      background: #f8fafc;
-      border: 1px solid #e2e8f0;
-      border-radius: 12px;
-      padding: 1rem;
-      transition: all 0.3s ease;
+    // 检查会话是否过期（空闲超时或超过绝对有效期）
+    if (session.expiresAt < now || session.createdAt + SESSION_MAX_AGE * 1000 < now) {
+      await RENDER_KV.delete(`session:${sessionId}`);
+      return null;
     }
     
-    .event-item:hover {
-      background: white;
-      border-color: #cbd5e1;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+    // 重新加载用户，使禁用和角色变更立即生效
+    const user = await getUser(session.username);
+    if (!user || user.disabled) {
+      await RENDER_KV.delete(`session:${sessionId}`);
+      return null;
     }
     
-    .event-header {
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-      margin-bottom: 0.75rem;
+    // 滑动过期：定期记录最近访问并顺延有效期
+    if (!session.lastSeenAt || !session.csrfToken || now - session.lastSeenAt > SESSION_TOUCH_INTERVAL * 1000) {
+      session.id = session.id || generateSessionId().slice(0, 16);
+      session.csrfToken = session.csrfToken || generateSessionId();
+      session.lastSeenAt = now;
+      session.expiresAt = Math.min(now + SESSION_IDLE_TIMEOUT * 1000, session.createdAt + SESSION_MAX_AGE * 1000);
+      session.ip = request.headers.get('CF-Connecting-IP') || session.ip || '';
+      await saveSession(sessionId, session);
     }
     
-    .event-type {
-      font-weight: 700;
-      font-size: 14px;
-      color: #1e293b;
-      display: flex;
-      align-items: center;
-      gap: 0.5rem;
-    }
+    session.role = user.role;
+    session.scope = user.scope || null;
     
-    .event-type-badge {
-      padding: 4px 10px;
-      border-radius: 20px;
-      font-size: 11px;
-      font-weight: 600;
-      text-transform: uppercase;
+    return session;
+  } catch (error) {
+    console.error('会话验证错误:', error);
+    return null;
+  }
+}
+
+/**
+ * 检查路径中的百分号编码能否被decodeURIComponent解码
+ * 整个路径可解码时，其中的每一段也都可解码
+ * @param {string} path - URL路径
+ * @returns {boolean} - 编码是否有效
+ */
+function isValidPathEncoding(path) {
+  try {
+    decodeURIComponent(path);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 检查请求是否来自本站
+ * 浏览器发起的修改请求总会携带Origin（旧浏览器至少携带Referer）；两者都没有时视为脚本调用，
+ * 脚本使用cookie会话时仍需通过CSRF令牌校验
+ * @param {Request} request - 传入的请求
+ * @param {URL} url - 请求URL
+ * @returns {boolean} - 是否同源
+ */
+function isSameOriginRequest(request, url) {
+  const origin = request.headers.get('Origin');
+  if (origin) {
+    return origin === url.origin;
+  }
+  
+  const referer = request.headers.get('Referer');
+  if (referer) {
+    try {
+      return new URL(referer).origin === url.origin;
+    } catch (error) {
+      return false;
     }
-    
-    .event-type-deploy {
-      background: #dbeafe;
-      color: #1e40af;
+  }
+  
+  return true;
+}
+
+/**
+ * 校验基于cookie会话的请求所携带的CSRF令牌
+ * 使用API令牌或未登录的请求不在此校验，由各处理器自行返回401
+ * @param {Request} request - 传入的请求
+ * @returns {Promise<boolean>} - 是否通过校验
+ */
+async function verifyCsrfToken(request) {
+  const session = await verifySession(request);
+  if (!session || session.authType === 'token') {
+    return true;
+  }
+  
+  const csrfToken = request.headers.get('X-CSRF-Token') || '';
+  return Boolean(session.csrfToken) && timingSafeEqual(csrfToken, session.csrfToken);
+}
+
+/**
+ * 保存会话
+ * 会话摘要同时写入元数据，以便列出会话时无需逐条读取；KV过期时间与空闲超时一致
+ * @param {string} sessionId - 会话ID（cookie值）
+ * @param {Object} session - 会话数据
+ * @returns {Promise<void>}
+ */
+async function saveSession(sessionId, session) {
+  await RENDER_KV.put(`session:${sessionId}`, JSON.stringify(session), {
+    metadata: {
+      id: session.id,
+      username: session.username,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      userAgent: session.userAgent || '',
+      ip: session.ip || ''
+    },
+    expirationTtl: Math.max(60, Math.ceil((session.expiresAt - Date.now()) / 1000))
+  });
+}
+
+/**
+ * 列出所有未过期的会话
+ * @returns {Promise<Array<Object>>} - 会话的KV键和摘要
+ */
+async function listSessions() {
+  const now = Date.now();
+  const sessions = [];
+  let cursor;
+  
+  do {
+    const result = await RENDER_KV.list({ prefix: 'session:', cursor });
+    for (const key of result.keys) {
+      if (key.metadata && key.metadata.id && key.metadata.expiresAt > now) {
+        sessions.push({ key: key.name, ...key.metadata });
+      }
     }
-    
-    .event-type-build {
-      background: #fef3c7;
-      color: #92400e;
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+  
+  return sessions;
+}
+
+/**
+ * 验证个人API令牌
+ * 令牌格式: rsm_{id}_{secret}，KV中仅保存secret的SHA-256哈希
+ * @param {string} token - 请求中的令牌
+ * @returns {Promise<Object|null>} - 令牌对应的会话数据，若无效则为null
+ */
+async function verifyApiToken(token) {
+  const match = /^rsm_([0-9a-f]{16})_([0-9a-f]{64})$/.exec(token);
+  if (!match) {
+    return null;
+  }
+  
+  try {
+    const [, tokenId, secret] = match;
+    const tokenData = await RENDER_KV.get(`apitoken:${tokenId}`);
+    if (!tokenData) {
+      return null;
     }
     
-    .event-type-error {
-      background: #fee2e2;
-      color: #991b1b;
+    const record = JSON.parse(tokenData);
+    if (!timingSafeEqual(await sha256Hex(secret), record.tokenHash) || record.expiresAt < Date.now()) {
+      return null;
     }
     
-    .event-time {
-      font-size: 12px;
-      color: #64748b;
+    // 令牌随所属用户一起失效
+    const user = await getUser(record.username);
+    if (!user || user.disabled) {
+      return null;
     }
     
-    .event-details {
-      font-size: 13px;
-      color: #475569;
-      line-height: 1.5;
+    // 限制最近使用时间的写入频率，避免每个请求都写KV
+    if (!record.lastUsedAt || Date.now() - record.lastUsedAt > 60 * 1000) {
+      record.lastUsedAt = Date.now();
+      await saveApiToken(record);
     }
     
-    .event-status {
-      display: inline-flex;
-      align-items: center;
-      gap: 0.25rem;
-      padding: 4px 8px;
-      border-radius: 6px;
-      font-size: 12px;
-      font-weight: 600;
-      margin-top: 0.5rem;
-    }
+    return {
+      username: user.username,
+      role: user.role,
+      scope: user.scope || null,
+      authType: 'token',
+      tokenId: record.id,
+      tokenScopes: record.scopes
+    };
+  } catch (error) {
+    console.error('API令牌验证错误:', error);
+    return null;
+  }
+}
+
+/**
+ * 保存API令牌记录，并在过期后由KV自动清除
+ * @param {Object} record - 令牌记录
+ * @returns {Promise<void>}
+ */
+async function saveApiToken(record) {
+  await RENDER_KV.put(`apitoken:${record.id}`, JSON.stringify(record), {
+    expiration: Math.floor(record.expiresAt / 1000)
+  });
+}
+
+/**
+ * 去除令牌记录中的哈希
+ * @param {Object} record - 令牌记录
+ * @returns {Object} - 可返回给前端的令牌数据
+ */
+function toPublicToken(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    username: record.username,
+    scopes: record.scopes,
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
+    lastUsedAt: record.lastUsedAt || null
+  };
+}
+
+/**
+ * 从cookie头获取会话ID
+ * @param {string} cookieHeader - Cookie头字符串
+ * @returns {string|null} - 会话ID，若未找到则为null
+ */
+function getSessionIdFromCookie(cookieHeader) {
+  const cookies = cookieHeader.split(';');
+  for (const cookie of cookies) {
+    const [name, value] = cookie.trim().split('=');
+    if (name === 'session') {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * 生成随机会话ID
+ * @returns {string} - 随机会话ID
+ */
+function generateSessionId() {
+  const array = new Uint8Array(32);
+  crypto.getRandomValues(array);
+  return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 构造JSON响应
+ * @param {*} data - 响应数据
+ * @param {number} status - HTTP状态码
+ * @returns {Response} - JSON响应
+ */
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status: status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * 检查会话是否拥有指定权限
+ * @param {Object} session - 会话数据
+ * @param {string} permission - 权限名称
+ * @returns {boolean} - 是否拥有权限
+ */
+function hasPermission(session, permission) {
+  // API令牌只拥有创建时授予的权限，且不超过用户当前角色
+  if (session.tokenScopes && !session.tokenScopes.includes(permission)) {
+    return false;
+  }
+  
+  const permissions = ROLE_PERMISSIONS[session.role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+/**
+ * 检查会话是否可以访问指定账户
+ * 用户的 scope 为空表示不限制；管理员始终不受限制
+ * scope 结构: { [accountId]: '*' | [serviceId, ...] }
+ * @param {Object} session - 会话数据
+ * @param {string} accountId - 账户ID
+ * @returns {boolean} - 是否可以访问
+ */
+function canAccessAccount(session, accountId) {
+  if (!session.scope || hasPermission(session, 'users:manage')) {
+    return true;
+  }
+  return Object.prototype.hasOwnProperty.call(session.scope, accountId);
+}
+
+/**
+ * 检查会话是否可以访问指定账户下的服务
+ * @param {Object} session - 会话数据
+ * @param {string} accountId - 账户ID
+ * @param {string} serviceId - 服务ID
+ * @returns {boolean} - 是否可以访问
+ */
+function canAccessService(session, accountId, serviceId) {
+  if (!canAccessAccount(session, accountId)) {
+    return false;
+  }
+  if (!session.scope || hasPermission(session, 'users:manage')) {
+    return true;
+  }
+  const allowed = session.scope[accountId];
+  return allowed === '*' || (Array.isArray(allowed) && allowed.includes(serviceId));
+}
+
+/**
+ * 查找请求所针对的账户，并检查当前用户的访问范围
+ * 所有针对账户或服务的接口都通过此函数按账户ID查找账户，不再按名称匹配
+ * @param {Object} session - 会话数据
+ * @param {string} accountId - 账户ID（即/api/services返回的accountId）
+ * @param {string} serviceId - 服务ID
+ * @returns {Promise<{account: Object|undefined, errorResponse: Response|undefined}>} - 账户或错误响应
+ */
+async function resolveAccount(session, accountId, serviceId) {
+  const accounts = await getAccounts();
+  const account = accounts.find(acc => acc.id === accountId);
+  
+  if (!account) {
+    console.log(`找不到账户: ${accountId}`);
+    return { errorResponse: accountNotFoundResponse(accountId) };
+  }
+  
+  if (!canAccessService(session, account.id, serviceId)) {
+    console.log(`用户 ${session.username} 无权访问 ${account.id}/${serviceId}`);
+    return { errorResponse: jsonResponse({ error: '无权访问该账户或服务' }, 403) };
+  }
+  
+  return { account };
+}
+
+/**
+ * 生成账户不存在时的统一404响应
+ * @param {string} accountId - 请求的账户ID
+ * @returns {Response} - 404响应
+ */
+function accountNotFoundResponse(accountId) {
+  return jsonResponse({ error: '找不到账户', accountId: accountId || null }, 404);
+}
+
+/**
+ * 校验并规范化用户的访问范围
+ * @param {*} scope - 前端提交的访问范围
+ * @returns {Promise<Object|null>} - 规范化后的访问范围，null表示不限制
+ * @throws {Error} - 访问范围格式无效
+ */
+async function normalizeScope(scope) {
+  if (scope === null) {
+    return null;
+  }
+  
+  if (typeof scope !== 'object' || Array.isArray(scope)) {
+    throw new Error('访问范围格式无效');
+  }
+  
+  const accountIds = (await loadAccountStore()).accounts.map(acc => acc.id);
+  const normalized = {};
+  
+  for (const [accountId, services] of Object.entries(scope)) {
+    if (!accountIds.includes(accountId)) {
+      throw new Error(`未知账户: ${accountId}`);
+    }
+    if (services === '*') {
+      normalized[accountId] = '*';
+    } else if (Array.isArray(services) && services.every(id => typeof id === 'string')) {
+      normalized[accountId] = [...new Set(services)];
+    } else {
+      throw new Error(`账户 ${accountId} 的服务列表格式无效`);
+    }
+  }
+  
+  return normalized;
+}
+
+/**
+ * 读取KV中的账户记录（API密钥为密文）
+ * RENDER_ACCOUNTS中的账户只在第一次出现时导入，之后在面板中的修改和删除不会被覆盖
+ * @returns {Promise<{accounts: Array<Object>, seededIds: Array<string>}>} - 账户记录
+ */
+async function loadAccountStore() {
+  const data = await RENDER_KV.get(ACCOUNTS_KEY);
+  const store = data ? JSON.parse(data) : { accounts: [], seededIds: [] };
+  
+  const seeds = typeof RENDER_ACCOUNTS !== 'undefined' && RENDER_ACCOUNTS ? JSON.parse(RENDER_ACCOUNTS) : [];
+  const newSeeds = seeds.filter(seed => !store.seededIds.includes(seed.id));
+  
+  if (newSeeds.length > 0) {
+    const now = Date.now();
+    for (const seed of newSeeds) {
+      if (!store.accounts.some(acc => acc.id === seed.id)) {
+        store.accounts.push({
+          id: seed.id,
+          name: seed.name,
+          apiKey: await encryptSecret(seed.apiKey),
+          keyHint: String(seed.apiKey).slice(-4),
+          source: 'RENDER_ACCOUNTS',
+          createdAt: now,
+          updatedAt: now
+        });
+      }
+      store.seededIds.push(seed.id);
+    }
+    
+    await saveAccountStore(store);
+    console.log(`从RENDER_ACCOUNTS导入了 ${newSeeds.length} 个账户`);
+  }
+  
+  return store;
+}
+
+/**
+ * 保存账户记录
+ * @param {Object} store - 账户记录
+ * @returns {Promise<void>}
+ */
+async function saveAccountStore(store) {
+  await RENDER_KV.put(ACCOUNTS_KEY, JSON.stringify(store));
+}
+
+/**
+ * 获取所有Render账户（API密钥已解密）
+ * 无法解密的密钥（例如SESSION_SECRET已更换）会被置空，需要管理员重新填写
+ * @returns {Promise<Array<Object>>} - 账户列表
+ */
+async function getAccounts() {
+  const store = await loadAccountStore();
+  
+  return Promise.all(store.accounts.map(async account => {
+    try {
+      return { ...account, apiKey: await decryptSecret(account.apiKey) };
+    } catch (error) {
+      console.error(`解密账户 ${account.id} 的API密钥出错:`, error);
+      return { ...account, apiKey: '' };
+    }
+  }));
+}
+
+/**
+ * 去除账户中的API密钥
+ * @param {Object} account - 账户记录
+ * @returns {Object} - 可返回给前端的账户数据
+ */
+function toPublicAccount(account) {
+  return {
+    id: account.id,
+    name: account.name,
+    keyHint: account.keyHint,
+    owner: account.owner || null,
+    source: account.source,
+    createdAt: account.createdAt,
+    updatedAt: account.updatedAt
+  };
+}
+
+/**
+ * 根据账户名称生成不重复的账户ID
+ * @param {string} name - 账户名称
+ * @param {Array<Object>} accounts - 现有账户
+ * @returns {string} - 账户ID
+ */
+function generateAccountId(name, accounts) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48) || 'account';
+  let accountId = base;
+  for (let i = 2; accounts.some(acc => acc.id === accountId); i++) {
+    accountId = `${base}-${i}`;
+  }
+  return accountId;
+}
+
+/**
+ * 从SESSION_SECRET派生用于加密API密钥的AES-GCM密钥
+ * @returns {Promise<CryptoKey>} - AES-GCM密钥
+ */
+async function getSecretEncryptionKey() {
+  const encoder = new TextEncoder();
+  const baseKey = await crypto.subtle.importKey('raw', encoder.encode(SESSION_SECRET), 'HKDF', false, ['deriveKey']);
+  
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode('render-service-manager'), info: encoder.encode('account-api-keys') },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * 使用AES-GCM加密文本
+ * @param {string} plaintext - 明文
+ * @returns {Promise<string>} - 格式为 v1:{iv}:{密文} 的Base64字符串
+ */
+async function encryptSecret(plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await getSecretEncryptionKey();
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+  
+  return `v1:${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(ciphertext))}`;
+}
+
+/**
+ * 解密encryptSecret生成的密文
+ * @param {string} encrypted - 密文
+ * @returns {Promise<string>} - 明文
+ * @throws {Error} - 密文格式无效或密钥不匹配
+ */
+async function decryptSecret(encrypted) {
+  const [version, iv, ciphertext] = String(encrypted).split(':');
+  if (version !== 'v1' || !iv || !ciphertext) {
+    throw new Error('无效的密文格式');
+  }
+  
+  const key = await getSecretEncryptionKey();
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(ciphertext));
+  
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * 将字节数组编码为Base64
+ * 分段转换为字符串，避免缓存较大时展开参数超出调用栈
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} - Base64字符串
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * 将Base64解码为字节数组
+ * @param {string} text - Base64字符串
+ * @returns {Uint8Array} - 字节数组
+ */
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * 获取用户
+ * ADMIN_USERNAME 作为内置管理员始终存在，密码由 ADMIN_PASSWORD 决定
+ * @param {string} username - 用户名
+ * @returns {Promise<Object|null>} - 用户数据，若不存在则为null
+ */
+async function getUser(username) {
+  if (!username) {
+    return null;
+  }
+  
+  const userData = await RENDER_KV.get(`user:${username.toLowerCase()}`);
+  const user = userData ? JSON.parse(userData) : null;
+  
+  if (username.toLowerCase() === ADMIN_USERNAME.toLowerCase()) {
+    // 内置管理员的角色和状态不可更改
+    return { ...user, username: ADMIN_USERNAME, role: 'admin', status: 'active', disabled: false, builtin: true };
+  }
+  
+  return user;
+}
+
+/**
+ * 保存用户
+ * @param {Object} user - 用户数据
+ * @returns {Promise<void>}
+ */
+async function saveUser(user) {
+  await RENDER_KV.put(`user:${user.username.toLowerCase()}`, JSON.stringify(user));
+}
+
+/**
+ * 列出所有用户（含内置管理员）
+ * @returns {Promise<Array>} - 用户列表
+ */
+async function listUsers() {
+  const users = [];
+  let cursor;
+  
+  do {
+    const result = await RENDER_KV.list({ prefix: 'user:', cursor });
+    for (const key of result.keys) {
+      const userData = await RENDER_KV.get(key.name);
+      if (userData) {
+        users.push(JSON.parse(userData));
+      }
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+  
+  const builtin = await getUser(ADMIN_USERNAME);
+  return [builtin, ...users.filter(user => user.username !== ADMIN_USERNAME)];
+}
+
+/**
+ * 去除用户数据中的敏感字段
+ * @param {Object} user - 用户数据
+ * @returns {Object} - 可返回给前端的用户数据
+ */
+function toPublicUser(user) {
+  return {
+    username: user.username,
+    role: user.role,
+    status: user.status || 'active',
+    disabled: !!user.disabled,
+    builtin: !!user.builtin,
+    scope: user.scope || null,
+    totpEnabled: !!user.totpEnabled,
+    createdAt: user.createdAt,
+    invitedBy: user.invitedBy,
+    lastLoginAt: user.lastLoginAt
+  };
+}
+
+/**
+ * 使用PBKDF2计算密码哈希
+ * @param {string} password - 明文密码
+ * @param {string} salt - 十六进制盐值
+ * @returns {Promise<string>} - 十六进制哈希
+ */
+async function hashPassword(password, salt) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      salt: new TextEncoder().encode(salt),
+      iterations: PASSWORD_HASH_ITERATIONS
+    },
+    keyMaterial,
+    256
+  );
+  return Array.from(new Uint8Array(bits), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 校验用户密码
+ * @param {Object} user - 用户数据
+ * @param {string} password - 明文密码
+ * @returns {Promise<boolean>} - 密码是否正确
+ */
+async function verifyUserPassword(user, password) {
+  if (typeof password !== 'string' || password === '') {
+    return false;
+  }
+  
+  if (user.builtin) {
+    return timingSafeEqual(password, ADMIN_PASSWORD);
+  }
+  
+  if (!user.passwordHash || !user.salt) {
+    return false;
+  }
+  
+  const hash = await hashPassword(password, user.salt);
+  return timingSafeEqual(hash, user.passwordHash);
+}
+
+/**
+ * 常量时间字符串比较，避免时序攻击
+ * @param {string} a - 字符串A
+ * @param {string} b - 字符串B
+ * @returns {boolean} - 是否相等
+ */
+function timingSafeEqual(a, b) {
+  const bytesA = new TextEncoder().encode(String(a));
+  const bytesB = new TextEncoder().encode(String(b));
+  let diff = bytesA.length ^ bytesB.length;
+  for (let i = 0; i < bytesA.length; i++) {
+    diff |= bytesA[i] ^ (bytesB[i % bytesB.length] || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * 计算文本的SHA-256哈希
+ * @param {string} text - 原始文本
+ * @returns {Promise<string>} - 十六进制哈希
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Base32编码（RFC 4648，不带填充），用于TOTP密钥
+ * @param {Uint8Array} bytes - 原始字节
+ * @returns {string} - Base32字符串
+ */
+function base32Encode(bytes) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  
+  if (bits > 0) {
+    output += alphabet[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+}
+
+/**
+ * Base32解码
+ * @param {string} text - Base32字符串（忽略大小写、空格和填充）
+ * @returns {Uint8Array} - 原始字节
+ */
+function base32Decode(text) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  
+  for (const char of clean) {
+    const index = alphabet.indexOf(char);
+    if (index === -1) {
+      throw new Error('无效的Base32字符');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  
+  return new Uint8Array(bytes);
+}
+
+/**
+ * 计算指定时间步的TOTP动态码（RFC 6238，HMAC-SHA1）
+ * @param {string} secret - Base32编码的密钥
+ * @param {number} step - 时间步（Unix秒 / TOTP_PERIOD）
+ * @returns {Promise<string>} - 动态码
+ */
+async function generateTotpCode(secret, step) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base32Decode(secret),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+  
+  // 8字节大端计数器
+  const counter = new ArrayBuffer(8);
+  const view = new DataView(counter);
+  view.setUint32(0, Math.floor(step / 0x100000000));
+  view.setUint32(4, step >>> 0);
+  
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  
+  return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * 校验TOTP动态码，允许前后各一个时间步的时钟偏差
+ * @param {string} secret - Base32编码的密钥
+ * @param {string} code - 用户输入的动态码
+ * @param {number} lastUsedStep - 上次成功使用的时间步，防止动态码重放
+ * @returns {Promise<number|null>} - 匹配的时间步，若无效则为null
+ */
+async function verifyTotpCode(secret, code, lastUsedStep = -1) {
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)) {
+    return null;
+  }
+  
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (step <= lastUsedStep) {
+      continue;
+    }
+    if (timingSafeEqual(await generateTotpCode(secret, step), code)) {
+      return step;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * 生成一组恢复码
+ * @returns {Array<string>} - 形如 xxxxx-xxxxx 的恢复码
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const hex = generateSessionId().slice(0, 10);
+    codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+  }
+  return codes;
+}
+
+/**
+ * 校验用户的第二因素（TOTP动态码或一次性恢复码），成功时更新用户状态
+ * @param {Object} user - 已启用双因素认证的用户
+ * @param {string} input - 用户输入的动态码或恢复码
+ * @returns {Promise<boolean>} - 是否验证通过
+ */
+async function verifySecondFactor(user, input) {
+  const code = String(input).trim().toLowerCase().replace(/\s/g, '');
+  if (!code) {
+    return false;
+  }
+  
+  const step = await verifyTotpCode(user.totpSecret, code, user.totpLastUsedStep);
+  if (step !== null) {
+    user.totpLastUsedStep = step;
+    await saveUser(user);
+    return true;
+  }
+  
+  // 恢复码只能使用一次
+  const hash = await sha256Hex(code);
+  const hashes = user.recoveryCodeHashes || [];
+  const index = hashes.findIndex(stored => timingSafeEqual(stored, hash));
+  if (index !== -1) {
+    hashes.splice(index, 1);
+    user.recoveryCodeHashes = hashes;
+    await saveUser(user);
+    console.log(`用户 ${user.username} 使用了恢复码，剩余 ${hashes.length} 个`);
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * 获取登录失败计数的KV键
+ * @param {string} type - 计数类型（ip或user）
+ * @param {string} subject - IP地址或用户名
+ * @returns {string} - KV键
+ */
+function getLoginFailureKey(type, subject) {
+  return `login-fail:${type}:${type === 'user' ? subject.toLowerCase() : subject}`;
+}
+
+/**
+ * 获取本次登录适用的失败计数键（IP和用户名各一个）
+ * @param {string} ip - 客户端IP
+ * @param {string} username - 提交的用户名
+ * @returns {Array<Object>} - 计数类型、对象和KV键
+ */
+function getLoginFailureTargets(ip, username) {
+  const targets = [];
+  if (ip) {
+    targets.push({ type: 'ip', subject: ip, threshold: LOGIN_MAX_FAILURES_PER_IP });
+  }
+  if (username) {
+    targets.push({ type: 'user', subject: username.toLowerCase(), threshold: LOGIN_MAX_FAILURES_PER_USER });
+  }
+  return targets.map(target => ({ ...target, key: getLoginFailureKey(target.type, target.subject) }));
+}
+
+/**
+ * 检查IP或用户名是否处于登录锁定中
+ * @param {string} ip - 客户端IP
+ * @param {string} username - 提交的用户名
+ * @returns {Promise<number>} - 剩余锁定秒数，未锁定时为0
+ */
+async function getLoginLockout(ip, username) {
+  const now = Date.now();
+  let remaining = 0;
+  
+  for (const target of getLoginFailureTargets(ip, username)) {
+    const data = await RENDER_KV.get(target.key);
+    const record = data ? JSON.parse(data) : null;
+    if (record && record.lockedUntil > now) {
+      remaining = Math.max(remaining, Math.ceil((record.lockedUntil - now) / 1000));
+    }
+  }
+  
+  return remaining;
+}
+
+/**
+ * 记录一次登录失败
+ * 达到阈值后锁定，超出阈值的每次失败使锁定时长翻倍，直至上限
+ * @param {string} ip - 客户端IP
+ * @param {string} username - 提交的用户名
+ * @returns {Promise<number>} - 本次失败导致的锁定秒数，未锁定时为0
+ */
+async function recordLoginFailure(ip, username) {
+  const now = Date.now();
+  let lockSeconds = 0;
+  
+  for (const target of getLoginFailureTargets(ip, username)) {
+    const data = await RENDER_KV.get(target.key);
+    const record = data ? JSON.parse(data) : { type: target.type, subject: target.subject, failures: 0, lockedUntil: 0 };
+    
+    record.failures += 1;
+    record.lastFailureAt = now;
+    
+    if (record.failures >= target.threshold) {
+      const seconds = Math.min(LOGIN_LOCKOUT_BASE * Math.pow(2, record.failures - target.threshold), LOGIN_LOCKOUT_MAX);
+      record.lockedUntil = now + seconds * 1000;
+      lockSeconds = Math.max(lockSeconds, seconds);
+    }
+    
+    await RENDER_KV.put(target.key, JSON.stringify(record), {
+      metadata: record,
+      expirationTtl: LOGIN_FAILURE_WINDOW
+    });
+  }
+  
+  return lockSeconds;
+}
+
+/**
+ * 登录成功后清除该用户名的失败计数
+ * IP计数不清除，避免攻击者用自己的账户登录来重置对其他账户的猜测次数
+ * @param {string} username - 用户名
+ * @returns {Promise<void>}
+ */
+async function clearLoginFailures(username) {
+  await RENDER_KV.delete(getLoginFailureKey('user', username));
+}
+
+/**
+ * 生成登录锁定提示
+ * @param {number} seconds - 剩余锁定秒数
+ * @returns {string} - 提示文本
+ */
+function formatLockoutMessage(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  return `登录失败次数过多，请在 ${minutes} 分钟后重试`;
+}
+
+/**
+ * 转义HTML特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} - 转义后的文本
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  })[char]);
+}
+
+/**
+ * 序列化数据以便安全地嵌入<script>标签
+ * @param {*} data - 要嵌入的数据
+ * @returns {string} - JSON字符串
+ */
+function serializeForScript(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * 获取某类Render API结果的缓存秒数
+ * @param {string} kind - services、envVars或events
+ * @returns {number} - 缓存秒数，0表示不缓存
+ */
+function getCacheTtl(kind) {
+  const overrides = {
+    services: typeof CACHE_TTL_SERVICES !== 'undefined' ? CACHE_TTL_SERVICES : undefined,
+    envVars: typeof CACHE_TTL_ENV_VARS !== 'undefined' ? CACHE_TTL_ENV_VARS : undefined,
+    events: typeof CACHE_TTL_EVENTS !== 'undefined' ? CACHE_TTL_EVENTS : undefined
+  };
+  
+  const ttl = parseInt(overrides[kind], 10);
+  return Number.isNaN(ttl) ? DEFAULT_CACHE_TTLS[kind] : Math.max(ttl, 0);
+}
+
+/**
+ * 带缓存地获取数据（stale-while-revalidate）
+ * 未过期时直接返回缓存；过期但仍在CACHE_STALE_WINDOW内时先返回旧数据，并在响应后于后台刷新；
+ * 否则同步获取。缓存存放在KV中（workers.dev上无法使用Cache API），内容加密以免环境变量值明文落盘
+ * @param {string} key - 缓存键
+ * @param {number} ttl - 缓存秒数，0表示不缓存
+ * @param {Function} fetcher - 获取最新数据的函数
+ * @param {Object} options - 选项
+ * @param {boolean} [options.refresh] - 跳过缓存并重新获取
+ * @param {FetchEvent} [options.event] - 请求事件，用于后台刷新
+ * @returns {Promise<*>} - 数据
+ */
+async function cachedFetch(key, ttl, fetcher, { refresh = false, event } = {}) {
+  if (ttl <= 0) {
+    return fetcher();
+  }
+  
+  if (!refresh) {
+    const cached = await readCache(key);
+    if (cached) {
+      const age = (Date.now() - cached.fetchedAt) / 1000;
+      if (age < ttl) {
+        return cached.data;
+      }
+      
+      if (event && age < ttl + CACHE_STALE_WINDOW) {
+        event.waitUntil(refreshCache(key, ttl, fetcher).catch(error => {
+          console.error(`后台刷新缓存 ${key} 出错:`, error);
+        }));
+        return cached.data;
+      }
+    }
+  }
+  
+  return refreshCache(key, ttl, fetcher);
+}
+
+/**
+ * 获取最新数据并写入缓存
+ * @param {string} key - 缓存键
+ * @param {number} ttl - 缓存秒数
+ * @param {Function} fetcher - 获取最新数据的函数
+ * @returns {Promise<*>} - 数据
+ */
+async function refreshCache(key, ttl, fetcher) {
+  const data = await fetcher();
+  
+  try {
+    const encrypted = await encryptSecret(JSON.stringify({ data, fetchedAt: Date.now() }));
+    await RENDER_KV.put(key, encrypted, { expirationTtl: Math.max(60, ttl + CACHE_STALE_WINDOW) });
+  } catch (error) {
+    console.error(`写入缓存 ${key} 出错:`, error);
+  }
+  
+  return data;
+}
+
+/**
+ * 读取缓存，缓存不存在或无法解密时返回null
+ * @param {string} key - 缓存键
+ * @returns {Promise<{data: *, fetchedAt: number}|null>} - 缓存内容
+ */
+async function readCache(key) {
+  try {
+    const encrypted = await RENDER_KV.get(key);
+    return encrypted ? JSON.parse(await decryptSecret(encrypted)) : null;
+  } catch (error) {
+    console.error(`读取缓存 ${key} 出错:`, error);
+    return null;
+  }
+}
+
+/**
+ * 使某个服务相关的缓存失效（所属账户的服务列表、服务详情、环境变量、事件日志和部署记录）
+ * KV的删除在其他边缘节点上最多需要约60秒才能生效
+ * @param {string} accountId - 账户ID
+ * @param {string} serviceId - 服务ID
+ * @returns {Promise<void>}
+ */
+async function invalidateServiceCache(accountId, serviceId) {
+  await RENDER_KV.delete(`cache:${accountId}:services`);
+  await RENDER_KV.delete(`cache:${accountId}:service:${serviceId}`);
+  await RENDER_KV.delete(`cache:${accountId}:env-vars:${serviceId}`);
+  await invalidateCachePrefix(`cache:${accountId}:events:${serviceId}:`);
+  await invalidateCachePrefix(`cache:${accountId}:deploys:${serviceId}:`);
+}
+
+/**
+ * 删除指定前缀下的所有缓存
+ * @param {string} prefix - 缓存键前缀
+ * @returns {Promise<void>}
+ */
+async function invalidateCachePrefix(prefix) {
+  let cursor;
+  
+  do {
+    const result = await RENDER_KV.list({ prefix, cursor });
+    for (const key of result.keys) {
+      await RENDER_KV.delete(key.name);
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+}
+
+/**
+ * Render API返回的错误，保留HTTP状态码和Render给出的原因，供处理器原样返回给前端
+ */
+class RenderApiError extends Error {
+  /**
+   * @param {string} description - 操作描述，如“触发部署”
+   * @param {Object} details - 错误详情
+   * @param {number} [details.status] - Render返回的HTTP状态码，网络错误时为空
+   * @param {string} [details.renderMessage] - Render响应体中的message
+   * @param {string} [details.renderId] - Render响应体中的错误ID
+   * @param {number} [details.retryAfter] - 被限流时建议的等待秒数
+   */
+  constructor(description, { status, renderMessage, renderId, retryAfter } = {}) {
+    super(`${description}失败: ${renderMessage || (status ? `Render API返回 ${status}` : '无法连接Render API')}`);
+    this.name = 'RenderApiError';
+    this.status = status;
+    this.renderMessage = renderMessage;
+    this.renderId = renderId;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * 将调用Render API时的错误归类，供前端显示对应的提示
+ * @param {Error} error - 调用时抛出的错误，HTTP错误带有status
+ * @returns {string} - auth（密钥无效）、rate_limited（被限流）、network（网络错误）、api（其他API错误）或internal（处理结果时的其他错误）
+ */
+function classifyRenderError(error) {
+  // 只有renderApi在fetch失败时抛出的错误不带status，其他异常（如处理返回数据时的TypeError）不属于网络错误
+  if (!(error instanceof RenderApiError)) {
+    return 'internal';
+  }
+  if (error.status === 401 || error.status === 403) {
+    return 'auth';
+  }
+  if (error.status === 429) {
+    return 'rate_limited';
+  }
+  if (error.status === undefined) {
+    return 'network';
+  }
+  return 'api';
+}
+
+/**
+ * 将处理器捕获的错误转为响应：Render API错误返回Render的状态码和原因，其他错误返回500
+ * Render的401/403（API密钥问题）和5xx以502返回，避免与面板自身的登录和权限错误混淆
+ * @param {Error} error - 捕获的错误
+ * @param {string} fallbackMessage - 非Render错误时的提示
+ * @returns {Response} - 错误响应
+ */
+function renderErrorResponse(error, fallbackMessage) {
+  if (!(error instanceof RenderApiError)) {
+    return jsonResponse({ error: fallbackMessage }, 500);
+  }
+  
+  const type = classifyRenderError(error);
+  const status = error.status >= 400 && error.status < 500 && type !== 'auth' ? error.status : 502;
+  const response = jsonResponse({ error: error.message, type: type, renderStatus: error.status }, status);
+  if (error.retryAfter) {
+    response.headers.set('Retry-After', String(Math.ceil(error.retryAfter)));
+  }
+  return response;
+}
+
+/**
+ * 根据Retry-After或RateLimit-Reset响应头计算被限流后应等待的秒数
+ * @param {Response} response - Render API响应
+ * @returns {number|undefined} - 等待秒数，响应头缺失或无法解析时为空
+ */
+function getRetryAfterSeconds(response) {
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(seconds, 0);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max((date - Date.now()) / 1000, 0);
+    }
+  }
+  
+  const reset = Number(response.headers.get('ratelimit-reset'));
+  return Number.isFinite(reset) && reset > 0 ? reset : undefined;
+}
+
+/**
+ * 读取Render的错误响应体（{id, message}），响应体不是JSON时使用原始文本
+ * @param {Response} response - Render API响应
+ * @returns {Promise<{renderId: string|undefined, renderMessage: string|undefined}>} - 错误ID和原因
+ */
+async function readRenderErrorBody(response) {
+  const text = await response.text().catch(() => '');
+  try {
+    const body = JSON.parse(text);
+    return { renderId: body.id, renderMessage: body.message || body.error };
+  } catch (error) {
+    return { renderMessage: text.trim().slice(0, 200) || response.statusText || undefined };
+  }
+}
+
+/**
+ * 调用Render API
+ * 幂等请求在网络错误、5xx和429时按指数退避重试；被限流时按Retry-After/RateLimit-Reset等待；
+ * 失败时抛出带有Render状态码和原因的RenderApiError
+ * @param {Object} account - 账户配置（只需apiKey）
+ * @param {string} path - API路径（不含/v1前缀，可带查询参数）
+ * @param {Object} options - 请求选项
+ * @param {string} [options.method] - HTTP方法，默认GET
+ * @param {*} [options.body] - 请求体，将序列化为JSON
+ * @param {string} options.description - 用于日志和错误信息的操作描述
+ * @returns {Promise<*>} - 响应JSON，无响应体时为null
+ */
+async function renderApi(account, path, { method = 'GET', body, description }) {
+  const headers = {
+    'accept': 'application/json',
+    'authorization': `Bearer ${account.apiKey}`
+  };
+  if (body !== undefined) {
+    headers['content-type'] = 'application/json';
+  }
+  
+  const idempotent = IDEMPOTENT_METHODS.includes(method);
+  
+  for (let attempt = 0; ; attempt++) {
+    const backoff = RENDER_RETRY_BASE_DELAY * 2 ** attempt;
+    let response;
+    
+    try {
+      response = await fetch(`https://api.render.com/v1${path}`, {
+        method: method,
+        headers: headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      if (idempotent && attempt < RENDER_MAX_RETRIES) {
+        console.warn(`${description}: 网络错误，${backoff}ms后重试`, error);
+        await sleep(backoff);
+        continue;
+      }
+      console.error(`${description}失败: 网络错误`, error);
+      throw new RenderApiError(description);
+    }
+    
+    if (response.ok) {
+      const remaining = response.headers.get('ratelimit-remaining');
+      if (remaining !== null && Number(remaining) === 0) {
+        console.warn(`${description}: Render API请求配额已用尽，将在 ${response.headers.get('ratelimit-reset')} 秒后重置`);
+      }
+      
+      const text = await response.text();
+      return text ? JSON.parse(text) : null;
+    }
+    
+    const retryAfter = response.status === 429 ? getRetryAfterSeconds(response) : undefined;
+    const retryable = response.status === 429 || (idempotent && response.status >= 500);
+    const delay = retryAfter !== undefined ? retryAfter * 1000 : backoff;
+    
+    if (retryable && attempt < RENDER_MAX_RETRIES && delay <= RENDER_MAX_RETRY_DELAY) {
+      console.warn(`${description}: Render API返回 ${response.status}，${Math.round(delay)}ms后重试`);
+      await response.body?.cancel();
+      await sleep(delay);
+      continue;
+    }
+    
+    const { renderId, renderMessage } = await readRenderErrorBody(response);
+    console.error(`${description}失败: ${response.status} ${renderMessage || response.statusText}`);
+    throw new RenderApiError(description, { status: response.status, renderMessage, renderId, retryAfter });
+  }
+}
+
+/**
+ * 等待指定毫秒数
+ * @param {number} ms - 毫秒数
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 按cursor依次获取Render列表接口的所有页面
+ * Render返回的每一项都带有cursor，以最后一项的cursor请求下一页；超过页数上限时停止，并以truncated标记结果不完整
+ * @param {Object} account - 账户配置
+ * @param {string} path - API路径（不含/v1前缀，可带查询参数）
+ * @param {string} description - 用于日志和错误信息的操作描述
+ * @returns {Promise<{items: Array, truncated: boolean}>} - 所有页面的列表项，以及是否因页数上限而被截断
+ */
+async function fetchAllPages(account, path, description) {
+  const items = [];
+  let cursor = null;
+  
+  for (let page = 0; page < RENDER_MAX_PAGES; page++) {
+    const params = new URLSearchParams({ limit: String(RENDER_PAGE_LIMIT) });
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+    
+    const data = await renderApi(account, `${path}${path.includes('?') ? '&' : '?'}${params}`, { description: description });
+    items.push(...data);
+    
+    const last = data[data.length - 1];
+    if (data.length < RENDER_PAGE_LIMIT || !last || !last.cursor) {
+      return { items, truncated: false };
+    }
+    cursor = last.cursor;
+  }
+  
+  console.warn(`${description}: 超过 ${RENDER_MAX_PAGES} 页，仅返回前 ${items.length} 条`);
+  return { items, truncated: true };
+}
+
+/**
+ * 使用API密钥调用Render API，确认密钥有效
+ * @param {string} apiKey - Render API密钥
+ * @returns {Promise<{valid: boolean, owner: string|undefined, error: string|undefined}>} - 校验结果及密钥所属的团队或用户
+ */
+async function validateRenderApiKey(apiKey) {
+  try {
+    const data = await renderApi({ apiKey: apiKey }, '/owners?limit=1', { description: '验证API密钥' });
+    const owner = Array.isArray(data) && data[0] && data[0].owner;
+    return { valid: true, owner: owner ? (owner.name || owner.email) : undefined };
+  } catch (error) {
+    console.error('验证API密钥出错:', error);
+    if (!(error instanceof RenderApiError) || error.status === undefined) {
+      return { valid: false, error: '无法连接Render API验证密钥' };
+    }
+    if (error.status === 401 || error.status === 403) {
+      return { valid: false, error: 'API密钥无效或已被撤销' };
+    }
+    return { valid: false, error: `无法验证API密钥: ${error.message}` };
+  }
+}
+
+/**
+ * 获取特定Render账户的服务
+ * @param {Object} account - 账户配置
+ * @returns {Promise<{services: Array, truncated: boolean}>} - 服务列表，以及是否因服务过多而只获取了一部分
+ */
+async function getServicesForAccount(account) {
+  // Render API服务终端，包含示例中的查询参数
+  const { items, truncated } = await fetchAllPages(account, '/services?includePreviews=true', `获取账户 ${account.name} 的服务`);
+  
+  // 根据实际API响应转换服务，仅包含必要信息
+  // 不同类型服务的serviceDetails字段不同：静态站点没有区域和套餐，后台任务和定时任务没有URL
+  const services = items.map(item => {
+    const service = item.service;
+    const details = service.serviceDetails || {};
+    return {
+      id: service.id,
+      name: service.name,
+      type: service.type,
+      autoDeploy: service.autoDeploy,
+      autoDeployTrigger: service.autoDeployTrigger,
+      createdAt: service.createdAt,
+      updatedAt: service.updatedAt,
+      suspended: service.suspended,
+      dashboardUrl: service.dashboardUrl,
+      url: details.url,
+      region: details.region,
+      plan: details.plan,
+      env: details.runtime || details.env,
+      imagePath: service.imagePath,
+      repo: service.repo,
+      branch: service.branch,
+      ownerId: service.ownerId,
+      slug: service.slug,
+      // 静态站点
+      buildCommand: details.buildCommand,
+      publishPath: details.publishPath,
+      // 定时任务（schedule为UTC的cron表达式）
+      schedule: details.schedule,
+      lastSuccessfulRunAt: details.lastSuccessfulRunAt
+    };
+  });
+  
+  return { services, truncated };
+}
+
+/**
+ * 带缓存地获取账户的服务列表（见getServicesForAccount）
+ * @param {Object} account - 账户配置
+ * @param {Object} options - cachedFetch的选项（refresh、event）
+ * @returns {Promise<{services: Array, truncated: boolean}>} - 服务列表及是否被截断
+ */
+async function getCachedServices(account, options) {
+  const cached = await cachedFetch(
+    `cache:${account.id}:services`,
+    getCacheTtl('services'),
+    () => getServicesForAccount(account),
+    options
+  );
+  // 旧版本缓存的是服务数组
+  return Array.isArray(cached) ? { services: cached, truncated: false } : cached;
+}
+
+/**
+ * 获取服务详情：完整的服务对象，以及自定义域名和通知设置
+ * 只有Web服务和静态站点有自定义域名；自定义域名和通知设置获取失败时返回null，不影响服务本身
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @returns {Promise<{service: Object, customDomains: Array|null, notifications: Object|null}>} - 服务详情
+ */
+async function getServiceDetail(account, serviceId) {
+  const service = await renderApi(account, `/services/${serviceId}`, { description: '获取服务详情' });
+  const hasDomains = service.type === 'web_service' || service.type === 'static_site';
+  
+  const [customDomains, notifications] = await Promise.allSettled([
+    hasDomains ? fetchAllPages(account, `/services/${serviceId}/custom-domains`, '获取自定义域名') : Promise.resolve({ items: [], truncated: false }),
+    renderApi(account, `/notification-settings/overrides/services/${serviceId}`, { description: '获取通知设置' })
+  ]);
+  
+  return {
+    service: service,
+    customDomains: customDomains.status === 'fulfilled' ? customDomains.value.items.map(item => item.customDomain) : null,
+    notifications: notifications.status === 'fulfilled' ? notifications.value : null
+  };
+}
+
+/**
+ * 触发服务部署
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 要部署的服务ID
+ * @param {Object} [options] - 部署选项（见normalizeDeployOptions），默认不清除缓存并部署分支的最新提交或当前镜像
+ * @param {string} [options.clearCache] - clear或do_not_clear
+ * @param {string} [options.commitId] - 要部署的提交SHA
+ * @param {string} [options.imageUrl] - 要部署的镜像地址
+ * @returns {Promise<Object>} - 部署结果
+ */
+async function triggerDeployment(account, serviceId, options = { clearCache: 'do_not_clear' }) {
+  return renderApi(account, `/services/${serviceId}/deploys`, {
+    method: 'POST',
+    body: options,
+    description: '触发部署'
+  });
+}
+
+/**
+ * 回滚到之前的某次部署：Render会以该部署的代码和镜像创建一次新的部署
+ * 只能回滚到曾经成功上线的部署；回滚后Render会关闭服务的自动部署
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @param {string} deployId - 要回滚到的部署ID
+ * @returns {Promise<Object>} - 回滚创建的新部署
+ */
+async function rollbackToDeploy(account, serviceId, deployId) {
+  return renderApi(account, `/services/${serviceId}/rollbacks`, {
+    method: 'POST',
+    body: { deployId: deployId },
+    description: '回滚部署'
+  });
+}
+
+/**
+ * 取消正在进行的部署（只能取消尚未上线的部署）
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @param {string} deployId - 要取消的部署ID
+ * @returns {Promise<Object>} - 取消后的部署
+ */
+async function cancelDeploy(account, serviceId, deployId) {
+  return renderApi(account, `/services/${serviceId}/deploys/${deployId}/cancel`, {
+    method: 'POST',
+    description: '取消部署'
+  });
+}
+
+/**
+ * 立即运行定时任务（不影响原有计划）
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 定时任务的服务ID
+ * @returns {Promise<Object>} - 本次运行
+ */
+async function triggerCronJobRun(account, serviceId) {
+  return renderApi(account, `/cron-jobs/${serviceId}/runs`, {
+    method: 'POST',
+    description: '运行定时任务'
+  });
+}
+
+/**
+ * 暂停服务（暂停后不再运行，也不会产生费用）
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @returns {Promise<null>}
+ */
+async function suspendService(account, serviceId) {
+  return renderApi(account, `/services/${serviceId}/suspend`, {
+    method: 'POST',
+    description: '暂停服务'
+  });
+}
+
+/**
+ * 恢复已暂停的服务
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @returns {Promise<null>}
+ */
+async function resumeService(account, serviceId) {
+  return renderApi(account, `/services/${serviceId}/resume`, {
+    method: 'POST',
+    description: '恢复服务'
+  });
+}
+
+/**
+ * 重启服务的所有实例（不重新构建）
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @returns {Promise<null>}
+ */
+async function restartService(account, serviceId) {
+  return renderApi(account, `/services/${serviceId}/restart`, {
+    method: 'POST',
+    description: '重启服务'
+  });
+}
+
+/**
+ * 获取服务的环境变量
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @returns {Promise<Array>} - 环境变量列表
+ */
+async function getEnvVarsForService(account, serviceId) {
+  console.log(`获取服务的环境变量: ${serviceId}`);
+  
+  const { items } = await fetchAllPages(account, `/services/${serviceId}/env-vars`, '获取环境变量');
+  console.log(`获取了 ${items.length} 个环境变量`);
+  
+  return items;
+}
+
+/**
+ * 获取服务的单个环境变量
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @param {string} envVarKey - 环境变量键
+ * @returns {Promise<Object|null>} - 环境变量，若不存在则为null
+ */
+async function getEnvVarForService(account, serviceId, envVarKey) {
+  try {
+    return await renderApi(account, `/services/${serviceId}/env-vars/${encodeURIComponent(envVarKey)}`, { description: '获取环境变量' });
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 更新服务的所有环境变量
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @param {Array} envVars - 环境变量列表
+ * @returns {Promise<Array>} - 更新后的环境变量
+ */
+async function updateAllEnvVarsForService(account, serviceId, envVars) {
+  return renderApi(account, `/services/${serviceId}/env-vars`, {
+    method: 'PUT',
+    body: envVars,
+    description: '更新环境变量'
+  });
+}
+
+/**
+ * 更新服务的单个环境变量
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @param {string} envVarKey - 环境变量键
+ * @param {string} value - 环境变量值
+ * @returns {Promise<Object>} - 更新后的环境变量
+ */
+async function updateSingleEnvVarForService(account, serviceId, envVarKey, value) {
+  console.log(`更新环境变量: ${envVarKey} = ${value} 用于服务: ${serviceId}`);
+  
+  const result = await renderApi(account, `/services/${serviceId}/env-vars/${encodeURIComponent(envVarKey)}`, {
+    method: 'PUT',
+    body: {
+      "value": value
+    },
+    description: '更新环境变量'
+  });
+  console.log('更新结果:', result);
+  
+  return result;
+}
+
+/**
+ * 删除服务的环境变量
+ * @param {Object} account - 账户配置
+ * @param {string} serviceId - 服务ID
+ * @param {string} envVarKey - 环境变量键
+ * @returns {Promise<void>}
+ */
+async function deleteEnvVarForService(account, serviceId, envVarKey) {
+  console.log(`删除环境变量: ${envVarKey} 用于服务: ${serviceId}`);
+  
+  await renderApi(account, `/services/${serviceId}/env-vars/${encodeURIComponent(envVarKey)}`, {
+    method: 'DELETE',
+    description: '删除环境变量'
+  });
+  
+  console.log('环境变量删除成功');
+}
+
+/**
+ * 渲染登录页面，设计优化
+ * @param {string} error - 要显示的错误信息
+ * @returns {Response} - 登录页面HTML响应
+ */
+function renderLoginPage(error = '') {
+  return renderAuthPage('登录您的账户', `
+    <form method="post" action="/login">
+      <div class="form-group">
+        <label for="username">用户名</label>
+        <input type="text" id="username" name="username" required placeholder="输入您的用户名">
+      </div>
+      <div class="form-group">
+        <label for="password">密码</label>
+        <input type="password" id="password" name="password" required placeholder="输入您的密码">
+      </div>
+      <button type="submit">登录</button>
+    </form>
+  `, error);
+}
+
+/**
+ * 渲染接受邀请（设置密码）页面
+ * @param {string} token - 邀请令牌，为空时表示邀请无效
+ * @param {string} username - 被邀请的用户名
+ * @param {string} error - 要显示的错误信息
+ * @returns {Response} - 设置密码页面HTML响应
+ */
+function renderInvitePage(token, username, error = '') {
+  if (!token) {
+    return renderAuthPage('接受邀请', `
+    <div class="footer"><p><a href="/login">返回登录</a></p></div>
+  `, error);
+  }
+  
+  return renderAuthPage(`为 ${escapeHtml(username)} 设置密码`, `
+    <form method="post" action="/invite">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      <div class="form-group">
+        <label for="password">新密码</label>
+        <input type="password" id="password" name="password" required minlength="8" placeholder="至少8个字符">
+      </div>
+      <div class="form-group">
+        <label for="confirmPassword">确认密码</label>
+        <input type="password" id="confirmPassword" name="confirmPassword" required minlength="8" placeholder="再次输入新密码">
+      </div>
+      <button type="submit">设置密码</button>
+    </form>
+  `, error);
+}
+
+/**
+ * 渲染双因素认证（动态码）页面
+ * @param {string} challengeId - 登录验证ID
+ * @param {string} error - 要显示的错误信息
+ * @returns {Response} - 动态码页面HTML响应
+ */
+function renderTotpPage(challengeId, error = '') {
+  return renderAuthPage('输入验证器应用中的动态码', `
+    <form method="post" action="/login">
+      <input type="hidden" name="challenge" value="${escapeHtml(challengeId)}">
+      <div class="form-group">
+        <label for="code">动态码</label>
+        <input type="text" id="code" name="code" required autofocus autocomplete="one-time-code" inputmode="numeric" placeholder="6位数字，或一个恢复码">
+      </div>
+      <button type="submit">验证</button>
+    </form>
+    <div class="footer"><p><a href="/login">使用其他账户登录</a></p></div>
+  `, error);
+}
+
+/**
+ * 渲染认证类页面（登录、设置密码等）的公共外壳
+ * @param {string} subtitle - 标题下方的副标题
+ * @param {string} content - 表单等页面主体HTML
+ * @param {string} error - 要显示的错误信息
+ * @returns {Response} - 页面HTML响应
+ */
+function renderAuthPage(subtitle, content, error = '') {
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Render Service Management - Login</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    
+    body {
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      padding: 20px;
+      color: #333;
+    }
+    
+    .login-container {
+      background: rgba(255, 255, 255, 0.95);
+      backdrop-filter: blur(10px);
+      border-radius: 20px;
+      box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1), 0 0 0 1px rgba(255, 255, 255, 0.2);
+      padding: 40px;
+      width: 100%;
+      max-width: 420px;
+      transform: translateY(0);
+      transition: all 0.3s ease;
+    }
+    
+    .login-container:hover {
+      transform: translateY(-5px);
+      box-shadow: 0 25px 50px rgba(0, 0, 0, 0.15), 0 0 0 1px rgba(255, 255, 255, 0.2);
+    }
+    
+    .logo {
+      text-align: center;
+      margin-bottom: 30px;
+    }
+    
+    .logo-icon {
+      width: 60px;
+      height: 60px;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      border-radius: 15px;
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      margin-bottom: 15px;
+      box-shadow: 0 10px 20px rgba(102, 126, 234, 0.3);
+    }
+    
+    .logo-icon svg {
+      width: 30px;
+      height: 30px;
+      fill: white;
+    }
+    
+    h1 {
+      font-size: 28px;
+      font-weight: 700;
+      color: #2d3748;
+      text-align: center;
+      margin-bottom: 10px;
+    }
+    
+    .subtitle {
+      text-align: center;
+      color: #718096;
+      margin-bottom: 30px;
+      font-size: 16px;
+    }
+    
+    .form-group {
+      margin-bottom: 25px;
+    }
+    
+    label {
+      display: block;
+      margin-bottom: 8px;
+      font-weight: 600;
+      color: #4a5568;
+      font-size: 14px;
+    }
+    
+    input {
+      width: 100%;
+      padding: 15px;
+      border: 2px solid #e2e8f0;
+      border-radius: 12px;
+      font-size: 16px;
+      font-weight: 500;
+      transition: all 0.3s ease;
+      background-color: #f7fafc;
+    }
+    
+    input:focus {
+      outline: none;
+      border-color: #667eea;
+      background-color: white;
+      box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
+    }
+    
+    button {
+      width: 100%;
+      padding: 16px;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      border: none;
+      border-radius: 12px;
+      font-size: 16px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.3s ease;
+      margin-top: 10px;
+      box-shadow: 0 10px 20px rgba(102, 126, 234, 0.3);
+    }
+    
+    button:hover {
+      transform: translateY(-2px);
+      box-shadow: 0 15px 30px rgba(102, 126, 234, 0.4);
+    }
+    
+    button:active {
+      transform: translateY(0);
+    }
+    
+    .error-message {
+      color: #e53e3e;
+      background-color: #fed7d7;
+      padding: 12px 16px;
+      border-radius: 10px;
+      margin-bottom: 20px;
+      text-align: center;
+      font-size: 14px;
+      font-weight: 500;
+      animation: shake 0.5s ease-in-out;
+    }
+    
+    @keyframes shake {
+      0%, 100% { transform: translateX(0); }
+      10%, 30%, 50%, 70%, 90% { transform: translateX(-5px); }
+      20%, 40%, 60%, 80% { transform: translateX(5px); }
+    }
+    
+    .footer {
+      text-align: center;
+      margin-top: 30px;
+      color: #a0aec0;
+      font-size: 14px;
+    }
+    
+    .footer a {
+      color: #667eea;
+      text-decoration: none;
+      font-weight: 600;
+    }
+    
+    .footer a:hover {
+      text-decoration: underline;
+    }
+  </style>
+</head>
+<body>
+  <div class="login-container">
+    <div class="logo">
+      <div class="logo-icon">
+        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+          <path d="M12 2L2 7V12C2 16.5 4.23 20.68 7.62 23.15L12 25L16.38 23.15C19.77 20.68 22 16.5 22 12V7L12 2M12 4.18L19.25 7.8V12C19.25 15.58 17.58 18.85 15 20.75V13.25H9V20.75C6.42 18.85 4.75 15.58 4.75 12V7.8L12 4.18Z" />
+        </svg>
+      </div>
+      <h1>Render Manager</h1>
+      <p class="subtitle">${subtitle}</p>
+    </div>
+    
+    ${error ? `<div class="error-message">${error}</div>` : ''}
+    ${content}
+    
+    <div class="footer">
+      <p>© 2025 Render Service Manager | <a href="https://github.com/ssfun/render-service-manager" target="_blank" rel="noopener noreferrer">@sfun</a></p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+  
+  return new Response(html, {
+    headers: { 'Content-Type': 'text/html' }
+  });
+}
+
+/**
+ * 仪表板和服务详情页共用的样式：头部、加载状态和通知
+ */
+const SHARED_STYLES = `
+    /* 头部样式 */
+    .header {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      padding: 1.5rem 0;
+      box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+      position: sticky;
+      top: 0;
+      z-index: 100;
+    }
+    
+    /* 加载样式 */
+    .loading {
+      text-align: center;
+      padding: 4rem 2rem;
+      color: #64748b;
+    }
+    
+    .loading-spinner {
+      display: inline-block;
+      width: 50px;
+      height: 50px;
+      border: 4px solid #e2e8f0;
+      border-radius: 50%;
+      border-top-color: #667eea;
+      animation: spin 1s ease-in-out infinite;
+      margin-bottom: 1rem;
+    }
+    
+    @keyframes spin {
+      to { transform: rotate(360deg); }
+    }
+    
+    /* 通知样式 */
+    .notification {
+      position: fixed;
+      top: 80px;
+      right: 20px;
+      background: white;
+      border-radius: 12px;
+      padding: 1rem 1.25rem;
+      box-shadow: 0 10px 25px rgba(0, 0, 0, 0.1);
+      border-left: 4px solid #10b981;
+      z-index: 2000;
+      animation: slideInRight 0.3s ease-out;
+      max-width: 400px;
+    }
+    
+    @keyframes slideInRight {
+      from {
+        transform: translateX(100%);
+        opacity: 0;
+      }
+      to {
+        transform: translateX(0);
+        opacity: 1;
+      }
+    }
+    
+    .notification.error {
+      border-left-color: #ef4444;
+    }
+    
+    .notification.success {
+      border-left-color: #10b981;
+    }
+    
+    .notification-content {
+      display: flex;
+      align-items: center;
+      gap: 0.75rem;
+    }
+    
+    .notification-icon {
+      width: 20px;
+      height: 20px;
+      flex-shrink: 0;
+    }
+    
+    .notification-text {
+      font-size: 14px;
+      font-weight: 500;
+      color: #374151;
+    }
+`;
+
+/**
+ * 仪表板和服务详情页共用的前端函数和常量，插入到两个页面的<script>中
+ * apiJson使用页面脚本中定义的csrfToken
+ */
+const SHARED_CLIENT_SCRIPT = `
+    const SERVICE_TYPE_LABELS = {
+      'web_service': 'Web 服务',
+      'static_site': '静态站点',
+      'private_service': '私有服务',
+      'background_worker': '后台任务',
+      'cron_job': '定时任务'
+    };
+    
+    // 转义HTML的工具函数，数字等非字符串的值先转为字符串
+    function escapeHtml(text) {
+      const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+      };
+      return String(text).replace(/[&<>"']/g, function(m) { return map[m]; });
+    }
+    
+    // 显示通知，消息按纯文本显示
+    function showNotification(message, type = 'success') {
+      const existingNotifications = document.querySelectorAll('.notification');
+      existingNotifications.forEach(notification => notification.remove());
+      
+      const notification = document.createElement('div');
+      notification.className = \`notification \${type}\`;
+      
+      const icon = type === 'success' 
+        ? '<svg class="notification-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M9 16.17L4.83 12L3.41 13.41L9 19L21 7L19.59 5.59L9 16.17Z" fill="#10b981"/></svg>'
+        : '<svg class="notification-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M12 2C6.48 2 2 6.48 2 12C2 17.52 6.48 22 12 22C17.52 22 22 17.52 22 12C22 6.48 17.52 2 12 2ZM13 17H11V15H13V17ZM13 13H11V7H13V13Z" fill="#ef4444"/></svg>';
+      
+      notification.innerHTML = \`
+        <div class="notification-content">
+          \${icon}
+          <div class="notification-text">\${escapeHtml(message)}</div>
+        </div>
+      \`;
+      
+      document.body.appendChild(notification);
+      
+      setTimeout(() => {
+        notification.style.animation = 'slideInRight 0.3s ease-out reverse';
+        setTimeout(() => notification.remove(), 300);
+      }, 4000);
+    }
+    
+    // 两个时间之间的时长，如"2分15秒"；时间无效或结束早于开始时返回null
+    function formatDuration(start, end) {
+      const seconds = Math.round((Date.parse(end) - Date.parse(start)) / 1000);
+      if (!(seconds >= 0)) {
+        return null;
+      }
+      return seconds >= 60 ? \`\${Math.floor(seconds / 60)}分\${seconds % 60}秒\` : \`\${seconds}秒\`;
+    }
+    
+    // 从失败的响应中读取服务端给出的错误原因（包括Render API返回的原因）
+    async function responseError(response, fallbackMessage) {
+      const result = await response.json().catch(() => ({}));
+      return new Error(result.error || \`\${fallbackMessage}: \${response.status}\`);
+    }
+    
+    // 请求面板API并返回JSON，附带页面的CSRF令牌；失败时抛出服务端返回的错误信息
+    async function apiJson(url, method = 'GET', body) {
+      const response = await fetch(url, {
+        method: method,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      
+      if (!response.ok) {
+        throw await responseError(response, '请求失败');
+      }
+      return response.json().catch(() => ({}));
+    }
+`;
+
+/**
+ * 渲染仪表板页面，布局优化
+ * @param {Object} session - 当前会话，用于按角色显示功能
+ * @returns {Response} - 仪表板HTML响应
+ */
+function renderDashboard(session) {
+  const currentUser = {
+    username: session.username,
+    role: session.role,
+    permissions: ROLE_PERMISSIONS[session.role] || []
+  };
+  const isAdmin = hasPermission(session, 'users:manage');
+  
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Render Service Management</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    
+    body {
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+      background: #f0f2f5;
+      color: #1a202c;
+      line-height: 1.6;
+      min-height: 100vh;
+      display: flex;
+      flex-direction: column;
+    }
+    
+    ${SHARED_STYLES}
+    
+    /* 头部样式 */
+    .header-container {
+      max-width: 1400px;
+      margin: 0 auto;
+      padding: 0 2rem;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
+    
+    .logo {
+      display: flex;
+      align-items: center;
+      gap: 15px;
+    }
+    
+    .logo-icon {
+      width: 45px;
+      height: 45px;
+      background: rgba(255, 255, 255, 0.2);
+      backdrop-filter: blur(10px);
+      border-radius: 12px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      box-shadow: 0 8px 16px rgba(0, 0, 0, 0.1);
+    }
+    
+    .logo-icon svg {
+      width: 25px;
+      height: 25px;
+      fill: white;
+    }
+    
+    h1 {
+      font-size: 24px;
+      font-weight: 700;
+    }
+    
+    .logout-btn {
+      padding: 10px 20px;
+      background: rgba(255, 255, 255, 0.2);
+      backdrop-filter: blur(10px);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 10px;
+      cursor: pointer;
+      text-decoration: none;
+      font-weight: 600;
+      font-size: 14px;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      transition: all 0.3s ease;
+    }
+    
+    .logout-btn:hover {
+      background: rgba(255, 255, 255, 0.3);
+      transform: translateY(-1px);
+    }
+    
+    .header-actions {
+      display: flex;
+      align-items: center;
+      gap: 0.75rem;
+    }
+    
+    .user-badge {
+      font-size: 13px;
+      font-weight: 600;
+      opacity: 0.9;
+    }
+    
+    /* 主容器 */
+    .main-content {
+      flex: 1;
+    }
+    
+    .container {
+      max-width: 1400px;
+      margin: 0 auto;
+      padding: 2rem;
+    }
+    
+    /* 统计栏 */
+    .stats-bar {
+      background: white;
+      border-radius: 16px;
+      padding: 1.5rem;
+      margin-bottom: 2rem;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.04);
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 2rem;
+    }
+    
+    .stats-content {
+      display: flex;
+      align-items: center;
+      gap: 3rem;
+      flex: 1;
+    }
+    
+    .stat-item {
+      display: flex;
+      align-items: center;
+      gap: 1rem;
+    }
+    
+    .stat-icon {
+      width: 48px;
+      height: 48px;
+      background: linear-gradient(135deg, #667eea20 0%, #764ba220 100%);
+      border-radius: 12px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      color: #667eea;
+    }
+    
+    .stat-info h3 {
+      font-size: 24px;
+      font-weight: 700;
+      color: #2d3748;
+      margin: 0;
+    }
+    
+    .stat-info p {
+      font-size: 14px;
+      color: #718096;
+      margin: 0;
+    }
+    
+    .toolbar {
+      display: flex;
+      align-items: center;
+      gap: 0.75rem;
+    }
+    
+    .search-box {
+      position: relative;
+      width: 300px;
+    }
+    
+    .type-filter {
+      padding: 12px 16px;
+      border: 2px solid #e2e8f0;
+      border-radius: 12px;
+      background: #f7fafc;
+      color: #4a5568;
+      font-size: 14px;
+      cursor: pointer;
+      transition: all 0.3s ease;
+    }
+    
+    .type-filter:focus {
+      outline: none;
+      border-color: #667eea;
+    }
+    
+    .refresh-btn {
+      padding: 12px 16px;
+      border: 2px solid #e2e8f0;
+      border-radius: 12px;
+      background: #f7fafc;
+      color: #4a5568;
+      font-size: 14px;
+      font-weight: 600;
+      cursor: pointer;
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      transition: all 0.3s ease;
+    }
+    
+    .refresh-btn:hover {
+      border-color: #667eea;
+      color: #667eea;
+    }
+    
+    .refresh-btn:disabled {
+      opacity: 0.6;
+      cursor: not-allowed;
+    }
+    
+    .search-input {
+      width: 100%;
+      padding: 12px 40px 12px 16px;
+      border: 2px solid #e2e8f0;
+      border-radius: 12px;
+      font-size: 14px;
+      transition: all 0.3s ease;
+      background-color: #f7fafc;
+    }
+    
+    .search-input:focus {
+      outline: none;
+      border-color: #667eea;
+      background-color: white;
+      box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
+    }
+    
+    .search-icon {
+      position: absolute;
+      right: 12px;
+      top: 50%;
+      transform: translateY(-50%);
+      color: #94a3b8;
+      pointer-events: none;
+    }
+    
+    /* 服务网格布局 */
+    .services-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(400px, 1fr));
+      gap: 1.5rem;
+    }
+    
+    /* 增强的服务卡片 */
+    .service-card {
+      background: white;
+      border-radius: 16px;
+      overflow: hidden;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.04);
+      transition: all 0.3s ease;
+      border: 1px solid #e2e8f0;
+    }
+    
+    .service-card:hover {
+      transform: translateY(-4px);
+      box-shadow: 0 12px 24px rgba(0, 0, 0, 0.08);
+    }
+    
+    .service-card-header {
+      background: linear-gradient(135deg, #f7fafc 0%, #edf2f7 100%);
+      padding: 1.5rem;
+      border-bottom: 1px solid #e2e8f0;
+    }
+    
+    .service-header-top {
+      display: flex;
+      justify-content: space-between;
+      align-items: start;
+      margin-bottom: 0.75rem;
+    }
+    
+    .service-name {
+      font-size: 18px;
+      font-weight: 700;
+      color: #1a202c;
+      margin: 0;
+      line-height: 1.3;
+    }
+    
+    .service-name a {
+      color: inherit;
+      text-decoration: none;
+    }
+    
+    .service-name a:hover {
+      color: #667eea;
+    }
+    
+    .service-badges {
+      display: flex;
+      gap: 0.5rem;
+      align-items: center;
+    }
+    
+    .service-type {
+      padding: 4px 10px;
+      background: #e6f3ff;
+      color: #2563eb;
+      border-radius: 20px;
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+    
+    .account-badge {
+      padding: 4px 10px;
+      background: linear-gradient(135deg, #667eea20 0%, #764ba220 100%);
+      color: #667eea;
+      border-radius: 20px;
+      font-size: 11px;
+      font-weight: 600;
+      display: flex;
+      align-items: center;
+      gap: 4px;
+    }
+    
+    .service-meta {
+      display: flex;
+      align-items: center;
+      gap: 1.5rem;
+      font-size: 13px;
+      color: #64748b;
+    }
+    
+    .meta-item {
+      display: flex;
+      align-items: center;
+      gap: 0.25rem;
+    }
+    
+    .service-card-body {
+      padding: 1.5rem;
+    }
+    
+    .service-status-row {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      margin-bottom: 1.25rem;
+    }
+    
+    .service-status {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+      padding: 8px 14px;
+      border-radius: 20px;
+      font-size: 13px;
+      font-weight: 600;
+    }
+    
+    .status-indicator {
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+    }
+    
+    .status-live {
+      background-color: #d1fae5;
+      color: #065f46;
+    }
+    
+    .status-live .status-indicator {
+      background-color: #10b981;
+      box-shadow: 0 0 0 2px rgba(16, 185, 129, 0.2);
+    }
+    
+    .status-suspended {
+      background-color: #fee2e2;
+      color: #991b1b;
+    }
+    
+    .status-suspended .status-indicator {
+      background-color: #ef4444;
+      box-shadow: 0 0 0 2px rgba(239, 68, 68, 0.2);
+    }
+    
+    .service-url {
+      color: #3b82f6;
+      text-decoration: none;
+      font-size: 13px;
+      display: flex;
+      align-items: center;
+      gap: 0.25rem;
+      transition: color 0.2s ease;
+    }
+    
+    .service-url:hover {
+      color: #2563eb;
+      text-decoration: underline;
+    }
+    
+    .service-info-grid {
+      display: grid;
+      grid-template-columns: repeat(2, 1fr);
+      gap: 1rem;
+      margin-bottom: 1.5rem;
+    }
+    
+    .info-item {
+      display: flex;
+      flex-direction: column;
+      gap: 0.25rem;
+    }
+    
+    .info-label {
+      font-size: 12px;
+      font-weight: 600;
+      color: #94a3b8;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+    
+    .info-value {
+      font-size: 14px;
+      color: #374151;
+      font-weight: 500;
+    }
+    
+    .service-actions {
+      display: grid;
+      grid-template-columns: repeat(3, 1fr);
+      gap: 0.75rem;
+    }
+    
+    .action-btn {
+      padding: 10px 12px;
+      border: none;
+      border-radius: 10px;
+      font-weight: 600;
+      font-size: 13px;
+      cursor: pointer;
+      transition: all 0.3s ease;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      gap: 6px;
+    }
+    
+    .deploy-btn {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      box-shadow: 0 4px 12px rgba(102, 126, 234, 0.25);
+    }
+    
+    .deploy-btn:hover {
+      transform: translateY(-1px);
+      box-shadow: 0 6px 16px rgba(102, 126, 234, 0.35);
+    }
+    
+    .env-vars-btn {
+      background: #f1f5f9;
+      color: #475569;
+      border: 1px solid #e2e8f0;
+    }
+    
+    .env-vars-btn:hover {
+      background: #e2e8f0;
+      color: #334155;
+      transform: translateY(-1px);
+    }
+    
+    .events-btn {
+      background: #fef3c7;
+      color: #92400e;
+      border: 1px solid #fde68a;
+    }
+    
+    .events-btn:hover {
+      background: #fde68a;
+      color: #78350f;
+      transform: translateY(-1px);
+    }
+    
+    .suspend-btn {
+      background: #fee2e2;
+      color: #991b1b;
+      border: 1px solid #fecaca;
+    }
+    
+    .suspend-btn:hover {
+      background: #fecaca;
+      color: #7f1d1d;
+      transform: translateY(-1px);
+    }
+    
+    .resume-btn {
+      background: #dbeafe;
+      color: #1e40af;
+      border: 1px solid #bfdbfe;
+    }
+    
+    .resume-btn:hover {
+      background: #bfdbfe;
+      color: #1e3a8a;
+      transform: translateY(-1px);
+    }
+    
+    .restart-btn {
+      background: #e0e7ff;
+      color: #3730a3;
+      border: 1px solid #c7d2fe;
+    }
+    
+    .restart-btn:hover {
+      background: #c7d2fe;
+      color: #312e81;
+      transform: translateY(-1px);
+    }
+    
+    .schedule-btn {
+      background: #f3e8ff;
+      color: #6b21a8;
+      border: 1px solid #e9d5ff;
+    }
+    
+    .schedule-btn:hover {
+      background: #e9d5ff;
+      color: #581c87;
+      transform: translateY(-1px);
+    }
+    
+    .keepalive-btn {
+      background: #ecfeff;
+      color: #155e75;
+      border: 1px solid #cffafe;
+    }
+    
+    .keepalive-btn:hover {
+      background: #cffafe;
+      color: #164e63;
+      transform: translateY(-1px);
+    }
+    
+    .keepalive-status {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-bottom: 1rem;
+      font-size: 12px;
+      color: #64748b;
+    }
+    
+    .keepalive-status .status-dot {
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      background: #94a3b8;
+    }
+    
+    .keepalive-status .status-dot.ok {
+      background: #10b981;
+    }
+    
+    .keepalive-status .status-dot.failed {
+      background: #ef4444;
+    }
+    
+    /* 部署进度 */
+    .deploy-progress {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 0.5rem;
+      margin-bottom: 1rem;
+      padding: 0.5rem 0.75rem;
+      background: #f8fafc;
+      border-radius: 8px;
+    }
+    
+    .deploy-steps {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      font-size: 12px;
+      color: #94a3b8;
+    }
+    
+    .deploy-step {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      white-space: nowrap;
+    }
+    
+    .deploy-step::before {
+      content: '';
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      background: #cbd5e1;
+    }
+    
+    .deploy-step.done {
+      color: #065f46;
+    }
+    
+    .deploy-step.done::before {
+      background: #10b981;
+    }
+    
+    .deploy-step.active {
+      color: #3730a3;
+      font-weight: 600;
+    }
+    
+    .deploy-step.active::before {
+      background: #667eea;
+      animation: deployPulse 1.5s ease-in-out infinite;
+    }
+    
+    @keyframes deployPulse {
+      50% { opacity: 0.3; }
+    }
+    
+    .deploy-step.failed {
+      color: #991b1b;
+      font-weight: 600;
+    }
+    
+    .deploy-step.failed::before {
+      background: #ef4444;
+    }
+    
+    .deploy-step-separator {
+      width: 12px;
+      height: 1px;
+      background: #cbd5e1;
+    }
+    
+    .deploy-progress .cancel-deploy-btn {
+      padding: 2px 8px;
+      border: 1px solid #e2e8f0;
+      border-radius: 6px;
+      background: white;
+      color: #64748b;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    
+    .deploy-progress .cancel-deploy-btn:hover {
+      color: #991b1b;
+      border-color: #fecaca;
+    }
+    
+    .run-btn {
+      background: #dcfce7;
+      color: #166534;
+      border: 1px solid #bbf7d0;
+    }
+    
+    .run-btn:hover {
+      background: #bbf7d0;
+      color: #14532d;
+      transform: translateY(-1px);
+    }
+    
+    .service-address {
+      font-size: 12px;
+      font-family: monospace;
+      color: #64748b;
+    }
+    
+    .action-btn:disabled {
+      background: #cbd5e1;
+      color: #94a3b8;
+      cursor: not-allowed;
+      box-shadow: none;
+      transform: none;
+    }
+    
+    /* 页脚样式 */
+    .footer {
+      background: white;
+      border-top: 1px solid #e2e8f0;
+      padding: 1.5rem 0;
+      margin-top: 3rem;
+    }
+    
+    .footer p {
+      text-align: center;
+      color: #64748b;
+      font-size: 14px;
+      margin: 0;
+    }
+    
+    .footer a {
+      color: #667eea;
+      text-decoration: none;
+      font-weight: 600;
+    }
+    
+    .footer a:hover {
+      text-decoration: underline;
+    }
+    
+    /* 模态框样式 */
+    .modal {
+      display: none;
+      position: fixed;
+      z-index: 1000;
+      left: 0;
+      top: 0;
+      width: 100%;
+      height: 100%;
+      background-color: rgba(0, 0, 0, 0.6);
+      backdrop-filter: blur(8px);
+      animation: fadeIn 0.3s ease-out;
+    }
+    
+    .modal.show {
+      display: block;
+    }
+    
+    @keyframes fadeIn {
+      from { opacity: 0; }
+      to { opacity: 1; }
+    }
+    
+    .modal-content {
+      background-color: white;
+      margin: 2% auto;
+      padding: 0;
+      border-radius: 20px;
+      width: 95%;
+      max-width: 900px;
+      max-height: 90vh;
+      overflow: hidden;
+      box-shadow: 0 25px 50px rgba(0, 0, 0, 0.25);
+      animation: slideUp 0.3s ease-out;
+      position: relative;
+    }
+    
+    @keyframes slideUp {
+      from {
+        transform: translateY(50px);
+        opacity: 0;
+      }
+      to {
+        transform: translateY(0);
+        opacity: 1;
+      }
+    }
+    
+    .modal-header {
+      padding: 2rem 2rem 1rem 2rem;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      position: relative;
+    }
+    
+    .modal-title-section {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
+    
+    .modal-title {
+      font-size: 24px;
+      font-weight: 700;
+      margin: 0;
+    }
+    
+    .modal-service-info {
+      margin-top: 0.5rem;
+      opacity: 0.9;
+      font-size: 14px;
+    }
+    
+    .close-btn {
+      background: rgba(255, 255, 255, 0.2);
+      border: none;
+      width: 40px;
+      height: 40px;
+      border-radius: 50%;
+      color: white;
+      font-size: 20px;
+      cursor: pointer;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      transition: all 0.2s ease;
+    }
+    
+    .close-btn:hover {
+      background: rgba(255, 255, 255, 0.3);
+      transform: scale(1.1);
+    }
+    
+    .modal-body {
+      padding: 2rem;
+      max-height: 70vh;
+      overflow-y: auto;
+    }
+    
+    /* 事件日志样式 */
+    .events-container {
+      display: flex;
+      flex-direction: column;
+      gap: 1rem;
+    }
+    
+    .event-item {
+      background: #f8fafc;
+      border: 1px solid #e2e8f0;
+      border-radius: 12px;
+      padding: 1rem;
+      transition: all 0.3s ease;
+    }
+    
+    .event-item:hover {
+      background: white;
+      border-color: #cbd5e1;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+    }
+    
+    .event-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 0.75rem;
+    }
+    
+    .event-type {
+      font-weight: 700;
+      font-size: 14px;
+      color: #1e293b;
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+    }
+    
+    .event-type-badge {
+      padding: 4px 10px;
+      border-radius: 20px;
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+    }
+    
+    .event-type-deploy {
+      background: #dbeafe;
+      color: #1e40af;
+    }
+    
+    .event-type-build {
+      background: #fef3c7;
+      color: #92400e;
+    }
+    
+    .event-type-panel {
+      background: #e0e7ff;
+      color: #3730a3;
+    }
+    
+    .event-type-rollback {
+      background: #fef3c7;
+      color: #92400e;
+    }
+    
+    .event-type-error {
+      background: #fee2e2;
+      color: #991b1b;
+    }
+    
+    .event-time {
+      font-size: 12px;
+      color: #64748b;
+    }
+    
+    .event-details {
+      font-size: 13px;
+      color: #475569;
+      line-height: 1.5;
+    }
+    
+    .event-status {
+      display: inline-flex;
+      align-items: center;
+      gap: 0.25rem;
+      padding: 4px 8px;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: 600;
+      margin-top: 0.5rem;
+    }
+    
+    .event-status-succeeded {
+      background: #d1fae5;
+      color: #065f46;
+    }
+    
+    .event-status-failed {
+      background: #fee2e2;
+      color: #991b1b;
+    }
+    
+    .event-status-started {
+      background: #dbeafe;
+      color: #1e40af;
+    }
+    
+    .event-status-canceled {
+      background: #f1f5f9;
+      color: #475569;
+    }
+    
+    /* 环境变量网格布局 */
+    .env-vars-container {
+      display: flex;
+      flex-direction: column;
+      gap: 0.75rem;
+    }
+    
+    .env-var-item {
+      background: #f8fafc;
+      border: 1px solid #e2e8f0;
+      border-radius: 12px;
+      padding: 0;
+      transition: all 0.3s ease;
+      overflow: hidden;
+    }
+    
+    .env-var-item:hover {
+      background: white;
+      border-color: #cbd5e1;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+    }
+    
+    .env-var-item.editing {
+      background: #fef3c7;
+      border-color: #f59e0b;
+      box-shadow: 0 0 0 3px rgba(245, 158, 11, 0.1);
+    }
+    
+    .env-var-grid {
+      display: grid;
+      grid-template-columns: minmax(200px, 1fr) 2fr auto;
+      align-items: center;
+      padding: 1rem;
+      gap: 1rem;
+    }
+    
+    .env-var-key {
+      font-weight: 700;
+      color: #1e293b;
+      font-size: 14px;
+      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+      background: #e2e8f0;
+      padding: 6px 12px;
+      border-radius: 6px;
+      word-break: break-all;
+    }
+    
+    .env-var-value-wrapper {
+      position: relative;
+      width: 100%;
+    }
+    
+    .env-var-value {
+      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+      font-size: 13px;
+      color: #475569;
+      background: white;
+      padding: 10px 40px 10px 12px;
+      border-radius: 8px;
+      border: 1px solid #e2e8f0;
+      word-break: break-all;
+      line-height: 1.5;
+      transition: all 0.3s ease;
+      width: 100%;
+      cursor: pointer;
+      position: relative;
+    }
+    
+    .env-var-value.masked {
+      color: #94a3b8;
+      letter-spacing: 2px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    
+    .env-var-value:hover {
+      border-color: #cbd5e1;
+      background: #f8fafc;
+    }
+    
+    .visibility-toggle {
+      position: absolute;
+      right: 8px;
+      top: 50%;
+      transform: translateY(-50%);
+      background: rgba(255, 255, 255, 0.9);
+      border: 1px solid #e2e8f0;
+      border-radius: 6px;
+      width: 28px;
+      height: 28px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      cursor: pointer;
+      transition: all 0.2s ease;
+      color: #64748b;
+    }
+    
+    .visibility-toggle:hover {
+      background: white;
+      color: #334155;
+      transform: translateY(-50%) scale(1.1);
+    }
+    
+    .env-var-actions {
+      display: flex;
+      gap: 0.5rem;
+    }
+    
+    .env-var-btn {
+      padding: 6px 12px;
+      border: none;
+      border-radius: 8px;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s ease;
+      display: flex;
+      align-items: center;
+      gap: 0.25rem;
+    }
+    
+    .edit-btn {
+      background: #3b82f6;
+      color: white;
+    }
+    
+    .edit-btn:hover {
+      background: #2563eb;
+      transform: translateY(-1px);
+    }
+    
+    .delete-btn {
+      background: #ef4444;
+      color: white;
+    }
+    
+    .delete-btn:hover {
+      background: #dc2626;
+      transform: translateY(-1px);
+    }
+    
+    .copy-btn {
+      background: #10b981;
+      color: white;
+    }
+    
+    .copy-btn:hover {
+      background: #059669;
+      transform: translateY(-1px);
+    }
+    
+    /* 内联编辑器样式 */
+    .inline-editor {
+      position: relative;
+      display: none;
+      width: 100%;
+    }
+    
+    .inline-editor.active {
+      display: block;
+    }
+    
+    .inline-editor-input {
+      width: 100%;
+      padding: 10px 12px;
+      border: 2px solid #f59e0b;
+      border-radius: 8px;
+      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+      font-size: 13px;
+      background: white;
+      color: #1e293b;
+      min-height: 38px;
+      resize: vertical;
+      transition: all 0.3s ease;
+    }
+    
+    .inline-editor-input:focus {
+      outline: none;
+      box-shadow: 0 0 0 3px rgba(245, 158, 11, 0.2);
+    }
+    
+    .inline-editor-actions {
+      display: flex;
+      gap: 0.5rem;
+      margin-top: 0.75rem;
+      justify-content: flex-end;
+    }
+    
+    .inline-editor-btn {
+      padding: 6px 14px;
+      border: none;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s ease;
+      display: flex;
+      align-items: center;
+      gap: 0.25rem;
+    }
+    
+    .save-edit-btn {
+      background: #10b981;
+      color: white;
+    }
+    
+    .save-edit-btn:hover {
+      background: #059669;
+      transform: translateY(-1px);
+    }
+    
+    .cancel-edit-btn {
+      background: #f1f5f9;
+      color: #64748b;
+      border: 1px solid #e2e8f0;
+    }
+    
+    .cancel-edit-btn:hover {
+      background: #e2e8f0;
+      color: #475569;
+    }
+    
+    /* 添加变量表单 */
+    .add-env-var-section {
+      margin-top: 2rem;
+      padding-top: 2rem;
+      border-top: 2px dashed #e2e8f0;
+    }
+    
+    .add-env-var-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 1.5rem;
+    }
+    
+    .add-env-var-title {
+      font-size: 18px;
+      font-weight: 700;
+      color: #1e293b;
+      margin: 0;
+    }
+    
+    .toggle-form-btn {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      border: none;
+      padding: 10px 16px;
+      border-radius: 8px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.3s ease;
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+    }
+    
+    .toggle-form-btn:hover {
+      transform: translateY(-2px);
+      box-shadow: 0 8px 16px rgba(102, 126, 234, 0.3);
+    }
+    
+    .add-env-var-form {
+      background: linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%);
+      border: 2px solid #e2e8f0;
+      border-radius: 16px;
+      padding: 1.5rem;
+      transition: all 0.3s ease;
+      transform: translateY(-10px);
+      opacity: 0;
+      max-height: 0;
+      overflow: hidden;
+    }
+    
+    .add-env-var-form.show {
+      transform: translateY(0);
+      opacity: 1;
+      max-height: 300px;
+    }
+    
+    .form-row {
+      display: grid;
+      grid-template-columns: 1fr 2fr;
+      gap: 1rem;
+      margin-bottom: 1rem;
+    }
+    
+    .form-group {
+      display: flex;
+      flex-direction: column;
+      gap: 0.5rem;
+    }
+    
+    .form-label {
+      font-weight: 700;
+      color: #374151;
+      font-size: 14px;
+    }
+    
+    .form-input {
+      padding: 10px 12px;
+      border: 2px solid #e2e8f0;
+      border-radius: 8px;
+      font-size: 14px;
+      transition: all 0.3s ease;
+      background-color: white;
+    }
+    
+    .form-input:focus {
+      outline: none;
+      border-color: #667eea;
+      box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
+    }
+    
+    .form-input.key-input {
+      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+    }
+    
+    /* 管理表格样式 */
+    .admin-form-row {
+      display: grid;
+      grid-template-columns: 2fr 1fr auto;
+      gap: 0.75rem;
+      align-items: end;
+      margin-bottom: 1.5rem;
+    }
+    
+    .data-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+    
+    .data-table th {
+      text-align: left;
+      font-size: 12px;
+      font-weight: 600;
+      color: #94a3b8;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+      padding: 0.5rem 0.75rem;
+      border-bottom: 2px solid #e2e8f0;
+    }
+    
+    .data-table td {
+      padding: 0.75rem;
+      border-bottom: 1px solid #e2e8f0;
+      color: #374151;
+      vertical-align: middle;
+    }
+    
+    .data-table select {
+      padding: 6px 8px;
+      border: 1px solid #e2e8f0;
+      border-radius: 6px;
+      font-size: 13px;
+      background: white;
+    }
+    
+    .status-pill {
+      display: inline-block;
+      padding: 2px 8px;
+      border-radius: 10px;
+      font-size: 11px;
+      font-weight: 600;
+      background: #d1fae5;
+      color: #065f46;
+    }
+    
+    .status-pill.muted {
+      background: #f1f5f9;
+      color: #64748b;
+    }
+    
+    .status-pill.danger {
+      background: #fee2e2;
+      color: #991b1b;
+    }
+    
+    .scope-editor {
+      background: #f8fafc;
+      border: 1px solid #e2e8f0;
+      border-radius: 12px;
+      padding: 1rem 1.25rem;
+      margin-top: 1.5rem;
+      display: none;
+    }
+    
+    .scope-editor.show {
+      display: block;
+    }
+    
+    .scope-account {
+      border-top: 1px solid #e2e8f0;
+      padding: 0.75rem 0;
+      font-size: 13px;
+    }
+    
+    .scope-account-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 1rem;
+    }
+    
+    .scope-services {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+      gap: 0.25rem 1rem;
+      margin-top: 0.5rem;
+      padding-left: 0.5rem;
+    }
+    
+    .scope-services label {
+      display: flex;
+      align-items: center;
+      gap: 0.4rem;
+      color: #475569;
+    }
+    
+    .totp-secret {
+      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+      font-size: 16px;
+      letter-spacing: 2px;
+      background: #f1f5f9;
+      border-radius: 8px;
+      padding: 0.75rem 1rem;
+      margin: 0.75rem 0;
+      word-break: break-all;
+    }
+    
+    .recovery-codes {
+      display: grid;
+      grid-template-columns: repeat(2, 1fr);
+      gap: 0.5rem;
+      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+      background: #f8fafc;
+      border: 1px dashed #cbd5e1;
+      border-radius: 8px;
+      padding: 1rem;
+      margin: 0.75rem 0;
+    }
+    
+    .security-section p {
+      font-size: 14px;
+      color: #475569;
+      margin-bottom: 0.75rem;
+    }
+    
+    .account-warning {
+      display: flex;
+      gap: 0.75rem;
+      align-items: flex-start;
+      background: #fffbeb;
+      border: 1px solid #fde68a;
+      color: #92400e;
+      border-radius: 12px;
+      padding: 0.875rem 1.25rem;
+      margin-bottom: 1rem;
+      font-size: 14px;
+    }
+    
+    .account-warning svg {
+      flex-shrink: 0;
+      margin-top: 1px;
+    }
+    
+    .account-warning-detail {
+      font-size: 12px;
+      color: #b45309;
+      margin-top: 0.25rem;
+    }
+    
+    .invite-result {
+      background: #f0fdf4;
+      border: 1px solid #bbf7d0;
+      border-radius: 10px;
+      padding: 0.75rem 1rem;
+      margin-bottom: 1.5rem;
+      font-size: 13px;
+      word-break: break-all;
+      display: none;
+    }
+    
+    .invite-result.show {
+      display: block;
+    }
+    
+    /* 空状态 */
+    .empty-state {
+      text-align: center;
+      padding: 3rem 2rem;
+      color: #94a3b8;
+    }
+    
+    .empty-state-icon {
+      width: 64px;
+      height: 64px;
+      margin: 0 auto 1rem auto;
+      opacity: 0.5;
+    }
+    
+    .empty-state h3 {
+      font-size: 18px;
+      font-weight: 600;
+      margin-bottom: 0.5rem;
+      color: #64748b;
+    }
+    
+    /* 响应式设计 */
+    @media (max-width: 768px) {
+      .header-container {
+        flex-direction: column;
+        gap: 1rem;
+        text-align: center;
+      }
+      
+      .stats-bar {
+        flex-direction: column;
+      }
+      
+      .stats-content {
+        flex-direction: column;
+        gap: 1.5rem;
+      }
+      
+      .toolbar {
+        width: 100%;
+      }
+      
+      .search-box {
+        width: 100%;
+      }
+      
+      .services-grid {
+        grid-template-columns: 1fr;
+      }
+      
+      .service-info-grid {
+        grid-template-columns: 1fr;
+      }
+      
+      .service-actions {
+        grid-template-columns: 1fr;
+      }
+      
+      .env-var-grid {
+        grid-template-columns: 1fr;
+        gap: 0.75rem;
+      }
+      
+      .env-var-actions {
+        margin-top: 0.75rem;
+        justify-content: flex-start;
+      }
+      
+      .form-row,
+      .admin-form-row {
+        grid-template-columns: 1fr;
+      }
+    }
+    
+    /* 自定义滚动条 */
+    .modal-body::-webkit-scrollbar {
+      width: 6px;
+    }
+    
+    .modal-body::-webkit-scrollbar-track {
+      background: #f1f5f9;
+      border-radius: 3px;
+    }
+    
+    .modal-body::-webkit-scrollbar-thumb {
+      background: #cbd5e1;
+      border-radius: 3px;
+    }
+    
+    .modal-body::-webkit-scrollbar-thumb:hover {
+      background: #94a3b8;
+    }
+  </style>
+</head>
+<body>
+  <header class="header">
+    <div class="header-container">
+      <div class="logo">
+        <div class="logo-icon">
+          <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+            <path d="M12 2L2 7V12C2 16.5 4.23 20.68 7.62 23.15L12 25L16.38 23.15C19.77 20.68 22 16.5 22 12V7L12 2M12 4.18L19.25 7.8V12C19.25 15.58 17.58 18.85 15 20.75V13.25H9V20.75C6.42 18.85 4.75 15.58 4.75 12V7.8L12 4.18Z" />
+          </svg>
+        </div>
+        <h1>Render Service Manager</h1>
+      </div>
+      <div class="header-actions">
+        <span class="user-badge">${escapeHtml(session.username)} · ${escapeHtml(session.role)}</span>
+        <button class="logout-btn" onclick="openSecurityModal()">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M12 1L3 5V11C3 16.55 6.84 21.74 12 23C17.16 21.74 21 16.55 21 11V5L12 1ZM12 11.99H19C18.47 16.11 15.72 19.78 12 20.93V12H5V6.3L12 3.19V11.99Z" fill="currentColor"/>
+          </svg>
+          安全
+        </button>
+        <button class="logout-btn" onclick="openSessionsModal()">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M4 6H20V16H4V6ZM20 18C21.1 18 21.99 17.1 21.99 16L22 6C22 4.9 21.1 4 20 4H4C2.9 4 2 4.9 2 6V16C2 17.1 2.9 18 4 18H0V20H24V18H20Z" fill="currentColor"/>
+          </svg>
+          会话
+        </button>
+        <button class="logout-btn" onclick="openTokensModal()">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M12.65 10C11.83 7.67 9.61 6 7 6C3.69 6 1 8.69 1 12S3.69 18 7 18C9.61 18 11.83 16.33 12.65 14H17V18H21V14H23V10H12.65ZM7 14C5.9 14 5 13.1 5 12S5.9 10 7 10 9 10.9 9 12 8.1 14 7 14Z" fill="currentColor"/>
+          </svg>
+          API 令牌
+        </button>
+        ${isAdmin ? `
+        <button class="logout-btn" onclick="openUsersModal()">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M16 11C17.66 11 18.99 9.66 18.99 8C18.99 6.34 17.66 5 16 5C14.34 5 13 6.34 13 8C13 9.66 14.34 11 16 11ZM8 11C9.66 11 10.99 9.66 10.99 8C10.99 6.34 9.66 5 8 5C6.34 5 5 6.34 5 8C5 9.66 6.34 11 8 11ZM8 13C5.67 13 1 14.17 1 16.5V19H15V16.5C15 14.17 10.33 13 8 13ZM16 13C15.71 13 15.38 13.02 15.03 13.05C16.19 13.89 17 15.02 17 16.5V19H23V16.5C23 14.17 18.33 13 16 13Z" fill="currentColor"/>
+          </svg>
+          用户管理
+        </button>
+        <button class="logout-btn" onclick="openAccountsModal()">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M4 10V17H7V10H4ZM10.5 10V17H13.5V10H10.5ZM2 22H21V19H2V22ZM17 10V17H20V10H17ZM11.5 1L2 6V8H21V6L11.5 1Z" fill="currentColor"/>
+          </svg>
+          账户
+        </button>
+        <button class="logout-btn" onclick="openAuditModal()">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M14 2H6C4.9 2 4 2.9 4 4V20C4 21.1 4.9 22 6 22H18C19.1 22 20 21.1 20 20V8L14 2ZM16 18H8V16H16V18ZM16 14H8V12H16V14ZM13 9V3.5L18.5 9H13Z" fill="currentColor"/>
+          </svg>
+          审计
+        </button>` : ''}
+        <a href="/logout" class="logout-btn">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M17 7L15.59 8.41L18.17 11H8V13H18.17L15.59 15.58L17 17L22 12L17 7Z" fill="currentColor"/>
+            <path d="M4 5H12V3H4C2.9 3 2 3.9 2 5V19C2 20.1 2.9 21 4 21H12V19H4V5Z" fill="currentColor"/>
+          </svg>
+          登出
+        </a>
+      </div>
+    </div>
+  </header>
+
+  <div class="main-content">
+    <div class="container">
+      <!-- 统计栏 -->
+      <div class="stats-bar">
+        <div class="stats-content">
+          <div class="stat-item">
+            <div class="stat-icon">
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M21 8V20.993A1 1 0 0 1 20.007 22H3.993A.993.993 0 0 1 3 21.008V2.992C3 2.455 3.449 2 4.002 2h10.995L21 8zm-2 1h-5V4H5v16h14V9zM8 7h3v2H8V7zm0 4h8v2H8v-2zm0 4h8v2H8v-2z" fill="currentColor"/>
+              </svg>
+            </div>
+            <div class="stat-info">
+              <h3 id="totalServices">0</h3>
+              <p>总服务数</p>
+            </div>
+          </div>
+          <div class="stat-item">
+            <div class="stat-icon">
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z" fill="currentColor"/>
+              </svg>
+            </div>
+            <div class="stat-info">
+              <h3 id="liveServices">0</h3>
+              <p>运行中服务</p>
+            </div>
+          </div>
+          <div class="stat-item">
+            <div class="stat-icon">
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm-5 14H7v-2h7v2zm3-4H7v-2h10v2zm0-4H7V7h10v2z" fill="currentColor"/>
+              </svg>
+            </div>
+            <div class="stat-info">
+              <h3 id="totalAccounts">0</h3>
+              <p>账户数</p>
+            </div>
+          </div>
+        </div>
+        <div class="toolbar">
+          <div class="search-box">
+            <input 
+              type="text" 
+              id="serviceSearch" 
+              class="search-input" 
+              placeholder="搜索服务..."
+              onkeyup="filterServices()"
+            >
+            <svg class="search-icon" width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M21 21L16.514 16.506L21 21ZM19 10.5C19 15.194 15.194 19 10.5 19C5.806 19 2 15.194 2 10.5C2 5.806 5.806 2 10.5 2C15.194 2 19 5.806 19 10.5Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+          </div>
+          <select id="serviceTypeFilter" class="type-filter" onchange="filterServices()">
+            <option value="">全部类型</option>
+            <option value="web_service">Web 服务</option>
+            <option value="static_site">静态站点</option>
+            <option value="private_service">私有服务</option>
+            <option value="background_worker">后台任务</option>
+            <option value="cron_job">定时任务</option>
+          </select>
+          <button id="refreshBtn" class="refresh-btn" onclick="fetchServices({ refresh: true })" title="跳过缓存，重新从 Render 获取">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M17.65 6.35C16.2 4.9 14.21 4 12 4C7.58 4 4.01 7.58 4.01 12C4.01 16.42 7.58 20 12 20C15.73 20 18.84 17.45 19.73 14H17.65C16.83 16.33 14.61 18 12 18C8.69 18 6 15.31 6 12C6 8.69 8.69 6 12 6C13.66 6 15.14 6.69 16.22 7.78L13 11H20V4L17.65 6.35Z" fill="currentColor"/>
+            </svg>
+            刷新
+          </button>
+        </div>
+      </div>
+      
+      <div id="accountErrors">
+        <!-- 获取失败的账户将在这里提示 -->
+      </div>
+      
+      <div id="loading" class="loading">
+        <div class="loading-spinner"></div>
+        <p>加载服务中...</p>
+      </div>
+      
+      <div id="services-container" class="services-grid" style="display: none;">
+        <!-- 服务将在这里动态加载 -->
+      </div>
+    </div>
+  </div>
+
+  <footer class="footer">
+    <p>© 2025 Render Service Manager | <a href="https://github.com/ssfun/render-service-manager" target="_blank" rel="noopener noreferrer">@sfun</a></p>
+  </footer>
+
+  <!-- 环境变量模态框 -->
+  <div id="envVarsModal" class="modal">
+    <div class="modal-content">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title-section">
+            <h2 class="modal-title">环境变量</h2>
+            <button class="close-btn" onclick="closeEnvVarsModal()">×</button>
+          </div>
+          <div class="modal-service-info" id="modalServiceInfo">
+            <!-- 服务信息将在这里插入 -->
+          </div>
+        </div>
+      </div>
+      <div class="modal-body">
+        <div id="envVarsContainer" class="env-vars-container">
+          <!-- 环境变量将在这里加载 -->
+        </div>
+
+        <!-- 添加新环境变量部分 -->
+        <div class="add-env-var-section">
+          <div class="add-env-var-header">
+            <h3 class="add-env-var-title">添加新变量</h3>
+            <button class="toggle-form-btn" onclick="toggleAddForm()">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 5V19M5 12H19" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+              </svg>
+              <span id="toggleFormText">添加变量</span>
+            </button>
+          </div>
+          <div class="add-env-var-form" id="addEnvVarForm">
+            <div class="form-row">
+              <div class="form-group">
+                <label class="form-label">键</label>
+                <input 
+                  type="text" 
+                  id="newEnvVarKey" 
+                  class="form-input key-input" 
+                  placeholder="VARIABLE_NAME"
+                  onkeydown="handleFormKeyDown(event)"
+                >
+              </div>
+              <div class="form-group">
+                <label class="form-label">值</label>
+                <input 
+                  type="text" 
+                  id="newEnvVarValue" 
+                  class="form-input" 
+                  placeholder="variable_value"
+                  onkeydown="handleFormKeyDown(event)"
+                >
+              </div>
+            </div>
+            <div class="form-actions" style="display: flex; gap: 0.75rem; justify-content: flex-end;">
+              <button class="inline-editor-btn cancel-edit-btn" onclick="toggleAddForm()">
+                取消
+              </button>
+              <button class="inline-editor-btn save-edit-btn" onclick="addEnvVar()">
+                保存变量
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>
+
+  <!-- 部署选项模态框 -->
+  <div id="deployModal" class="modal">
+    <div class="modal-content" style="max-width: 600px;">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title-section">
+            <h2 class="modal-title">部署</h2>
+            <button class="close-btn" onclick="closeDeployModal()">×</button>
+          </div>
+          <div class="modal-service-info" id="deployModalServiceInfo">
+            <!-- 服务信息将在这里插入 -->
+          </div>
+        </div>
+      </div>
+      <div class="modal-body">
+        <div class="form-group" id="deployCommitGroup">
+          <label class="form-label">提交 SHA（可选）</label>
+          <input type="text" id="deployCommitId" class="form-input" placeholder="留空则部署分支的最新提交" autocomplete="off">
+        </div>
+        <div class="form-group" id="deployImageGroup">
+          <label class="form-label">镜像标签或地址（可选）</label>
+          <input type="text" id="deployImageUrl" class="form-input" autocomplete="off">
+          <p style="font-size: 12px; color: #64748b; margin-top: 0.4rem;">可只填写标签（如 v1.2）或摘要（sha256:...）；完整地址的格式为 仓库[:标签][@sha256:摘要]，仓库必须与当前镜像相同。</p>
+        </div>
+        <div style="display: flex; align-items: center; gap: 0.75rem;">
+          <label id="deployClearCacheLabel" style="display: flex; align-items: center; gap: 0.4rem; color: #475569; margin-right: auto;">
+            <input type="checkbox" id="deployClearCache">
+            清除构建缓存
+          </label>
+          <button class="inline-editor-btn cancel-edit-btn" style="padding: 10px 14px; margin-left: auto;" onclick="closeDeployModal()">取消</button>
+          <button class="toggle-form-btn" id="confirmDeployBtn" onclick="submitDeploy()">部署</button>
+        </div>
+      </div>
+    </div>
+  </div>
+  
+  <!-- 事件日志模态框 -->
+  <div id="eventsModal" class="modal">
+    <div class="modal-content">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title-section">
+            <h2 class="modal-title">事件日志</h2>
+            <button class="close-btn" onclick="closeEventsModal()">×</button>
+          </div>
+          <div class="modal-service-info" id="eventsModalServiceInfo">
+            <!-- 服务信息将在这里插入 -->
+          </div>
+        </div>
+      </div>
+      <div class="modal-body">
+        <div id="eventsContainer" class="events-container">
+          <!-- 事件日志将在这里加载 -->
+        </div>
+      </div>
+    </div>
+  </div>
+
+  <!-- 休眠计划模态框 -->
+  <div id="scheduleModal" class="modal">
+    <div class="modal-content" style="max-width: 700px;">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title-section">
+            <h2 class="modal-title">休眠计划</h2>
+            <button class="close-btn" onclick="closeScheduleModal()">×</button>
+          </div>
+          <div class="modal-service-info" id="scheduleModalServiceInfo">
+            <!-- 服务信息将在这里插入 -->
+          </div>
+        </div>
+      </div>
+      <div class="modal-body">
+        <p style="font-size: 13px; color: #64748b; margin-bottom: 1rem;">服务只在以下时段运行，其余时间自动暂停。每 5 分钟检查一次，只在进入或离开运行时段时暂停或恢复，期间手动恢复的服务会保持运行到下一次切换。</p>
+        <div class="form-group">
+          <label class="form-label">运行日</label>
+          <div id="scheduleDays" class="scope-services" style="padding-left: 0; grid-template-columns: repeat(7, auto);"></div>
+        </div>
+        <div class="admin-form-row" style="grid-template-columns: 1fr 1fr 2fr;">
+          <div class="form-group">
+            <label class="form-label">开始</label>
+            <input type="time" id="scheduleStart" class="form-input" value="09:00">
+          </div>
+          <div class="form-group">
+            <label class="form-label">结束</label>
+            <input type="time" id="scheduleEnd" class="form-input" value="20:00">
+          </div>
+          <div class="form-group">
+            <label class="form-label">时区</label>
+            <input type="text" id="scheduleTimezone" class="form-input" list="timezoneList" placeholder="例如: Asia/Shanghai">
+            <datalist id="timezoneList"></datalist>
+          </div>
+        </div>
+        <div style="display: flex; align-items: center; gap: 0.75rem; margin-bottom: 1.5rem;">
+          <label style="display: flex; align-items: center; gap: 0.4rem; color: #475569; margin-right: auto;">
+            <input type="checkbox" id="scheduleEnabled" checked>
+            启用
+          </label>
+          <button class="inline-editor-btn cancel-edit-btn" id="deleteScheduleBtn" style="padding: 10px 14px;" onclick="deleteSchedule()">删除计划</button>
+          <button class="toggle-form-btn" onclick="saveSchedule()">保存计划</button>
+        </div>
+        <label class="form-label">执行记录</label>
+        <div id="scheduleLogContainer">
+          <!-- 执行记录将在这里加载 -->
+        </div>
+      </div>
+    </div>
+  </div>
+  
+  <!-- 保活模态框 -->
+  <div id="keepAliveModal" class="modal">
+    <div class="modal-content" style="max-width: 700px;">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title-section">
+            <h2 class="modal-title">保活</h2>
+            <button class="close-btn" onclick="closeKeepAliveModal()">×</button>
+          </div>
+          <div class="modal-service-info" id="keepAliveModalServiceInfo">
+            <!-- 服务信息将在这里插入 -->
+          </div>
+        </div>
+      </div>
+      <div class="modal-body">
+        <p style="font-size: 13px; color: #64748b; margin-bottom: 1rem;">定期请求服务地址，防止免费实例因闲置而休眠。处于休眠计划暂停时段的服务不会被请求。</p>
+        <div class="admin-form-row" style="grid-template-columns: 2fr 1fr;">
+          <div class="form-group">
+            <label class="form-label">请求路径</label>
+            <input type="text" id="keepAlivePath" class="form-input" placeholder="/ 或 /healthz">
+          </div>
+          <div class="form-group">
+            <label class="form-label">间隔</label>
+            <select id="keepAliveInterval" class="form-input">
+              ${KEEPALIVE_INTERVALS.map(minutes => `<option value="${minutes}">${minutes} 分钟</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <div style="display: flex; align-items: center; gap: 0.75rem; margin-bottom: 1.5rem;">
+          <label style="display: flex; align-items: center; gap: 0.4rem; color: #475569; margin-right: auto;">
+            <input type="checkbox" id="keepAliveEnabled" checked>
+            启用
+          </label>
+          <button class="inline-editor-btn cancel-edit-btn" id="deleteKeepAliveBtn" style="padding: 10px 14px;" onclick="deleteKeepAlive()">删除配置</button>
+          <button class="toggle-form-btn" onclick="saveKeepAlive()">保存</button>
+        </div>
+        <label class="form-label">最近结果</label>
+        <div id="keepAliveHistoryContainer">
+          <!-- 最近的请求结果将在这里显示 -->
+        </div>
+      </div>
+    </div>
+  </div>
+  
+  <!-- 安全设置模态框 -->
+  <div id="securityModal" class="modal">
+    <div class="modal-content" style="max-width: 600px;">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title-section">
+            <h2 class="modal-title">双因素认证</h2>
+            <button class="close-btn" onclick="closeSecurityModal()">×</button>
+          </div>
+          <div class="modal-service-info">登录时除密码外，还需输入验证器应用（如 Google Authenticator、1Password）生成的动态码</div>
+        </div>
+      </div>
+      <div class="modal-body">
+        <div id="securityContainer">
+          <!-- 双因素认证状态将在这里加载 -->
+        </div>
+      </div>
+    </div>
+  </div>
+  
+  <!-- 活动会话模态框 -->
+  <div id="sessionsModal" class="modal">
+    <div class="modal-content">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title-section">
+            <h2 class="modal-title">活动会话</h2>
+            <button class="close-btn" onclick="closeSessionsModal()">×</button>
+          </div>
+          <div class="modal-service-info">当前已登录的浏览器和设备，闲置超过 24 小时的会话会自动失效</div>
+        </div>
+      </div>
+      <div class="modal-body">
+        <div style="display: flex; justify-content: flex-end; margin-bottom: 1rem;">
+          <button class="inline-editor-btn cancel-edit-btn" style="padding: 10px 14px;" onclick="revokeOtherSessions()">登出其他所有会话</button>
+        </div>
+        <div id="sessionsContainer">
+          <!-- 会话列表将在这里加载 -->
+        </div>
+      </div>
+    </div>
+  </div>
+  
+  <!-- API令牌模态框 -->
+  <div id="tokensModal" class="modal">
+    <div class="modal-content">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title-section">
+            <h2 class="modal-title">API 令牌</h2>
+            <button class="close-btn" onclick="closeTokensModal()">×</button>
+          </div>
+          <div class="modal-service-info">供脚本和 CI 调用 /api/* 接口，请求时携带 <code>Authorization: Bearer &lt;令牌&gt;</code></div>
+        </div>
+      </div>
+      <div class="modal-body">
+        <div class="admin-form-row">
+          <div class="form-group">
+            <label class="form-label">名称</label>
+            <input type="text" id="tokenName" class="form-input" placeholder="例如: github-actions-deploy">
+          </div>
+          <div class="form-group">
+            <label class="form-label">有效期</label>
+            <select id="tokenExpiry" class="form-input">
+              <option value="7">7 天</option>
+              <option value="30" selected>30 天</option>
+              <option value="90">90 天</option>
+              <option value="365">365 天</option>
+            </select>
+          </div>
+          <button class="toggle-form-btn" onclick="createToken()">创建令牌</button>
+        </div>
+        <div class="form-group" style="margin-bottom: 1.5rem;">
+          <label class="form-label">权限</label>
+          <div id="tokenScopes" class="scope-services" style="padding-left: 0;"></div>
+        </div>
+        <div id="tokenResult" class="invite-result"></div>
+        <div id="tokensContainer">
+          <!-- 令牌列表将在这里加载 -->
+        </div>
+      </div>
+    </div>
+  </div>
+  
+  <!-- Render账户管理模态框 -->
+  <div id="accountsModal" class="modal">
+    <div class="modal-content">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title-section">
+            <h2 class="modal-title">Render 账户</h2>
+            <button class="close-btn" onclick="closeAccountsModal()">×</button>
+          </div>
+          <div class="modal-service-info">API 密钥保存前会通过 Render API 验证，并加密存储在 KV 中</div>
+        </div>
+      </div>
+      <div class="modal-body">
+        <div class="admin-form-row" style="grid-template-columns: 1fr 1fr 1.5fr auto;">
+          <div class="form-group">
+            <label class="form-label">账户ID</label>
+            <input type="text" id="accountFormId" class="form-input" placeholder="留空则根据名称生成">
+          </div>
+          <div class="form-group">
+            <label class="form-label">名称</label>
+            <input type="text" id="accountFormName" class="form-input" placeholder="例如: 个人账户">
+          </div>
+          <div class="form-group">
+            <label class="form-label">API 密钥</label>
+            <input type="password" id="accountFormKey" class="form-input" placeholder="rnd_..." autocomplete="off">
+          </div>
+          <button class="toggle-form-btn" id="accountFormSubmit" onclick="saveAccount()">添加账户</button>
+        </div>
+        <div id="accountFormEditing" style="display: none; margin: -0.75rem 0 1rem; font-size: 13px; color: #64748b;">
+          正在编辑 <strong id="accountFormEditingName"></strong>，API 密钥留空则保留原密钥。
+          <a href="#" onclick="resetAccountForm(); return false;">取消编辑</a>
+        </div>
+        <div id="accountsContainer">
+          <!-- 账户列表将在这里加载 -->
+        </div>
+      </div>
+    </div>
+  </div>
+  
+  <!-- 审计日志模态框 -->
+  <div id="auditModal" class="modal">
+    <div class="modal-content" style="max-width: 1100px;">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title-section">
+            <h2 class="modal-title">审计日志</h2>
+            <button class="close-btn" onclick="closeAuditModal()">×</button>
+          </div>
+          <div class="modal-service-info">通过本面板执行的部署和环境变量修改记录（只记录值的哈希，不记录值本身）</div>
+        </div>
+      </div>
+      <div class="modal-body">
+        <div class="admin-form-row" style="grid-template-columns: 1fr 1fr 1fr auto auto auto;">
+          <div class="form-group">
+            <label class="form-label">用户</label>
+            <input type="text" id="auditUser" class="form-input" placeholder="用户名">
+          </div>
+          <div class="form-group">
+            <label class="form-label">服务ID</label>
+            <input type="text" id="auditService" class="form-input" placeholder="srv-...">
+          </div>
+          <div class="form-group">
+            <label class="form-label">操作</label>
+            <select id="auditAction" class="form-input">
+              <option value="">全部</option>
+              <option value="deploy">部署/回滚/取消部署</option>
+              <option value="cron.run">运行定时任务</option>
+              <option value="service">暂停/恢复/重启服务</option>
+              <option value="schedule">休眠计划</option>
+              <option value="keepalive">保活</option>
+              <option value="env">环境变量（全部）</option>
+              <option value="env.create">添加环境变量</option>
+              <option value="env.update">修改环境变量</option>
+              <option value="env.delete">删除环境变量</option>
+              <option value="account">Render 账户</option>
+              <option value="user">邀请/修改用户</option>
+              <option value="token">API 令牌</option>
+              <option value="session">撤销会话</option>
+              <option value="login.unlock">解除登录锁定</option>
+              <option value="totp">双因素认证</option>
+            </select>
+          </div>
+          <button class="toggle-form-btn" onclick="fetchAudit()">筛选</button>
+          <button class="inline-editor-btn cancel-edit-btn" style="padding: 10px 14px;" onclick="exportAudit('csv')">导出 CSV</button>
+          <button class="inline-editor-btn cancel-edit-btn" style="padding: 10px 14px;" onclick="exportAudit('json')">导出 JSON</button>
+        </div>
+        <div id="auditContainer">
+          <!-- 审计记录将在这里加载 -->
+        </div>
+      </div>
+    </div>
+  </div>
+  
+  <!-- 用户管理模态框 -->
+  <div id="usersModal" class="modal">
+    <div class="modal-content">
+      <div class="modal-header">
+        <div>
+          <div class="modal-title-section">
+            <h2 class="modal-title">用户管理</h2>
+            <button class="close-btn" onclick="closeUsersModal()">×</button>
+          </div>
+          <div class="modal-service-info">邀请团队成员、分配角色或禁用账户</div>
+        </div>
+      </div>
+      <div class="modal-body">
+        <div class="admin-form-row">
+          <div class="form-group">
+            <label class="form-label">用户名</label>
+            <input type="text" id="inviteUsername" class="form-input" placeholder="username 或 email">
+          </div>
+          <div class="form-group">
+            <label class="form-label">角色</label>
+            <select id="inviteRole" class="form-input"></select>
+          </div>
+          <button class="toggle-form-btn" onclick="inviteUser()">邀请</button>
+        </div>
+        <div id="inviteResult" class="invite-result"></div>
+        <div id="usersContainer">
+          <!-- 用户列表将在这里加载 -->
+        </div>
+        <div id="scopeEditor" class="scope-editor">
+          <!-- 访问范围编辑器将在这里加载 -->
+        </div>
+        <div class="security-section" style="margin-top: 1.5rem;">
+          <h3>登录失败记录</h3>
+          <p>连续登录失败的IP和用户名会被临时锁定，锁定时长随失败次数翻倍。可以在这里提前解除锁定。</p>
+          <div id="loginLockoutsContainer">
+            <!-- 登录失败记录将在这里加载 -->
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>
+  
+  <script>
+    const currentUser = ${serializeForScript(currentUser)};
+    const csrfToken = ${serializeForScript(session.csrfToken)};
+    const ROLE_LABELS = {
+      'viewer': '只读',
+      'deployer': '部署者',
+      'env-editor': '环境变量编辑者',
+      'admin': '管理员'
+    };
+    
+    let currentAccountName = ''
+    let currentServiceId = ''
+    let currentAccountId = ''
+    let currentServiceName = ''
+    let allEnvVars = []
+    let allServices = []
+    let isFormVisible = false
+    let editingKey = null
+    let allUsers = []
+    let allAccounts = []
+    let scopeEditingUser = null
+    let editingAccountId = null
+    let eventsAccountId = ''
+    let eventsServiceId = ''
+    let eventsCursor = null
+    let eventsBefore = null
+    let allSchedules = {}
+    let scheduleAccountId = ''
+    let scheduleServiceId = ''
+    let allKeepAlives = {}
+    let keepAliveAccountId = ''
+    let keepAliveServiceId = ''
+    let deployAccountId = ''
+    let deployServiceId = ''
+    let activeDeploys = {}
+    
+    const EVENTS_PAGE_SIZE = ${EVENTS_PAGE_SIZE};
+    const KEEPALIVE_INTERVALS = ${serializeForScript(KEEPALIVE_INTERVALS)};
+    
+    const AUDIT_ACTION_LABELS = {
+      'deploy': '部署',
+      'deploy.rollback': '回滚部署',
+      'deploy.cancel': '取消部署',
+      'cron.run': '运行定时任务',
+      'service.suspend': '暂停服务',
+      'service.resume': '恢复服务',
+      'service.restart': '重启服务',
+      'schedule.update': '修改休眠计划',
+      'schedule.delete': '删除休眠计划',
+      'keepalive.update': '修改保活配置',
+      'keepalive.delete': '删除保活配置',
+      'env.create': '添加环境变量',
+      'env.update': '修改环境变量',
+      'env.delete': '删除环境变量',
+      'account.create': '添加账户',
+      'account.update': '修改账户',
+      'account.delete': '删除账户',
+      'user.invite': '邀请用户',
+      'user.update': '修改用户',
+      'token.create': '创建API令牌',
+      'token.revoke': '撤销API令牌',
+      'session.revoke': '撤销会话',
+      'session.revoke-others': '撤销其他会话',
+      'login.unlock': '解除登录锁定',
+      'totp.enable': '启用双因素认证',
+      'totp.disable': '关闭双因素认证'
+    };
+    
+    ${SHARED_CLIENT_SCRIPT}
+    
+    const WEEKDAY_LABELS = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+    
+    // 部署进度的轮询间隔（毫秒），以及连续失败多少次后停止跟踪
+    const DEPLOY_POLL_INTERVAL = 5000;
+    const DEPLOY_POLL_MAX_ERRORS = 5;
+    
+    // 卡片上显示的部署步骤，以及Render部署状态所处的步骤（取消的部署停留在取消时的步骤）
+    const DEPLOY_STEPS = ['已创建', '构建', '更新', '上线'];
+    const DEPLOY_STATUS_STEPS = {
+      'created': 0,
+      'queued': 0,
+      'build_in_progress': 1,
+      'build_failed': 1,
+      'pre_deploy_in_progress': 2,
+      'pre_deploy_failed': 2,
+      'update_in_progress': 2,
+      'update_failed': 2,
+      'live': 3,
+      'deactivated': 3
+    };
+    const DEPLOY_TERMINAL_STATUSES = ['live', 'deactivated', 'build_failed', 'update_failed', 'pre_deploy_failed', 'canceled'];
+    
+    // 有常驻实例、可以重启的服务类型
+    const RESTARTABLE_TYPES = ['web_service', 'private_service', 'background_worker'];
+    
+    const PANEL_EVENT_LABELS = {
+      'restart': '重启（面板）',
+      'deploy_cancel': '取消部署（面板）'
+    };
+    
+    const TOKEN_SCOPE_LABELS = {
+      'services:read': '查看服务',
+      'events:read': '查看事件日志',
+      'deploy': '触发部署',
+      'env:read': '查看环境变量',
+      'env:write': '修改环境变量'
+    };
+
+    // 从API获取服务
+    async function fetchServices(options = {}) {
+      const refreshBtn = document.getElementById('refreshBtn');
+      refreshBtn.disabled = true;
+      
+      try {
+        const schedulesPromise = fetchServiceIndex('/api/schedules', '休眠计划');
+        const keepAlivesPromise = fetchServiceIndex('/api/keepalive', '保活配置');
+        
+        // refresh时跳过服务端缓存，直接从Render获取
+        const response = await fetch(options.refresh ? '/api/services?withErrors=1&refresh=1' : '/api/services?withErrors=1');
+        if (!response.ok) {
+          throw await responseError(response, '获取服务失败');
+        }
+        
+        const result = await response.json();
+        allServices = result.services;
+        allSchedules = await schedulesPromise;
+        allKeepAlives = await keepAlivesPromise;
+        renderAccountErrors(result.errors, result.truncated);
+        renderServices(allServices);
+        filterServices();
+        updateStats();
+        
+        // 修复：直接使用style.display而不是依赖hidden类
+        document.getElementById('loading').style.display = 'none';
+        document.getElementById('services-container').style.display = 'grid';
+      } catch (error) {
+        console.error('获取服务出错:', error);
+        document.getElementById('loading').style.display = 'none';
+        showNotification('加载服务出错: ' + error.message, 'error');
+      } finally {
+        refreshBtn.disabled = false;
+      }
+    }
+    
+    // 获取按服务保存的设置（休眠计划、保活配置），按"账户ID/服务ID"索引；获取失败时不影响服务列表
+    async function fetchServiceIndex(url, description) {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw await responseError(response, \`获取\${description}失败\`);
+        }
+        const items = await response.json();
+        return Object.fromEntries(items.map(item => [\`\${item.accountId}/\${item.serviceId}\`, item]));
+      } catch (error) {
+        console.error(\`获取\${description}出错:\`, error);
+        return {};
+      }
+    }
+    
+    // 为获取服务失败或服务列表不完整的账户显示警告
+    function renderAccountErrors(errors, truncated = []) {
+      const messages = {
+        'auth': 'API 密钥无效或已被撤销，请在「账户」中更新密钥',
+        'rate_limited': '请求过于频繁，已被 Render 限流，请稍后刷新',
+        'network': '无法连接 Render API，请稍后刷新',
+        'api': 'Render API 返回错误',
+        'internal': '处理 Render 返回的数据时出错'
+      };
+      
+      const warnings = [
+        ...errors.map(error => ({
+          title: \`账户 \${escapeHtml(error.accountName)} 的服务未能加载：\`,
+          text: messages[error.type] || messages.api,
+          detail: error.message
+        })),
+        ...truncated.map(item => ({
+          title: \`账户 \${escapeHtml(item.accountName)} 的服务未完整加载：\`,
+          text: \`服务数量超过分页上限，只显示了前 \${item.count} 个\`,
+          detail: ''
+        }))
+      ];
+      
+      document.getElementById('accountErrors').innerHTML = warnings.map(warning => \`
+        <div class="account-warning">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M1 21H23L12 2L1 21ZM13 18H11V16H13V18ZM13 14H11V10H13V14Z" fill="currentColor"/>
+          </svg>
+          <div>
+            <strong>\${warning.title}</strong>\${warning.text}
+            \${warning.detail ? \`<div class="account-warning-detail">\${escapeHtml(warning.detail)}</div>\` : ''}
+          </div>
+        </div>
+      \`).join('');
+    }
+    
+    // 在UI中渲染服务
+    function renderServices(services) {
+      const container = document.getElementById('services-container');
+      container.innerHTML = '';
+      
+      if (services.length === 0) {
+        container.innerHTML = \`
+          <div class="empty-state" style="grid-column: 1 / -1;">
+            <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M20 7L12 3L4 7M20 7L12 11M20 7V17L12 21M12 11L4 7M12 11V21M4 7V17L12 21" stroke="#94a3b8" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+            <h3>未找到服务</h3>
+            <p>您的Render账户中没有配置任何服务。</p>
+          </div>
+        \`;
+        return;
+      }
+      
+      services.forEach(service => {
+        const serviceCard = createServiceCard(service);
+        container.appendChild(serviceCard);
+      });
+    }
+    
+    // 服务卡片按钮的data-action对应的操作
+    const SERVICE_CARD_ACTIONS = {
+      'deploy': deployService,
+      'run': runCronJob,
+      'env-vars': openEnvVarsModal,
+      'restart': restartService,
+      'suspend': (accountId, serviceId) => setServiceSuspended(accountId, serviceId, true),
+      'resume': (accountId, serviceId) => setServiceSuspended(accountId, serviceId, false),
+      'schedule': openScheduleModal,
+      'keepalive': openKeepAliveModal,
+      'events': openEventsModal,
+      'cancel-deploy': cancelTrackedDeploy
+    };
+    
+    // 创建服务卡片元素
+    function createServiceCard(service) {
+      const card = document.createElement('div');
+      card.className = 'service-card';
+      card.setAttribute('data-name', service.name.toLowerCase());
+      card.setAttribute('data-account', service.accountName.toLowerCase());
+      card.setAttribute('data-type', service.type);
+      
+      // 根据suspended字段确定状态类
+      let statusClass = 'status-live';
+      let statusText = '运行中';
+      
+      if (service.suspended === 'suspended') {
+        statusClass = 'status-suspended';
+        statusText = '已暂停';
+      }
+      
+      // 格式化日期
+      const updatedDate = new Date(service.updatedAt).toLocaleDateString();
+      const suspended = service.suspended === 'suspended';
+      const schedule = allSchedules[\`\${service.accountId}/\${service.id}\`];
+      const keepAlive = allKeepAlives[\`\${service.accountId}/\${service.id}\`];
+      
+      card.innerHTML = \`
+        <div class="service-card-header">
+          <div class="service-header-top">
+            <h3 class="service-name"><a href="/services/\${encodeURIComponent(service.accountId)}/\${service.id}" title="查看服务详情">\${escapeHtml(service.name)}</a></h3>
+            <div class="service-badges">
+              <span class="service-type">\${SERVICE_TYPE_LABELS[service.type] || escapeHtml(service.type)}</span>
+              <span class="account-badge">
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M12 4C14.21 4 16 5.79 16 8C16 10.21 14.21 12 12 12C9.79 12 8 10.21 8 8C8 5.79 9.79 4 12 4M12 14C16.42 14 20 15.79 20 18V20H4V18C4 15.79 7.58 14 12 14Z" fill="currentColor"/>
+                </svg>
+                \${escapeHtml(service.accountName)}
+              </span>
+            </div>
+          </div>
+          <div class="service-meta">
+            <div class="meta-item">
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 2C6.48 2 2 6.48 2 12S6.48 22 12 22 22 17.52 22 12 17.52 2 12 2ZM16.2 16.2L11 13V7H12.5V12.2L17 14.9L16.2 16.2Z" fill="currentColor"/>
+              </svg>
+              更新于 \${updatedDate}
+            </div>
+            <div class="meta-item">
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 2C15.31 2 18 4.66 18 7.95C18 12.41 12 19 12 19S6 12.41 6 7.95C6 4.66 8.69 2 12 2M12 6C10.9 6 10 6.9 10 8C10 9.1 10.9 10 12 10C13.1 10 14 9.1 14 8C14 6.9 13.1 6 12 6Z" fill="currentColor"/>
+              </svg>
+              \${service.type === 'static_site' ? '全球 CDN' : escapeHtml(service.region || '-')}
+            </div>
+            \${schedule && schedule.enabled ? \`
+              <div class="meta-item" title="\${escapeHtml(describeSchedule(schedule))}">
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79Z" fill="currentColor"/>
+                </svg>
+                按计划休眠
+              </div>
+            \` : ''}
+          </div>
+        </div>
+        <div class="service-card-body">
+          <div class="service-status-row">
+            <div class="service-status \${statusClass}">
+              <div class="status-indicator"></div>
+              \${statusText}
+            </div>
+            \${renderServiceAddress(service)}
+          </div>
+          \${keepAlive && keepAlive.enabled ? renderKeepAliveStatus(keepAlive) : ''}
+          <div id="deploy-progress-\${escapeHtml(service.accountId)}/\${service.id}">\${activeDeploys[\`\${service.accountId}/\${service.id}\`] ? renderDeployProgress(activeDeploys[\`\${service.accountId}/\${service.id}\`]) : ''}</div>
+          <div class="service-info-grid">
+            \${renderServiceTypeInfo(service)}
+            <div class="info-item">
+              <span class="info-label">自动部署</span>
+              <span class="info-value">\${service.autoDeploy === 'yes' ? '已启用' : '已禁用'}</span>
+            </div>
+            <div class="info-item">
+              <span class="info-label">服务ID</span>
+              <span class="info-value" style="font-size: 12px; font-family: monospace;">\${service.id}</span>
+            </div>
+          </div>
+          <div class="service-actions">
+            \${can('deploy') ? \`
+              <button class="action-btn deploy-btn" data-action="deploy" \${suspended ? 'disabled' : ''}>
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M12 2L13.09 8.26L18 7L16.74 12L22 13.09L15.74 14L17 19L12 17.74L7 19L8.26 14L2 13.09L8.26 12L7 7L12 8.26V2Z" fill="white"/>
+                </svg>
+                部署
+              </button>
+            \` : ''}
+            \${service.type === 'cron_job' && can('deploy') ? \`
+              <button class="action-btn run-btn" data-action="run" \${suspended ? 'disabled' : ''}>
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M8 5V19L19 12L8 5Z" fill="currentColor"/>
+                </svg>
+                立即运行
+              </button>
+            \` : ''}
+            \${can('env:read') ? \`
+              <button class="action-btn env-vars-btn" data-action="env-vars">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M4 6H2V20C2 21.1 2.9 22 4 22H18V20H4V6ZM20 2H8C6.9 2 6 2.9 6 4V16C6 17.1 6.9 18 8 18H20C21.1 18 22 17.1 22 16V4C22 2.9 21.1 2 20 2ZM19 11H15V15H13V11H9V9H13V5H15V9H19V11Z" fill="currentColor"/>
+                </svg>
+                环境变量
+              </button>
+            \` : ''}
+            \${can('deploy') && RESTARTABLE_TYPES.includes(service.type) ? \`
+              <button class="action-btn restart-btn" data-action="restart" \${suspended ? 'disabled' : ''}>
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M17.65 6.35C16.2 4.9 14.21 4 12 4C7.58 4 4.01 7.58 4.01 12C4.01 16.42 7.58 20 12 20C15.73 20 18.84 17.45 19.73 14H17.65C16.83 16.33 14.61 18 12 18C8.69 18 6 15.31 6 12C6 8.69 8.69 6 12 6C13.66 6 15.14 6.69 16.22 7.78L13 11H20V4L17.65 6.35Z" fill="currentColor"/>
+                </svg>
+                重启
+              </button>
+            \` : ''}
+            \${can('deploy') ? \`
+              <button class="action-btn \${suspended ? 'resume-btn' : 'suspend-btn'}" data-action="\${suspended ? 'resume' : 'suspend'}">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="\${suspended ? 'M8 5V19L19 12L8 5Z' : 'M6 19H10V5H6V19ZM14 5V19H18V5H14Z'}" fill="currentColor"/>
+                </svg>
+                \${suspended ? '恢复' : '暂停'}
+              </button>
+            \` : ''}
+            \${can('deploy') ? \`
+              <button class="action-btn schedule-btn" data-action="schedule">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+                休眠计划
+              </button>
+            \` : ''}
+            \${can('deploy') && service.type === 'web_service' && service.url ? \`
+              <button class="action-btn keepalive-btn" data-action="keepalive">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M3 12H7L10 4L14 20L17 12H21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+                保活
+              </button>
+            \` : ''}
+            <button class="action-btn events-btn" data-action="events">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 8V12L15 15M21 12C21 16.9706 16.9706 21 12 21C7.02944 21 3 16.9706 3 12C3 7.02944 7.02944 3 12 3C16.9706 3 21 7.02944 21 12Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+              </svg>
+              事件日志
+            </button>
+          </div>
+        </div>
+      \`;
+      
+      // 按钮通过data-action区分，账户ID和服务ID不拼接进内联脚本；部署进度中的取消按钮也在卡片内
+      card.addEventListener('click', event => {
+        const button = event.target.closest('[data-action]');
+        if (button && !button.disabled) {
+          SERVICE_CARD_ACTIONS[button.dataset.action](service.accountId, service.id);
+        }
+      });
+      
+      return card;
+    }
+    
+    // 服务的访问地址：Web服务和静态站点为公开URL，私有服务只能通过内部主机名访问，其他类型没有地址
+    function renderServiceAddress(service) {
+      if (service.url && (service.type === 'web_service' || service.type === 'static_site')) {
+        return \`
+          <a href="\${escapeHtml(service.url)}" target="_blank" rel="noopener noreferrer" class="service-url">
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M18 13V19C18 20.1 17.1 21 16 21H5C3.9 21 3 20.1 3 19V8C3 6.9 3.9 6 5 6H11M15 3H21M21 3V9M21 3L10 14" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+            \${service.type === 'static_site' ? '访问站点' : '访问服务'}
+          </a>
+        \`;
+      }
+      if (service.type === 'private_service' && service.slug) {
+        return \`<span class="service-address" title="仅同一区域内的服务可访问">\${escapeHtml(service.slug)}</span>\`;
+      }
+      return '';
+    }
+    
+    // 按服务类型显示的信息项
+    function renderServiceTypeInfo(service) {
+      const item = (label, value, mono) => \`
+        <div class="info-item">
+          <span class="info-label">\${label}</span>
+          <span class="info-value"\${mono ? ' style="font-size: 12px; font-family: monospace;"' : ''}>\${escapeHtml(value || '-')}</span>
+        </div>
+      \`;
+      
+      if (service.type === 'static_site') {
+        return item('发布目录', service.publishPath, true) + item('构建命令', service.buildCommand, true);
+      }
+      if (service.type === 'cron_job') {
+        const lastRun = service.lastSuccessfulRunAt ? new Date(service.lastSuccessfulRunAt).toLocaleString() : '尚未成功运行';
+        return item('计划 (UTC)', service.schedule, true) + item('上次成功运行', lastRun);
+      }
+      return item('套餐', service.plan) + item('环境', service.env);
+    }
+    
+    // 更新统计信息
+    function updateStats() {
+      const totalServices = allServices.length;
+      const liveServices = allServices.filter(s => s.suspended !== 'suspended').length;
+      const accounts = [...new Set(allServices.map(s => s.accountId))];
+      
+      document.getElementById('totalServices').textContent = totalServices;
+      document.getElementById('liveServices').textContent = liveServices;
+      document.getElementById('totalAccounts').textContent = accounts.length;
+    }
+    
+    // 根据搜索过滤服务
+    function filterServices() {
+      const searchTerm = document.getElementById('serviceSearch').value.toLowerCase();
+      const type = document.getElementById('serviceTypeFilter').value;
+      const serviceCards = document.querySelectorAll('.service-card');
+      
+      serviceCards.forEach(card => {
+        const name = card.getAttribute('data-name');
+        const account = card.getAttribute('data-account');
+        const matchesType = !type || card.getAttribute('data-type') === type;
+        
+        if (matchesType && (name.includes(searchTerm) || account.includes(searchTerm))) {
+          card.style.display = 'block';
+        } else {
+          card.style.display = 'none';
+        }
+      });
+    }
+    
+    // 根据账户ID和服务ID查找已加载的服务
+    function findService(accountId, serviceId) {
+      return allServices.find(service => service.accountId === accountId && service.id === serviceId);
+    }
+    
+    // 部署服务
+    // 打开部署选项模态框：基于Git仓库的服务可指定提交，基于镜像的服务可指定镜像
+    function deployService(accountId, serviceId) {
+      const service = findService(accountId, serviceId) || { name: serviceId };
+      deployAccountId = accountId;
+      deployServiceId = serviceId;
+      
+      document.getElementById('deployModalServiceInfo').innerHTML = \`部署 <strong>\${escapeHtml(service.name)}</strong>\${service.branch ? \` (\${escapeHtml(service.branch)} 分支)\` : ''}\`;
+      document.getElementById('deployCommitGroup').style.display = service.repo ? '' : 'none';
+      document.getElementById('deployImageGroup').style.display = service.imagePath ? '' : 'none';
+      document.getElementById('deployClearCacheLabel').style.visibility = service.imagePath ? 'hidden' : '';
+      document.getElementById('deployCommitId').value = '';
+      document.getElementById('deployImageUrl').value = '';
+      document.getElementById('deployImageUrl').placeholder = service.imagePath ? \`留空则部署 \${service.imagePath}\` : '';
+      document.getElementById('deployClearCache').checked = false;
+      document.getElementById('confirmDeployBtn').disabled = false;
+      
+      document.getElementById('deployModal').classList.add('show');
+    }
+    
+    // 跟踪部署进度：定时获取部署状态并更新卡片，直到部署结束
+    function trackDeploy(accountId, serviceId, deploy) {
+      const key = \`\${accountId}/\${serviceId}\`;
+      if (activeDeploys[key]) {
+        clearTimeout(activeDeploys[key].timer);
+      }
+      
+      activeDeploys[key] = {
+        accountId: accountId,
+        serviceId: serviceId,
+        deployId: deploy.id,
+        status: deploy.status || 'created',
+        step: DEPLOY_STATUS_STEPS[deploy.status] || 0,
+        errors: 0,
+        polling: false,
+        timer: setTimeout(() => pollDeploy(key), DEPLOY_POLL_INTERVAL)
+      };
+      updateDeployProgress(key);
+    }
+    
+    async function pollDeploy(key) {
+      const tracked = activeDeploys[key];
+      if (!tracked) {
+        return;
+      }
+      
+      tracked.polling = true;
+      try {
+        const response = await fetch(\`/api/deploys/\${encodeURIComponent(tracked.accountId)}/\${tracked.serviceId}/\${tracked.deployId}\`);
+        if (!response.ok) {
+          throw await responseError(response, '获取部署状态失败');
+        }
+        
+        const deploy = await response.json();
+        // 等待期间开始跟踪了新的部署（或已停止跟踪），由新的轮询接管
+        if (activeDeploys[key] !== tracked) {
+          return;
+        }
+        tracked.errors = 0;
+        tracked.status = deploy.status;
+        if (deploy.status in DEPLOY_STATUS_STEPS) {
+          tracked.step = DEPLOY_STATUS_STEPS[deploy.status];
+        }
+        
+        if (DEPLOY_TERMINAL_STATUSES.includes(deploy.status)) {
+          finishDeploy(key, deploy);
+          return;
+        }
+        updateDeployProgress(key);
+      } catch (error) {
+        if (activeDeploys[key] !== tracked) {
+          return;
+        }
+        console.error('获取部署状态出错:', error);
+        tracked.errors++;
+        if (tracked.errors >= DEPLOY_POLL_MAX_ERRORS) {
+          delete activeDeploys[key];
+          updateDeployProgress(key);
+          showNotification('无法获取部署状态，已停止跟踪: ' + error.message, 'error');
+          return;
+        }
+      } finally {
+        tracked.polling = false;
+      }
+      
+      tracked.timer = setTimeout(() => pollDeploy(key), DEPLOY_POLL_INTERVAL);
+    }
+    
+    // 部署结束：通知结果和耗时，并刷新服务列表
+    function finishDeploy(key, deploy) {
+      const tracked = activeDeploys[key];
+      delete activeDeploys[key];
+      
+      const service = findService(tracked.accountId, tracked.serviceId);
+      const serviceName = service ? service.name : tracked.serviceId;
+      const duration = formatDuration(deploy.createdAt, deploy.finishedAt || new Date().toISOString());
+      const elapsed = duration ? \`，用时 \${duration}\` : '';
+      
+      if (deploy.status === 'live' || deploy.status === 'deactivated') {
+        showNotification(\`\${serviceName} 部署成功\${elapsed}。\`, 'success');
+      } else if (deploy.status === 'canceled') {
+        showNotification(\`\${serviceName} 的部署已取消\${elapsed}。\`, 'error');
+      } else {
+        showNotification(\`\${serviceName} 部署失败（\${DEPLOY_STEPS[tracked.step]}阶段）\${elapsed}。\`, 'error');
+      }
+      
+      updateDeployProgress(key);
+      fetchServices();
+    }
+    
+    function updateDeployProgress(key) {
+      const container = document.getElementById(\`deploy-progress-\${key}\`);
+      if (container) {
+        container.innerHTML = activeDeploys[key] ? renderDeployProgress(activeDeploys[key]) : '';
+      }
+    }
+    
+    // 卡片上的部署步骤：已创建 → 构建 → 更新 → 上线
+    function renderDeployProgress(tracked) {
+      const failed = tracked.status.endsWith('_failed');
+      const steps = DEPLOY_STEPS.map((label, index) => {
+        let stepClass = '';
+        if (index < tracked.step) {
+          stepClass = 'done';
+        } else if (index === tracked.step) {
+          stepClass = failed ? 'failed' : 'active';
+        }
+        return \`<span class="deploy-step \${stepClass}">\${label}</span>\`;
+      }).join('<span class="deploy-step-separator"></span>');
+      
+      return \`
+        <div class="deploy-progress" title="部署ID: \${escapeHtml(tracked.deployId)}">
+          <div class="deploy-steps">\${steps}</div>
+          \${can('deploy') ? \`<button class="cancel-deploy-btn" data-action="cancel-deploy">取消</button>\` : ''}
+        </div>
+      \`;
+    }
     
-    .event-status-succeeded {
-      background: #d1fae5;
-      color: #065f46;
+    // 取消卡片上正在跟踪的部署，之后的轮询会显示取消结果
+    async function cancelTrackedDeploy(accountId, serviceId) {
+      const key = \`\${accountId}/\${serviceId}\`;
+      const tracked = activeDeploys[key];
+      if (!tracked || !confirm('确定要取消这次部署?')) {
+        return;
+      }
+      
+      try {
+        await apiJson(\`/api/deploys/\${encodeURIComponent(accountId)}/\${serviceId}/\${tracked.deployId}/cancel\`, 'POST', {});
+        // 正在进行的轮询结束后会自行安排下一次，这里只在空闲时立即获取一次
+        if (activeDeploys[key] === tracked && !tracked.polling) {
+          clearTimeout(tracked.timer);
+          pollDeploy(key);
+        }
+      } catch (error) {
+        console.error('取消部署出错:', error);
+        showNotification('取消部署出错: ' + error.message, 'error');
+      }
     }
     
-    .event-status-failed {
-      background: #fee2e2;
-      color: #991b1b;
+    // 关闭部署选项模态框
+    function closeDeployModal() {
+      document.getElementById('deployModal').classList.remove('show');
     }
     
-    .event-status-started {
-      background: #dbeafe;
-      color: #1e40af;
+    // 按所选选项触发部署
+    async function submitDeploy() {
+      const service = findService(deployAccountId, deployServiceId);
+      const serviceName = service ? service.name : deployServiceId;
+      const commitId = document.getElementById('deployCommitId').value.trim();
+      const imageUrl = document.getElementById('deployImageUrl').value.trim();
+      
+      if (commitId && !/^[0-9a-f]{7,40}$/i.test(commitId)) {
+        showNotification('提交SHA应为7到40位十六进制字符', 'error');
+        return;
+      }
+      
+      const button = document.getElementById('confirmDeployBtn');
+      button.disabled = true;
+      
+      try {
+        const result = await apiJson('/api/deploy', 'POST', {
+          accountId: deployAccountId,
+          serviceId: deployServiceId,
+          clearCache: document.getElementById('deployClearCache').checked,
+          commitId: commitId || undefined,
+          imageUrl: imageUrl || undefined
+        });
+        closeDeployModal();
+        showNotification(\`已成功触发 \${serviceName} 的部署。部署ID: \${result.id}\`, 'success');
+        trackDeploy(deployAccountId, deployServiceId, result);
+      } catch (error) {
+        console.error('部署服务出错:', error);
+        showNotification('部署服务出错: ' + error.message, 'error');
+        button.disabled = false;
+      }
     }
     
-    /* 环境变量网格布局 */
-    .env-vars-container {
-      display: flex;
-      flex-direction: column;
-      gap: 0.75rem;
+    // 立即运行定时任务
+    async function runCronJob(accountId, serviceId) {
+      const service = findService(accountId, serviceId);
+      const serviceName = service ? service.name : serviceId;
+      
+      if (!confirm(\`确定要立即运行定时任务 \${serviceName}?\`)) {
+        return;
+      }
+      
+      try {
+        await apiJson(\`/api/services/\${encodeURIComponent(accountId)}/\${serviceId}/run\`, 'POST', {});
+        showNotification(\`已开始运行 \${serviceName}。\`, 'success');
+      } catch (error) {
+        console.error('运行定时任务出错:', error);
+        showNotification('运行定时任务出错: ' + error.message, 'error');
+      }
     }
     
-    .env-var-item {
-      background: #f8fafc;
-      border: 1px solid #e2e8f0;
-      border-radius: 12px;
-      padding: 0;
-      transition: all 0.3s ease;
-      overflow: hidden;
+    // 重启服务（不重新构建）
+    async function restartService(accountId, serviceId) {
+      const service = findService(accountId, serviceId);
+      const serviceName = service ? service.name : serviceId;
+      
+      if (!confirm(\`确定要重启 \${serviceName}?\\n\\n服务的所有实例将重新启动，不会重新构建。\`)) {
+        return;
+      }
+      
+      try {
+        await apiJson(\`/api/services/\${encodeURIComponent(accountId)}/\${serviceId}/restart\`, 'POST', {});
+        showNotification(\`已重启 \${serviceName}。\`, 'success');
+      } catch (error) {
+        console.error('重启服务出错:', error);
+        showNotification('重启服务出错: ' + error.message, 'error');
+      }
     }
     
-    .env-var-item:hover {
-      background: white;
-      border-color: #cbd5e1;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+    // 暂停或恢复服务：先更新界面，失败时还原
+    async function setServiceSuspended(accountId, serviceId, suspend) {
+      const service = findService(accountId, serviceId);
+      if (!service) {
+        return;
+      }
+      
+      const message = suspend
+        ? \`确定要暂停 \${service.name}?\\n\\n暂停后服务将停止运行，直到手动恢复。\`
+        : \`确定要恢复 \${service.name}?\`;
+      if (!confirm(message)) {
+        return;
+      }
+      
+      const previous = service.suspended;
+      service.suspended = suspend ? 'suspended' : 'not_suspended';
+      refreshServiceCards();
+      
+      try {
+        await apiJson(\`/api/services/\${encodeURIComponent(accountId)}/\${serviceId}/\${suspend ? 'suspend' : 'resume'}\`, 'POST', {});
+        showNotification(\`\${service.name} 已\${suspend ? '暂停' : '恢复'}。\`, 'success');
+      } catch (error) {
+        console.error('修改服务状态出错:', error);
+        service.suspended = previous;
+        refreshServiceCards();
+        showNotification(\`\${suspend ? '暂停' : '恢复'}服务出错: \${error.message}\`, 'error');
+      }
     }
     
-    .env-var-item.editing {
-      background: #fef3c7;
-      border-color: #f59e0b;
-      box-shadow: 0 0 0 3px rgba(245, 158, 11, 0.1);
+    // 按allServices重新渲染服务卡片，保留当前的搜索和类型筛选
+    function refreshServiceCards() {
+      renderServices(allServices);
+      filterServices();
+      updateStats();
     }
     
-    .env-var-grid {
-      display: grid;
-      grid-template-columns: minmax(200px, 1fr) 2fr auto;
-      align-items: center;
-      padding: 1rem;
-      gap: 1rem;
+    // 打开休眠计划模态框
+    async function openScheduleModal(accountId, serviceId) {
+      const service = findService(accountId, serviceId);
+      scheduleAccountId = accountId;
+      scheduleServiceId = serviceId;
+      
+      document.getElementById('scheduleModalServiceInfo').innerHTML = \`设置 <strong>\${escapeHtml(service ? service.name : serviceId)}</strong> (\${escapeHtml(service ? service.accountName : accountId)}) 的运行时段\`;
+      document.getElementById('timezoneList').innerHTML = (Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [])
+        .map(zone => \`<option value="\${zone}">\`).join('');
+      fillScheduleForm(allSchedules[\`\${accountId}/\${serviceId}\`]);
+      
+      const logContainer = document.getElementById('scheduleLogContainer');
+      logContainer.innerHTML = '<div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载执行记录中...</p></div>';
+      document.getElementById('scheduleModal').classList.add('show');
+      
+      try {
+        const response = await fetch(\`/api/schedules/\${encodeURIComponent(accountId)}/\${serviceId}\`);
+        if (!response.ok) {
+          throw await responseError(response, '获取休眠计划失败');
+        }
+        const result = await response.json();
+        fillScheduleForm(result.schedule);
+        renderScheduleLog(result.log);
+      } catch (error) {
+        console.error('获取休眠计划出错:', error);
+        logContainer.innerHTML = \`<div class="empty-state"><h3>加载休眠计划出错</h3><p>\${escapeHtml(error.message)}</p></div>\`;
+      }
     }
     
-    .env-var-key {
-      font-weight: 700;
-      color: #1e293b;
-      font-size: 14px;
-      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
-      background: #e2e8f0;
-      padding: 6px 12px;
-      border-radius: 6px;
-      word-break: break-all;
+    // 关闭休眠计划模态框
+    function closeScheduleModal() {
+      document.getElementById('scheduleModal').classList.remove('show');
     }
     
-    .env-var-value-wrapper {
-      position: relative;
-      width: 100%;
+    // 用已有计划填充表单，没有计划时使用工作日09:00–20:00和浏览器时区
+    function fillScheduleForm(schedule) {
+      const days = schedule ? schedule.days : [1, 2, 3, 4, 5];
+      document.getElementById('scheduleDays').innerHTML = WEEKDAY_LABELS.map((label, day) => \`
+        <label><input type="checkbox" value="\${day}" \${days.includes(day) ? 'checked' : ''}> \${label}</label>
+      \`).join('');
+      document.getElementById('scheduleStart').value = schedule ? schedule.start : '09:00';
+      document.getElementById('scheduleEnd').value = schedule ? schedule.end : '20:00';
+      document.getElementById('scheduleTimezone').value = schedule ? schedule.timezone : Intl.DateTimeFormat().resolvedOptions().timeZone;
+      document.getElementById('scheduleEnabled').checked = schedule ? schedule.enabled : true;
+      document.getElementById('deleteScheduleBtn').style.display = schedule ? '' : 'none';
     }
     
-    .env-var-value {
-      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
-      font-size: 13px;
-      color: #475569;
-      background: white;
-      padding: 10px 40px 10px 12px;
-      border-radius: 8px;
-      border: 1px solid #e2e8f0;
-      word-break: break-all;
-      line-height: 1.5;
-      transition: all 0.3s ease;
-      width: 100%;
-      cursor: pointer;
-      position: relative;
+    // 渲染休眠计划执行记录
+    function renderScheduleLog(log) {
+      const container = document.getElementById('scheduleLogContainer');
+      
+      if (log.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>还没有执行记录。</p></div>';
+        return;
+      }
+      
+      const rows = log.map(entry => \`
+        <tr>
+          <td>\${new Date(entry.timestamp).toLocaleString('zh-CN')}</td>
+          <td>\${entry.action === 'suspend' ? '暂停' : '恢复'}</td>
+          <td>\${entry.ok ? '<span class="status-pill">成功</span>' : \`<span class="status-pill danger" title="\${escapeHtml(entry.error || '')}">失败</span> \${escapeHtml(entry.error || '')}\`}</td>
+        </tr>
+      \`).join('');
+      
+      container.innerHTML = \`
+        <table class="data-table">
+          <thead>
+            <tr><th>时间</th><th>操作</th><th>结果</th></tr>
+          </thead>
+          <tbody>\${rows}</tbody>
+        </table>
+      \`;
     }
     
-    .env-var-value.masked {
-      color: #94a3b8;
-      letter-spacing: 2px;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    // 保存休眠计划
+    async function saveSchedule() {
+      const service = findService(scheduleAccountId, scheduleServiceId);
+      const days = [...document.querySelectorAll('#scheduleDays input:checked')].map(input => Number(input.value));
+      
+      try {
+        const schedule = await apiJson(\`/api/schedules/\${encodeURIComponent(scheduleAccountId)}/\${scheduleServiceId}\`, 'PUT', {
+          serviceName: service ? service.name : scheduleServiceId,
+          enabled: document.getElementById('scheduleEnabled').checked,
+          timezone: document.getElementById('scheduleTimezone').value.trim(),
+          days: days,
+          start: document.getElementById('scheduleStart').value,
+          end: document.getElementById('scheduleEnd').value
+        });
+        allSchedules[\`\${scheduleAccountId}/\${scheduleServiceId}\`] = schedule;
+        refreshServiceCards();
+        closeScheduleModal();
+        showNotification('休眠计划已保存，将在 5 分钟内生效。', 'success');
+      } catch (error) {
+        console.error('保存休眠计划出错:', error);
+        showNotification('保存休眠计划出错: ' + error.message, 'error');
+      }
     }
     
-    .env-var-value:hover {
-      border-color: #cbd5e1;
-      background: #f8fafc;
+    // 删除休眠计划（不改变服务当前的状态）
+    async function deleteSchedule() {
+      if (!confirm('确定要删除休眠计划?\\n\\n服务将保持当前状态。')) {
+        return;
+      }
+      
+      try {
+        await apiJson(\`/api/schedules/\${encodeURIComponent(scheduleAccountId)}/\${scheduleServiceId}\`, 'DELETE');
+        delete allSchedules[\`\${scheduleAccountId}/\${scheduleServiceId}\`];
+        refreshServiceCards();
+        closeScheduleModal();
+        showNotification('休眠计划已删除。', 'success');
+      } catch (error) {
+        console.error('删除休眠计划出错:', error);
+        showNotification('删除休眠计划出错: ' + error.message, 'error');
+      }
     }
     
-    .visibility-toggle {
-      position: absolute;
-      right: 8px;
-      top: 50%;
-      transform: translateY(-50%);
-      background: rgba(255, 255, 255, 0.9);
-      border: 1px solid #e2e8f0;
-      border-radius: 6px;
-      width: 28px;
-      height: 28px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      cursor: pointer;
-      transition: all 0.2s ease;
-      color: #64748b;
+    // 卡片上显示最近一次保活请求的结果
+    function renderKeepAliveStatus(keepAlive) {
+      const ping = keepAlive.lastPing;
+      if (!ping) {
+        return \`<div class="keepalive-status"><span class="status-dot"></span>保活已启用，等待首次请求</div>\`;
+      }
+      
+      const result = ping.status ? \`HTTP \${ping.status}\` : escapeHtml(ping.error || '请求失败');
+      return \`
+        <div class="keepalive-status" title="\${escapeHtml(keepAlive.url + keepAlive.path)}">
+          <span class="status-dot \${ping.ok ? 'ok' : 'failed'}"></span>
+          保活 · \${result} · \${ping.durationMs} ms · \${new Date(ping.timestamp).toLocaleString('zh-CN')}
+        </div>
+      \`;
     }
     
-    .visibility-toggle:hover {
-      background: white;
-      color: #334155;
-      transform: translateY(-50%) scale(1.1);
+    // 打开保活模态框
+    function openKeepAliveModal(accountId, serviceId) {
+      const service = findService(accountId, serviceId);
+      const keepAlive = allKeepAlives[\`\${accountId}/\${serviceId}\`];
+      keepAliveAccountId = accountId;
+      keepAliveServiceId = serviceId;
+      
+      document.getElementById('keepAliveModalServiceInfo').innerHTML = \`定期请求 <strong>\${escapeHtml(service ? service.url : serviceId)}</strong>\`;
+      document.getElementById('keepAlivePath').value = keepAlive ? keepAlive.path : '/';
+      document.getElementById('keepAliveInterval').value = keepAlive && KEEPALIVE_INTERVALS.includes(keepAlive.intervalMinutes) ? keepAlive.intervalMinutes : KEEPALIVE_INTERVALS[KEEPALIVE_INTERVALS.length - 1];
+      document.getElementById('keepAliveEnabled').checked = keepAlive ? keepAlive.enabled : true;
+      document.getElementById('deleteKeepAliveBtn').style.display = keepAlive ? '' : 'none';
+      renderKeepAliveHistory(keepAlive ? keepAlive.history : []);
+      
+      document.getElementById('keepAliveModal').classList.add('show');
     }
     
-    .env-var-actions {
-      display: flex;
-      gap: 0.5rem;
+    // 关闭保活模态框
+    function closeKeepAliveModal() {
+      document.getElementById('keepAliveModal').classList.remove('show');
+    }
+    
+    // 渲染最近的保活请求结果
+    function renderKeepAliveHistory(history) {
+      const container = document.getElementById('keepAliveHistoryContainer');
+      
+      if (!history || history.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>还没有请求记录。</p></div>';
+        return;
+      }
+      
+      const rows = history.map(ping => \`
+        <tr>
+          <td>\${new Date(ping.timestamp).toLocaleString('zh-CN')}</td>
+          <td>\${ping.ok ? \`<span class="status-pill">\${ping.status}</span>\` : \`<span class="status-pill danger">\${ping.status || '失败'}</span> \${escapeHtml(ping.error || '')}\`}</td>
+          <td>\${ping.durationMs} ms</td>
+        </tr>
+      \`).join('');
+      
+      container.innerHTML = \`
+        <table class="data-table">
+          <thead>
+            <tr><th>时间</th><th>结果</th><th>响应时间</th></tr>
+          </thead>
+          <tbody>\${rows}</tbody>
+        </table>
+      \`;
+    }
+    
+    // 保存保活配置
+    async function saveKeepAlive() {
+      try {
+        const keepAlive = await apiJson(\`/api/keepalive/\${encodeURIComponent(keepAliveAccountId)}/\${keepAliveServiceId}\`, 'PUT', {
+          enabled: document.getElementById('keepAliveEnabled').checked,
+          path: document.getElementById('keepAlivePath').value.trim() || '/',
+          intervalMinutes: Number(document.getElementById('keepAliveInterval').value)
+        });
+        allKeepAlives[\`\${keepAliveAccountId}/\${keepAliveServiceId}\`] = keepAlive;
+        refreshServiceCards();
+        closeKeepAliveModal();
+        showNotification('保活配置已保存。', 'success');
+      } catch (error) {
+        console.error('保存保活配置出错:', error);
+        showNotification('保存保活配置出错: ' + error.message, 'error');
+      }
+    }
+    
+    // 删除保活配置
+    async function deleteKeepAlive() {
+      if (!confirm('确定要删除保活配置?')) {
+        return;
+      }
+      
+      try {
+        await apiJson(\`/api/keepalive/\${encodeURIComponent(keepAliveAccountId)}/\${keepAliveServiceId}\`, 'DELETE');
+        delete allKeepAlives[\`\${keepAliveAccountId}/\${keepAliveServiceId}\`];
+        refreshServiceCards();
+        closeKeepAliveModal();
+        showNotification('保活配置已删除。', 'success');
+      } catch (error) {
+        console.error('删除保活配置出错:', error);
+        showNotification('删除保活配置出错: ' + error.message, 'error');
+      }
+    }
+    
+    // 休眠计划的文字描述，如"周一至周五 09:00–20:00 (Asia/Shanghai)"
+    function describeSchedule(schedule) {
+      return \`\${schedule.days.map(day => WEEKDAY_LABELS[day]).join('、')} \${schedule.start}–\${schedule.end} 运行 (\${schedule.timezone})\`;
+    }
+    
+    // 打开事件日志模态框
+    async function openEventsModal(accountId, serviceId) {
+      const modal = document.getElementById('eventsModal');
+      const container = document.getElementById('eventsContainer');
+      const serviceInfo = document.getElementById('eventsModalServiceInfo');
+      const service = findService(accountId, serviceId);
+      
+      serviceInfo.innerHTML = \`查看 <strong>\${escapeHtml(service ? service.name : serviceId)}</strong> (\${escapeHtml(service ? service.accountName : accountId)}) 的最近事件\`;
+      
+      container.innerHTML = '<div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载事件日志中...</p></div>';
+      
+      modal.classList.add('show');
+      
+      eventsAccountId = accountId;
+      eventsServiceId = serviceId;
+      eventsCursor = null;
+      eventsBefore = null;
+      
+      try {
+        const events = await fetchEventsPage();
+        renderEvents(events);
+      } catch (error) {
+        console.error('获取事件日志出错:', error);
+        container.innerHTML = \`
+          <div class="empty-state">
+            <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M12 2C6.48 2 2 6.48 2 12C2 17.52 6.48 22 12 22C17.52 22 22 17.52 22 12C22 6.48 17.52 2 12 2ZM13 17H11V15H13V17ZM13 13H11V7H13V13Z" stroke="#ef4444" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+            <h3>加载事件日志出错</h3>
+            <p>\${error.message}</p>
+          </div>
+        \`;
+      }
+    }
+    
+    // 获取下一页事件日志，并记录用于继续翻页的cursor
+    async function fetchEventsPage() {
+      const params = new URLSearchParams({ limit: EVENTS_PAGE_SIZE });
+      if (eventsCursor) {
+        params.set('cursor', eventsCursor);
+        params.set('before', eventsBefore);
+      }
+      
+      const response = await fetch(\`/api/events/\${encodeURIComponent(eventsAccountId)}/\${eventsServiceId}?\${params}\`);
+      
+      if (!response.ok) {
+        throw await responseError(response, '获取事件日志失败');
+      }
+      
+      const events = await response.json();
+      // 本面板发起的事件没有cursor，翻页只看Render返回的事件
+      const renderEvents = events.filter(item => item.cursor);
+      const last = renderEvents[renderEvents.length - 1];
+      eventsCursor = renderEvents.length === EVENTS_PAGE_SIZE ? last.cursor : null;
+      eventsBefore = eventsCursor ? Date.parse(last.event.timestamp) : null;
+      
+      return events;
+    }
+    
+    // 加载更多事件日志
+    async function loadMoreEvents() {
+      const button = document.getElementById('loadMoreEventsBtn');
+      button.disabled = true;
+      button.textContent = '加载中...';
+      
+      try {
+        const events = await fetchEventsPage();
+        renderEvents(events, true);
+      } catch (error) {
+        console.error('获取事件日志出错:', error);
+        showNotification(error.message, 'error');
+        button.disabled = false;
+        button.textContent = '加载更多';
+      }
+    }
+    
+    // 渲染事件日志，append为true时追加到已有列表之后
+    function renderEvents(events, append = false) {
+      const container = document.getElementById('eventsContainer');
+      
+      const loadMoreRow = document.getElementById('loadMoreEventsRow');
+      if (loadMoreRow) {
+        loadMoreRow.remove();
+      }
+      
+      if (events.length === 0 && !append) {
+        container.innerHTML = \`
+          <div class="empty-state">
+            <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M12 8V12L15 15M21 12C21 16.9706 16.9706 21 12 21C7.02944 21 3 16.9706 3 12C3 7.02944 7.02944 3 12 3C16.9706 3 21 7.02944 21 12Z" stroke="#94a3b8" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+            <h3>没有事件日志</h3>
+            <p>此服务暂无事件记录。</p>
+          </div>
+        \`;
+        return;
+      }
+      
+      if (!append) {
+        container.innerHTML = '';
+      }
+      
+      events.forEach(item => {
+        const event = item.event;
+        const eventItem = document.createElement('div');
+        eventItem.className = 'event-item';
+        
+        // 格式化时间
+        const eventTime = new Date(event.timestamp).toLocaleString('zh-CN', {
+          year: 'numeric',
+          month: '2-digit',
+          day: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit',
+          second: '2-digit'
+        });
+        
+        // 解析事件类型和状态
+        let eventTypeText = event.type.replace(/_/g, ' ').toUpperCase();
+        let eventTypeBadgeClass = 'event-type-deploy';
+        let statusHtml = '';
+        
+        if (event.type.includes('deploy')) {
+          eventTypeBadgeClass = 'event-type-deploy';
+        } else if (event.type.includes('build')) {
+          eventTypeBadgeClass = 'event-type-build';
+        } else if (event.type.includes('error') || event.type.includes('fail')) {
+          eventTypeBadgeClass = 'event-type-error';
+        }
+        
+        // 部署和构建事件的结果（取消的部署两者均为canceled）
+        const status = event.details && (event.details.deployStatus || event.details.buildStatus);
+        if (status) {
+          let statusClass = 'event-status-started';
+          let statusText = status.toUpperCase();
+          
+          if (status === 'succeeded') {
+            statusClass = 'event-status-succeeded';
+            statusText = '成功';
+          } else if (status === 'failed') {
+            statusClass = 'event-status-failed';
+            statusText = '失败';
+          } else if (status === 'started') {
+            statusClass = 'event-status-started';
+            statusText = '开始';
+          } else if (status === 'canceled') {
+            statusClass = 'event-status-canceled';
+            statusText = '已取消';
+          }
+          
+          statusHtml = \`<div class="event-status \${statusClass}">\${statusText}</div>\`;
+        }
+        
+        // 本面板发起的操作
+        let panelInfo = '';
+        if (event.source === 'panel') {
+          eventTypeText = PANEL_EVENT_LABELS[event.type] || eventTypeText;
+          eventTypeBadgeClass = 'event-type-panel';
+          panelInfo = \`<div style="margin-top: 0.5rem; font-size: 12px; color: #64748b;">由 \${escapeHtml(event.details.user)} 通过本面板发起</div>\`;
+        }
+        
+        // 构建触发信息，回滚触发的部署额外显示标记
+        let triggerInfo = '';
+        let rollbackBadge = '';
+        if (event.details && event.details.trigger) {
+          const trigger = event.details.trigger;
+          const triggerParts = [];
+          
+          if (trigger.manual) {
+            triggerParts.push('手动部署');
+          }
+          if (trigger.envUpdated) {
+            triggerParts.push('环境变量更新');
+          }
+          if (trigger.rollback) {
+            triggerParts.push('回滚');
+            rollbackBadge = '<span class="event-type-badge event-type-rollback">回滚</span>';
+          }
+          if (trigger.user && trigger.user.email) {
+            triggerParts.push(\`用户: \${trigger.user.email}\`);
+          }
+          
+          if (triggerParts.length > 0) {
+            triggerInfo = \`<div style="margin-top: 0.5rem; font-size: 12px; color: #64748b;">触发: \${triggerParts.join(', ')}</div>\`;
+          }
+        }
+        
+        // 构建失败原因
+        let failureReason = '';
+        if (event.details && event.details.reason && event.details.reason.failure) {
+          const failure = event.details.reason.failure;
+          if (failure.nonZeroExit) {
+            failureReason = \`<div style="margin-top: 0.5rem; font-size: 12px; color: #ef4444;">失败原因: 非零退出码 (\${failure.nonZeroExit})</div>\`;
+          } else if (failure.evicted) {
+            failureReason = \`<div style="margin-top: 0.5rem; font-size: 12px; color: #ef4444;">失败原因: 资源不足</div>\`;
+          }
+        }
+        
+        eventItem.innerHTML = \`
+          <div class="event-header">
+            <div class="event-type">
+              <span class="event-type-badge \${eventTypeBadgeClass}">\${eventTypeText}</span>
+              \${rollbackBadge}
+              \${statusHtml}
+            </div>
+            <div class="event-time">\${eventTime}</div>
+          </div>
+          <div class="event-details">
+            <div>事件ID: \${event.id}</div>
+            \${event.details && event.details.deployId ? \`<div>部署ID: \${event.details.deployId}</div>\` : ''}
+            \${triggerInfo}
+            \${panelInfo}
+            \${failureReason}
+          </div>
+        \`;
+        
+        container.appendChild(eventItem);
+      });
+      
+      if (eventsCursor) {
+        const row = document.createElement('div');
+        row.id = 'loadMoreEventsRow';
+        row.style.cssText = 'display: flex; justify-content: center; padding: 1rem 0;';
+        row.innerHTML = '<button id="loadMoreEventsBtn" class="inline-editor-btn cancel-edit-btn" onclick="loadMoreEvents()">加载更多</button>';
+        container.appendChild(row);
+      }
     }
     
-    .env-var-btn {
-      padding: 6px 12px;
-      border: none;
-      border-radius: 8px;
-      font-size: 12px;
-      font-weight: 600;
-      cursor: pointer;
-      transition: all 0.2s ease;
-      display: flex;
-      align-items: center;
-      gap: 0.25rem;
+    // 关闭事件日志模态框
+    function closeEventsModal() {
+      const modal = document.getElementById('eventsModal');
+      modal.classList.remove('show');
     }
     
-    .edit-btn {
-      background: #3b82f6;
-      color: white;
+    // 打开环境变量模态框
+    async function openEnvVarsModal(accountId, serviceId) {
+      const service = findService(accountId, serviceId);
+      currentAccountId = accountId;
+      currentAccountName = service ? service.accountName : accountId;
+      currentServiceId = serviceId;
+      currentServiceName = service ? service.name : serviceId;
+      
+      const modal = document.getElementById('envVarsModal');
+      const container = document.getElementById('envVarsContainer');
+      const serviceInfo = document.getElementById('modalServiceInfo');
+      
+      serviceInfo.innerHTML = \`管理 <strong>\${escapeHtml(currentServiceName)}</strong> (\${escapeHtml(currentAccountName)}) 的变量\`;
+      
+      container.innerHTML = '<div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载环境变量中...</p></div>';
+      resetAddForm();
+      
+      modal.classList.add('show');
+      
+      try {
+        const response = await fetch(\`/api/env-vars/\${encodeURIComponent(currentAccountId)}/\${currentServiceId}\`);
+        
+        if (!response.ok) {
+          throw await responseError(response, '获取环境变量失败');
+        }
+        
+        const envVars = await response.json();
+        allEnvVars = envVars;
+        renderEnvVars(envVars);
+      } catch (error) {
+        console.error('获取环境变量出错:', error);
+        container.innerHTML = \`
+          <div class="empty-state">
+            <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M12 2C6.48 2 2 6.48 2 12C2 17.52 6.48 22 12 22C17.52 22 22 17.52 22 12C22 6.48 17.52 2 12 2ZM13 17H11V15H13V17ZM13 13H11V7H13V13Z" stroke="#ef4444" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+            <h3>加载变量出错</h3>
+            <p>\${error.message}</p>
+          </div>
+        \`;
+      }
     }
     
-    .edit-btn:hover {
-      background: #2563eb;
-      transform: translateY(-1px);
+    // 使用网格布局渲染环境变量
+    function renderEnvVars(envVars) {
+      const container = document.getElementById('envVarsContainer');
+      
+      if (envVars.length === 0) {
+        container.innerHTML = \`
+          <div class="empty-state">
+            <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M20 7L12 3L4 7M20 7L12 11M20 7V17L12 21M12 11L4 7M12 11V21M4 7V17L12 21" stroke="#94a3b8" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+            <h3>没有环境变量</h3>
+            <p>此服务尚未设置任何环境变量。<br>点击"添加变量"创建您的第一个环境变量。</p>
+          </div>
+        \`;
+        return;
+      }
+      
+      container.innerHTML = '';
+      
+      envVars.forEach(item => {
+        const envVar = item.envVar;
+        const envVarItem = document.createElement('div');
+        envVarItem.className = 'env-var-item';
+        envVarItem.id = \`env-var-\${envVar.key}\`;
+        
+        envVarItem.innerHTML = \`
+          <div class="env-var-grid">
+            <div class="env-var-key">\${envVar.key}</div>
+            <div class="env-var-value-wrapper">
+              <div class="env-var-value masked" id="value-\${envVar.key}" onclick="startInlineEdit('\${envVar.key}')" title="点击编辑">••••••••••••••••</div>
+              <button class="visibility-toggle" onclick="toggleValueVisibility('\${envVar.key}')" title="切换可见性">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M1 12S5 4 12 4S23 12 23 12S19 20 12 20S1 12 1 12Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                  <circle cx="12" cy="12" r="3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+              </button>
+              <div class="inline-editor" id="editor-\${envVar.key}">
+                <textarea class="inline-editor-input" id="input-\${envVar.key}" onkeydown="handleEditorKeyDown(event, '\${envVar.key}')">\${envVar.value}</textarea>
+                <div class="inline-editor-actions">
+                  <button class="inline-editor-btn cancel-edit-btn" onclick="cancelInlineEdit('\${envVar.key}')">
+                    取消
+                  </button>
+                  <button class="inline-editor-btn save-edit-btn" onclick="saveInlineEdit('\${envVar.key}')">
+                    保存
+                  </button>
+                </div>
+              </div>
+            </div>
+            <div class="env-var-actions">
+              <button class="env-var-btn copy-btn" onclick="copyValue('\${envVar.key}', '\${escapeHtml(envVar.value)}')" title="复制值">
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M20 9H11C9.89543 9 9 9.89543 9 11V20C9 21.1046 9.89543 22 11 22H20C21.1046 22 22 21.1046 22 20V11C22 9.89543 21.1046 9 20 9Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                  <path d="M5 15H4C2.89543 15 2 14.1046 2 13V4C2 2.89543 2.89543 2 4 2H13C14.1046 2 15 2.89543 15 4V5" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+                复制
+              </button>
+              <button class="env-var-btn edit-btn" onclick="startInlineEdit('\${envVar.key}')" title="编辑变量">
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M11 4H4C2.89543 4 2 4.89543 2 6V20C2 21.1046 2.89543 22 4 22H18C19.1046 22 20 21.1046 20 20V13" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                  <path d="M18.5 2.50023C18.8978 2.1024 19.4374 1.87891 20 1.87891C20.5626 1.87891 21.1022 2.1024 21.5 2.50023C21.8978 2.89805 22.1213 3.43762 22.1213 4.00023C22.1213 4.56284 21.8978 5.1024 21.5 5.50023L12 15.0002L8 16.0002L9 12.0002L18.5 2.50023Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+                编辑
+              </button>
+              <button class="env-var-btn delete-btn" onclick="deleteEnvVar('\${envVar.key}')" title="删除变量">
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M3 6H5H21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                  <path d="M8 6V4C8 2.89543 8.89543 2 10 2H14C15.1046 2 16 2.89543 16 4V6M19 6V20C19 21.1046 18.1046 22 17 22H7C5.89543 22 5 21.1046 5 20V6H19Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+                删除
+              </button>
+            </div>
+          </div>
+        \`;
+        
+        container.appendChild(envVarItem);
+      });
     }
     
-    .delete-btn {
-      background: #ef4444;
-      color: white;
+    // 切换值的可见性
+    function toggleValueVisibility(key) {
+      const valueElement = document.getElementById(\`value-\${key}\`);
+      const isCurrentlyMasked = valueElement.classList.contains('masked');
+      
+      if (isCurrentlyMasked) {
+        const envVar = allEnvVars.find(item => item.envVar.key === key);
+        if (envVar) {
+          valueElement.textContent = envVar.envVar.value;
+          valueElement.classList.remove('masked');
+        }
+      } else {
+        valueElement.textContent = '••••••••••••••••';
+        valueElement.classList.add('masked');
+      }
     }
     
-    .delete-btn:hover {
-      background: #dc2626;
-      transform: translateY(-1px);
+    // 开始内联编辑
+    function startInlineEdit(key) {
+      if (editingKey && editingKey !== key) {
+        cancelInlineEdit(editingKey);
+      }
+      
+      editingKey = key;
+      const item = document.getElementById(\`env-var-\${key}\`);
+      const valueWrapper = item.querySelector('.env-var-value-wrapper');
+      const valueDiv = document.getElementById(\`value-\${key}\`);
+      const editor = document.getElementById(\`editor-\${key}\`);
+      const input = document.getElementById(\`input-\${key}\`);
+      const visibilityToggle = valueWrapper.querySelector('.visibility-toggle');
+      
+      item.classList.add('editing');
+      
+      valueDiv.style.display = 'none';
+      visibilityToggle.style.display = 'none';
+      editor.classList.add('active');
+      
+      input.focus();
+      input.select();
+      
+      autoResizeTextarea(input);
     }
     
-    .copy-btn {
-      background: #10b981;
-      color: white;
+    // 取消内联编辑
+    function cancelInlineEdit(key) {
+      editingKey = null;
+      const item = document.getElementById(\`env-var-\${key}\`);
+      const valueWrapper = item.querySelector('.env-var-value-wrapper');
+      const valueDiv = document.getElementById(\`value-\${key}\`);
+      const editor = document.getElementById(\`editor-\${key}\`);
+      const input = document.getElementById(\`input-\${key}\`);
+      const visibilityToggle = valueWrapper.querySelector('.visibility-toggle');
+      
+      item.classList.remove('editing');
+      
+      const originalValue = allEnvVars.find(item => item.envVar.key === key)?.envVar.value || '';
+      input.value = originalValue;
+      
+      valueDiv.style.display = 'block';
+      visibilityToggle.style.display = 'flex';
+      editor.classList.remove('active');
+      
+      // 恢复遮罩状态
+      if (valueDiv.classList.contains('masked')) {
+        valueDiv.textContent = '••••••••••••••••';
+      }
     }
     
-    .copy-btn:hover {
-      background: #059669;
-      transform: translateY(-1px);
+    // 保存内联编辑
+    async function saveInlineEdit(key) {
+      const input = document.getElementById(\`input-\${key}\`);
+      const newValue = input.value.trim();
+      
+      if (newValue === '') {
+        showNotification('值不能为空。', 'error');
+        return;
+      }
+      
+      const originalValue = allEnvVars.find(item => item.envVar.key === key)?.envVar.value || '';
+      if (newValue === originalValue) {
+        cancelInlineEdit(key);
+        return;
+      }
+      
+      try {
+        await apiJson(\`/api/env-vars/\${encodeURIComponent(currentAccountId)}/\${currentServiceId}/\${encodeURIComponent(key)}\`, 'PUT', { value: newValue });
+        
+        const envVarIndex = allEnvVars.findIndex(item => item.envVar.key === key);
+        if (envVarIndex !== -1) {
+          allEnvVars[envVarIndex].envVar.value = newValue;
+        }
+        
+        const valueDiv = document.getElementById(\`value-\${key}\`);
+        valueDiv.textContent = '••••••••••••••••';
+        valueDiv.classList.add('masked');
+        
+        cancelInlineEdit(key);
+        
+        showNotification(\`环境变量 '\${key}' 更新成功。\`, 'success');
+        
+      } catch (error) {
+        console.error('更新环境变量出错:', error);
+        showNotification('更新环境变量出错: ' + error.message, 'error');
+      }
     }
     
-    /* 内联编辑器样式 */
-    .inline-editor {
-      position: relative;
-      display: none;
-      width: 100%;
+    // 删除环境变量
+    async function deleteEnvVar(key) {
+      if (!confirm(\`确定要删除环境变量 '\${key}'?\\n\\n此操作无法撤销。\`)) {
+        return;
+      }
+      
+      try {
+        await apiJson(\`/api/env-vars/\${encodeURIComponent(currentAccountId)}/\${currentServiceId}/\${encodeURIComponent(key)}\`, 'DELETE');
+        
+        allEnvVars = allEnvVars.filter(item => item.envVar.key !== key);
+        renderEnvVars(allEnvVars);
+        
+        showNotification(\`环境变量 '\${key}' 删除成功。\`, 'success');
+        
+      } catch (error) {
+        console.error('删除环境变量出错:', error);
+        showNotification('删除环境变量出错: ' + error.message, 'error');
+      }
     }
     
-    .inline-editor.active {
-      display: block;
+    // 复制值到剪贴板
+    async function copyValue(key, value) {
+      try {
+        await navigator.clipboard.writeText(value);
+        showNotification(\`已复制 \${key} 的值到剪贴板\`, 'success');
+      } catch (err) {
+        console.error('复制失败: ', err);
+        const textArea = document.createElement('textarea');
+        textArea.value = value;
+        document.body.appendChild(textArea);
+        textArea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textArea);
+        showNotification(\`已复制 \${key} 的值到剪贴板\`, 'success');
+      }
     }
     
-    .inline-editor-input {
-      width: 100%;
-      padding: 10px 12px;
-      border: 2px solid #f59e0b;
-      border-radius: 8px;
-      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
-      font-size: 13px;
-      background: white;
-      color: #1e293b;
-      min-height: 38px;
-      resize: vertical;
-      transition: all 0.3s ease;
+    // 切换添加表单可见性
+    function toggleAddForm() {
+      const form = document.getElementById('addEnvVarForm');
+      const toggleText = document.getElementById('toggleFormText');
+      
+      isFormVisible = !isFormVisible;
+      
+      if (isFormVisible) {
+        form.classList.add('show');
+        toggleText.textContent = '取消';
+        setTimeout(() => {
+          document.getElementById('newEnvVarKey').focus();
+        }, 300);
+      } else {
+        form.classList.remove('show');
+        toggleText.textContent = '添加变量';
+        resetAddForm();
+      }
     }
     
-    .inline-editor-input:focus {
-      outline: none;
-      box-shadow: 0 0 0 3px rgba(245, 158, 11, 0.2);
+    // 重置添加表单
+    function resetAddForm() {
+      document.getElementById('newEnvVarKey').value = '';
+      document.getElementById('newEnvVarValue').value = '';
+      isFormVisible = false;
+      const form = document.getElementById('addEnvVarForm');
+      const toggleText = document.getElementById('toggleFormText');
+      form.classList.remove('show');
+      toggleText.textContent = '添加变量';
     }
     
-    .inline-editor-actions {
-      display: flex;
-      gap: 0.5rem;
-      margin-top: 0.75rem;
-      justify-content: flex-end;
+    // 处理表单中的键盘快捷键
+    function handleFormKeyDown(event) {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        addEnvVar();
+      } else if (event.key === 'Escape') {
+        toggleAddForm();
+      }
     }
     
-    .inline-editor-btn {
-      padding: 6px 14px;
-      border: none;
-      border-radius: 6px;
-      font-size: 12px;
-      font-weight: 600;
-      cursor: pointer;
-      transition: all 0.2s ease;
-      display: flex;
-      align-items: center;
-      gap: 0.25rem;
+    // 处理编辑器中的键盘快捷键
+    function handleEditorKeyDown(event, key) {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        saveInlineEdit(key);
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        cancelInlineEdit(key);
+      }
+      
+      setTimeout(() => autoResizeTextarea(event.target), 0);
     }
     
-    .save-edit-btn {
-      background: #10b981;
-      color: white;
+    // 自动调整文本区域大小
+    function autoResizeTextarea(textarea) {
+      textarea.style.height = 'auto';
+      textarea.style.height = Math.max(38, textarea.scrollHeight) + 'px';
     }
     
-    .save-edit-btn:hover {
-      background: #059669;
-      transform: translateY(-1px);
+    // 添加环境变量
+    async function addEnvVar() {
+      const key = document.getElementById('newEnvVarKey').value.trim();
+      const value = document.getElementById('newEnvVarValue').value.trim();
+      
+      if (!key || !value) {
+        showNotification('请输入环境变量的键和值。', 'error');
+        return;
+      }
+      
+      const existingVar = allEnvVars.find(item => item.envVar.key === key);
+      if (existingVar) {
+        if (!confirm(\`环境变量 '\${key}' 已存在。是否要更新它？\`)) {
+          return;
+        }
+      }
+      
+      try {
+        await apiJson(\`/api/env-vars/\${encodeURIComponent(currentAccountId)}/\${currentServiceId}/\${encodeURIComponent(key)}\`, 'PUT', { value: value });
+        
+        const envVarsResponse = await fetch(\`/api/env-vars/\${encodeURIComponent(currentAccountId)}/\${currentServiceId}\`);
+        const envVars = await envVarsResponse.json();
+        allEnvVars = envVars;
+        renderEnvVars(envVars);
+        
+        resetAddForm();
+        
+        showNotification(\`环境变量 '\${key}' \${existingVar ? '更新' : '添加'}成功。\`, 'success');
+        
+      } catch (error) {
+        console.error('添加环境变量出错:', error);
+        showNotification('添加环境变量出错: ' + error.message, 'error');
+      }
     }
     
-    .cancel-edit-btn {
-      background: #f1f5f9;
-      color: #64748b;
-      border: 1px solid #e2e8f0;
+    // 关闭环境变量模态框
+    function closeEnvVarsModal() {
+      if (editingKey) {
+        cancelInlineEdit(editingKey);
+      }
+      
+      const modal = document.getElementById('envVarsModal');
+      modal.classList.remove('show');
+      
+      resetAddForm();
+      
+      currentAccountName = '';
+      currentServiceId = '';
+      currentAccountId = '';
+      currentServiceName = '';
+      allEnvVars = [];
     }
     
-    .cancel-edit-btn:hover {
-      background: #e2e8f0;
-      color: #475569;
+    // 打开安全设置模态框
+    async function openSecurityModal() {
+      const container = document.getElementById('securityContainer');
+      container.innerHTML = '<div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载中...</p></div>';
+      document.getElementById('securityModal').classList.add('show');
+      
+      try {
+        const response = await fetch('/api/totp');
+        if (!response.ok) {
+          throw new Error(\`获取双因素认证状态失败: \${response.status} \${response.statusText}\`);
+        }
+        renderSecurity(await response.json());
+      } catch (error) {
+        console.error('获取双因素认证状态出错:', error);
+        container.innerHTML = \`<div class="empty-state"><h3>加载出错</h3><p>\${escapeHtml(error.message)}</p></div>\`;
+      }
     }
     
-    /* 添加变量表单 */
-    .add-env-var-section {
-      margin-top: 2rem;
-      padding-top: 2rem;
-      border-top: 2px dashed #e2e8f0;
+    // 关闭安全设置模态框
+    function closeSecurityModal() {
+      document.getElementById('securityModal').classList.remove('show');
+      document.getElementById('securityContainer').innerHTML = '';
     }
     
-    .add-env-var-header {
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-      margin-bottom: 1.5rem;
+    // 渲染双因素认证状态
+    function renderSecurity(status) {
+      const container = document.getElementById('securityContainer');
+      
+      if (status.enabled) {
+        container.innerHTML = \`
+          <div class="security-section">
+            <p><span class="status-pill">已启用</span> 剩余恢复码 <strong>\${status.recoveryCodesRemaining}</strong> 个。</p>
+            <p>如需关闭，请输入当前动态码或一个恢复码：</p>
+            <div class="admin-form-row" style="grid-template-columns: 1fr auto;">
+              <input type="text" id="totpDisableCode" class="form-input" autocomplete="one-time-code" placeholder="动态码或恢复码">
+              <button class="env-var-btn delete-btn" style="padding: 10px 16px;" onclick="disableTotp()">关闭双因素认证</button>
+            </div>
+          </div>
+        \`;
+        return;
+      }
+      
+      container.innerHTML = \`
+        <div class="security-section">
+          <p><span class="status-pill muted">未启用</span> 启用后，登录时需要额外输入动态码。</p>
+          <button class="toggle-form-btn" onclick="startTotpSetup()">启用双因素认证</button>
+        </div>
+      \`;
     }
     
-    .add-env-var-title {
-      font-size: 18px;
-      font-weight: 700;
-      color: #1e293b;
-      margin: 0;
+    // 开始启用双因素认证
+    async function startTotpSetup() {
+      try {
+        const response = await apiJson('/api/totp/setup', 'POST', {});
+        const secretGroups = response.secret.match(/.{1,4}/g).join(' ');
+        
+        document.getElementById('securityContainer').innerHTML = \`
+          <div class="security-section">
+            <p>1. 在验证器应用中添加账户：在手机上点击下方链接，或手动输入密钥。</p>
+            <p><a href="\${escapeHtml(response.otpauthUri)}" class="service-url" style="display: inline;">\${escapeHtml(response.otpauthUri)}</a></p>
+            <div class="totp-secret">\${secretGroups}</div>
+            <p>2. 输入应用显示的6位动态码以完成启用：</p>
+            <div class="admin-form-row" style="grid-template-columns: 1fr auto;">
+              <input type="text" id="totpSetupCode" class="form-input" inputmode="numeric" autocomplete="one-time-code" placeholder="123456">
+              <button class="toggle-form-btn" onclick="confirmTotpSetup()">确认启用</button>
+            </div>
+          </div>
+        \`;
+        document.getElementById('totpSetupCode').focus();
+      } catch (error) {
+        console.error('生成双因素认证密钥出错:', error);
+        showNotification('启用双因素认证出错: ' + error.message, 'error');
+      }
     }
     
-    .toggle-form-btn {
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      color: white;
-      border: none;
-      padding: 10px 16px;
-      border-radius: 8px;
-      font-weight: 600;
-      cursor: pointer;
-      transition: all 0.3s ease;
-      display: flex;
-      align-items: center;
-      gap: 0.5rem;
+    // 确认启用双因素认证
+    async function confirmTotpSetup() {
+      const code = document.getElementById('totpSetupCode').value.trim();
+      
+      try {
+        const response = await apiJson('/api/totp/enable', 'POST', { code });
+        const codes = response.recoveryCodes;
+        
+        document.getElementById('securityContainer').innerHTML = \`
+          <div class="security-section">
+            <p><span class="status-pill">已启用</span> 请妥善保存以下恢复码。每个恢复码只能使用一次，在无法使用验证器时代替动态码登录。<strong>关闭此窗口后将无法再次查看。</strong></p>
+            <div class="recovery-codes">\${codes.map(c => \`<span>\${c}</span>\`).join('')}</div>
+            <div class="form-actions" style="display: flex; gap: 0.75rem; justify-content: flex-end;">
+              <button class="inline-editor-btn copy-btn" onclick="copyValue('恢复码', '\${codes.join(' ')}')">复制全部</button>
+              <button class="inline-editor-btn save-edit-btn" onclick="closeSecurityModal()">我已保存</button>
+            </div>
+          </div>
+        \`;
+        showNotification('双因素认证已启用。', 'success');
+      } catch (error) {
+        console.error('启用双因素认证出错:', error);
+        showNotification('启用双因素认证出错: ' + error.message, 'error');
+      }
     }
     
-    .toggle-form-btn:hover {
-      transform: translateY(-2px);
-      box-shadow: 0 8px 16px rgba(102, 126, 234, 0.3);
+    // 关闭双因素认证
+    async function disableTotp() {
+      const code = document.getElementById('totpDisableCode').value.trim();
+      
+      try {
+        await apiJson('/api/totp/disable', 'POST', { code });
+        showNotification('双因素认证已关闭。', 'success');
+        renderSecurity({ enabled: false });
+      } catch (error) {
+        console.error('关闭双因素认证出错:', error);
+        showNotification('关闭双因素认证出错: ' + error.message, 'error');
+      }
     }
     
-    .add-env-var-form {
-      background: linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%);
-      border: 2px solid #e2e8f0;
-      border-radius: 16px;
-      padding: 1.5rem;
-      transition: all 0.3s ease;
-      transform: translateY(-10px);
-      opacity: 0;
-      max-height: 0;
-      overflow: hidden;
+    // 打开API令牌模态框
+    async function openTokensModal() {
+      document.getElementById('tokenScopes').innerHTML = Object.keys(TOKEN_SCOPE_LABELS)
+        .filter(scope => can(scope))
+        .map(scope => \`
+          <label>
+            <input type="checkbox" value="\${scope}" \${scope.endsWith(':read') ? 'checked' : ''}>
+            \${TOKEN_SCOPE_LABELS[scope]}
+          </label>
+        \`).join('');
+      
+      document.getElementById('tokenResult').classList.remove('show');
+      document.getElementById('tokensModal').classList.add('show');
+      
+      await fetchTokens();
     }
     
-    .add-env-var-form.show {
-      transform: translateY(0);
-      opacity: 1;
-      max-height: 300px;
+    // 关闭API令牌模态框
+    function closeTokensModal() {
+      document.getElementById('tokensModal').classList.remove('show');
+      document.getElementById('tokenResult').innerHTML = '';
+      document.getElementById('tokenName').value = '';
     }
     
-    .form-row {
-      display: grid;
-      grid-template-columns: 1fr 2fr;
-      gap: 1rem;
-      margin-bottom: 1rem;
+    // 获取API令牌列表
+    async function fetchTokens() {
+      const container = document.getElementById('tokensContainer');
+      container.innerHTML = '<div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载令牌中...</p></div>';
+      
+      try {
+        const response = await fetch('/api/tokens');
+        if (!response.ok) {
+          throw new Error(\`获取令牌失败: \${response.status} \${response.statusText}\`);
+        }
+        renderTokens(await response.json());
+      } catch (error) {
+        console.error('获取令牌出错:', error);
+        container.innerHTML = \`<div class="empty-state"><h3>加载令牌出错</h3><p>\${escapeHtml(error.message)}</p></div>\`;
+      }
     }
     
-    .form-group {
-      display: flex;
-      flex-direction: column;
-      gap: 0.5rem;
+    // 渲染API令牌列表
+    function renderTokens(tokens) {
+      const container = document.getElementById('tokensContainer');
+      
+      if (tokens.length === 0) {
+        container.innerHTML = '<div class="empty-state"><h3>没有令牌</h3><p>创建一个令牌以便脚本调用API。</p></div>';
+        return;
+      }
+      
+      const formatTime = time => time ? new Date(time).toLocaleString('zh-CN') : '从未使用';
+      const showOwner = can('users:manage');
+      
+      const rows = tokens.map(token => \`
+        <tr>
+          <td><strong>\${escapeHtml(token.name)}</strong></td>
+          \${showOwner ? \`<td>\${escapeHtml(token.username)}</td>\` : ''}
+          <td>\${token.scopes.map(scope => \`<span class="status-pill muted">\${TOKEN_SCOPE_LABELS[scope] || scope}</span>\`).join(' ')}</td>
+          <td>\${new Date(token.expiresAt).toLocaleDateString('zh-CN')}</td>
+          <td>\${formatTime(token.lastUsedAt)}</td>
+          <td><button class="env-var-btn delete-btn" data-token-id="\${escapeHtml(token.id)}" data-token-name="\${escapeHtml(token.name)}">撤销</button></td>
+        </tr>
+      \`).join('');
+      
+      container.innerHTML = \`
+        <table class="data-table">
+          <thead>
+            <tr><th>名称</th>\${showOwner ? '<th>用户</th>' : ''}<th>权限</th><th>过期时间</th><th>最近使用</th><th></th></tr>
+          </thead>
+          <tbody>\${rows}</tbody>
+        </table>
+      \`;
+      
+      // 令牌名称由用户填写，不能拼接进内联脚本，通过data属性传递
+      container.querySelectorAll('[data-token-id]').forEach(button => {
+        button.addEventListener('click', () => revokeToken(button.dataset.tokenId, button.dataset.tokenName));
+      });
     }
     
-    .form-label {
-      font-weight: 700;
-      color: #374151;
-      font-size: 14px;
+    // 创建API令牌
+    async function createToken() {
+      const name = document.getElementById('tokenName').value.trim();
+      const expiresInDays = Number(document.getElementById('tokenExpiry').value);
+      const scopes = Array.from(document.querySelectorAll('#tokenScopes input:checked')).map(input => input.value);
+      
+      if (!name) {
+        showNotification('请输入令牌名称。', 'error');
+        return;
+      }
+      
+      try {
+        const result = await apiJson('/api/tokens', 'POST', { name, scopes, expiresInDays });
+        
+        const tokenResult = document.getElementById('tokenResult');
+        tokenResult.innerHTML = \`
+          令牌 <strong>\${escapeHtml(result.name)}</strong> 已创建。请立即复制，关闭后将无法再次查看：<br>
+          <code>\${result.token}</code>
+          <button class="env-var-btn copy-btn" style="display: inline-flex; margin-left: 0.5rem;" onclick="copyValue('令牌', '\${result.token}')">复制</button>
+        \`;
+        tokenResult.classList.add('show');
+        document.getElementById('tokenName').value = '';
+        
+        await fetchTokens();
+      } catch (error) {
+        console.error('创建令牌出错:', error);
+        showNotification('创建令牌出错: ' + error.message, 'error');
+      }
     }
     
-    .form-input {
-      padding: 10px 12px;
-      border: 2px solid #e2e8f0;
-      border-radius: 8px;
-      font-size: 14px;
-      transition: all 0.3s ease;
-      background-color: white;
+    // 撤销API令牌
+    async function revokeToken(tokenId, name) {
+      if (!confirm(\`确定要撤销令牌 '\${name}'?\\n\\n使用该令牌的脚本将立即无法访问。\`)) {
+        return;
+      }
+      
+      try {
+        await apiJson(\`/api/tokens/\${encodeURIComponent(tokenId)}\`, 'DELETE');
+        
+        showNotification(\`令牌 '\${name}' 已撤销。\`, 'success');
+        await fetchTokens();
+      } catch (error) {
+        console.error('撤销令牌出错:', error);
+        showNotification('撤销令牌出错: ' + error.message, 'error');
+      }
     }
     
-    .form-input:focus {
-      outline: none;
-      border-color: #667eea;
-      box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
+    // 打开活动会话模态框
+    async function openSessionsModal() {
+      document.getElementById('sessionsModal').classList.add('show');
+      await fetchSessions();
     }
     
-    .form-input.key-input {
-      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+    // 关闭活动会话模态框
+    function closeSessionsModal() {
+      document.getElementById('sessionsModal').classList.remove('show');
     }
     
-    /* 通知样式 */
-    .notification {
-      position: fixed;
-      top: 80px;
-      right: 20px;
-      background: white;
-      border-radius: 12px;
-      padding: 1rem 1.25rem;
-      box-shadow: 0 10px 25px rgba(0, 0, 0, 0.1);
-      border-left: 4px solid #10b981;
-      z-index: 2000;
-      animation: slideInRight 0.3s ease-out;
-      max-width: 400px;
+    // 获取活动会话
+    async function fetchSessions() {
+      const container = document.getElementById('sessionsContainer');
+      container.innerHTML = '<div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载会话中...</p></div>';
+      
+      try {
+        const response = await fetch('/api/sessions');
+        if (!response.ok) {
+          throw new Error(\`获取会话失败: \${response.status} \${response.statusText}\`);
+        }
+        renderSessions(await response.json());
+      } catch (error) {
+        console.error('获取会话出错:', error);
+        container.innerHTML = \`<div class="empty-state"><h3>加载会话出错</h3><p>\${escapeHtml(error.message)}</p></div>\`;
+      }
     }
     
-    @keyframes slideInRight {
-      from {
-        transform: translateX(100%);
-        opacity: 0;
-      }
-      to {
-        transform: translateX(0);
-        opacity: 1;
+    // 从User-Agent中提取简短的浏览器和系统描述
+    function describeUserAgent(userAgent) {
+      if (!userAgent) {
+        return '未知设备';
       }
+      
+      const browser = (userAgent.match(/(Edg|OPR|Firefox|Chrome|Safari)\\/[\\d.]+/) || [])[1] || '';
+      const os = (userAgent.match(/(Windows|Mac OS X|Android|iPhone|iPad|Linux)/) || [])[1] || '';
+      const names = { 'Edg': 'Edge', 'OPR': 'Opera', 'Mac OS X': 'macOS' };
+      
+      const parts = [names[browser] || browser, names[os] || os].filter(Boolean);
+      return parts.length > 0 ? parts.join(' · ') : userAgent.slice(0, 40);
     }
     
-    .notification.error {
-      border-left-color: #ef4444;
+    // 渲染活动会话
+    function renderSessions(sessions) {
+      const container = document.getElementById('sessionsContainer');
+      const showOwner = can('users:manage');
+      const formatTime = time => new Date(time).toLocaleString('zh-CN');
+      
+      const rows = sessions.map(session => \`
+        <tr>
+          <td>
+            <strong title="\${escapeHtml(session.userAgent)}">\${escapeHtml(describeUserAgent(session.userAgent))}</strong>
+            \${session.current ? '<span class="status-pill">当前会话</span>' : ''}
+          </td>
+          \${showOwner ? \`<td>\${escapeHtml(session.username)}</td>\` : ''}
+          <td>\${escapeHtml(session.ip || '-')}</td>
+          <td>\${formatTime(session.createdAt)}</td>
+          <td>\${formatTime(session.lastSeenAt)}</td>
+          <td>
+            \${session.current ? '' : \`<button class="env-var-btn delete-btn" data-session-id="\${escapeHtml(session.id)}">撤销</button>\`}
+          </td>
+        </tr>
+      \`).join('');
+      
+      container.innerHTML = \`
+        <table class="data-table">
+          <thead>
+            <tr><th>设备</th>\${showOwner ? '<th>用户</th>' : ''}<th>最近 IP</th><th>登录时间</th><th>最近活动</th><th></th></tr>
+          </thead>
+          <tbody>\${rows}</tbody>
+        </table>
+      \`;
+      
+      container.querySelectorAll('[data-session-id]').forEach(button => {
+        button.addEventListener('click', () => revokeSession(button.dataset.sessionId));
+      });
     }
     
-    .notification.success {
-      border-left-color: #10b981;
+    // 撤销会话
+    async function revokeSession(sessionId) {
+      if (!confirm('确定要撤销此会话?\\n\\n该设备将立即被登出。')) {
+        return;
+      }
+      
+      try {
+        await apiJson(\`/api/sessions/\${encodeURIComponent(sessionId)}\`, 'DELETE');
+        showNotification('会话已撤销。', 'success');
+        await fetchSessions();
+      } catch (error) {
+        console.error('撤销会话出错:', error);
+        showNotification('撤销会话出错: ' + error.message, 'error');
+      }
     }
     
-    .notification-content {
-      display: flex;
-      align-items: center;
-      gap: 0.75rem;
+    // 登出当前用户的其他所有会话
+    async function revokeOtherSessions() {
+      if (!confirm('确定要登出其他所有会话?\\n\\n只保留当前浏览器的登录状态。')) {
+        return;
+      }
+      
+      try {
+        const result = await apiJson('/api/sessions/revoke-others', 'POST');
+        showNotification(\`已登出 \${result.revoked} 个其他会话。\`, 'success');
+        await fetchSessions();
+      } catch (error) {
+        console.error('撤销其他会话出错:', error);
+        showNotification('撤销其他会话出错: ' + error.message, 'error');
+      }
     }
     
-    .notification-icon {
-      width: 20px;
-      height: 20px;
-      flex-shrink: 0;
+    // 打开Render账户管理模态框
+    async function openAccountsModal() {
+      resetAccountForm();
+      document.getElementById('accountsModal').classList.add('show');
+      await fetchAccounts();
     }
     
-    .notification-text {
-      font-size: 14px;
-      font-weight: 500;
-      color: #374151;
+    // 关闭Render账户管理模态框
+    function closeAccountsModal() {
+      document.getElementById('accountsModal').classList.remove('show');
+      resetAccountForm();
     }
     
-    /* 空状态 */
-    .empty-state {
-      text-align: center;
-      padding: 3rem 2rem;
-      color: #94a3b8;
+    // 获取Render账户列表
+    async function fetchAccounts() {
+      const container = document.getElementById('accountsContainer');
+      container.innerHTML = '<div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载账户中...</p></div>';
+      
+      try {
+        const response = await fetch('/api/accounts');
+        if (!response.ok) {
+          throw new Error(\`获取账户失败: \${response.status} \${response.statusText}\`);
+        }
+        allAccounts = await response.json();
+        renderAccounts(allAccounts);
+      } catch (error) {
+        console.error('获取账户出错:', error);
+        container.innerHTML = \`<div class="empty-state"><h3>加载账户出错</h3><p>\${escapeHtml(error.message)}</p></div>\`;
+      }
     }
     
-    .empty-state-icon {
-      width: 64px;
-      height: 64px;
-      margin: 0 auto 1rem auto;
-      opacity: 0.5;
+    // 渲染Render账户列表
+    function renderAccounts(accounts) {
+      const container = document.getElementById('accountsContainer');
+      
+      if (accounts.length === 0) {
+        container.innerHTML = '<div class="empty-state"><h3>没有账户</h3><p>添加一个 Render 账户以开始管理服务。</p></div>';
+        return;
+      }
+      
+      const rows = accounts.map(account => \`
+        <tr>
+          <td>
+            <strong>\${escapeHtml(account.name)}</strong>
+            <div style="font-size: 12px; font-family: monospace; color: #94a3b8;">\${escapeHtml(account.id)}</div>
+          </td>
+          <td>\${account.owner ? escapeHtml(account.owner) : '-'}</td>
+          <td><code>••••\${escapeHtml(account.keyHint || '')}</code></td>
+          <td>\${account.source === 'RENDER_ACCOUNTS' ? '<span class="status-pill muted">RENDER_ACCOUNTS</span>' : '<span class="status-pill muted">面板</span>'}</td>
+          <td>\${new Date(account.updatedAt).toLocaleString('zh-CN')}</td>
+          <td>
+            <div class="env-var-actions">
+              <button class="env-var-btn edit-btn" data-account-id="\${escapeHtml(account.id)}" data-action="edit">编辑</button>
+              <button class="env-var-btn delete-btn" data-account-id="\${escapeHtml(account.id)}" data-action="delete">删除</button>
+            </div>
+          </td>
+        </tr>
+      \`).join('');
+      
+      container.innerHTML = \`
+        <table class="data-table">
+          <thead>
+            <tr><th>账户</th><th>Render 所有者</th><th>API 密钥</th><th>来源</th><th>更新时间</th><th></th></tr>
+          </thead>
+          <tbody>\${rows}</tbody>
+        </table>
+      \`;
+      
+      container.querySelectorAll('[data-account-id]').forEach(button => {
+        const handler = button.dataset.action === 'edit' ? editAccount : deleteAccount;
+        button.addEventListener('click', () => handler(button.dataset.accountId));
+      });
     }
     
-    .empty-state h3 {
-      font-size: 18px;
-      font-weight: 600;
-      margin-bottom: 0.5rem;
-      color: #64748b;
+    // 重置账户表单为添加模式
+    function resetAccountForm() {
+      editingAccountId = null;
+      document.getElementById('accountFormId').value = '';
+      document.getElementById('accountFormId').disabled = false;
+      document.getElementById('accountFormName').value = '';
+      document.getElementById('accountFormKey').value = '';
+      document.getElementById('accountFormKey').placeholder = 'rnd_...';
+      document.getElementById('accountFormSubmit').textContent = '添加账户';
+      document.getElementById('accountFormEditing').style.display = 'none';
     }
     
-    /* 响应式设计 */
-    @media (max-width: 768px) {
-      .header-container {
-        flex-direction: column;
-        gap: 1rem;
-        text-align: center;
+    // 将账户载入表单进行编辑
+    function editAccount(accountId) {
+      const account = allAccounts.find(acc => acc.id === accountId);
+      if (!account) {
+        return;
       }
       
-      .stats-bar {
-        flex-direction: column;
+      editingAccountId = accountId;
+      document.getElementById('accountFormId').value = account.id;
+      document.getElementById('accountFormId').disabled = true;
+      document.getElementById('accountFormName').value = account.name;
+      document.getElementById('accountFormKey').value = '';
+      document.getElementById('accountFormKey').placeholder = '留空则保留原密钥';
+      document.getElementById('accountFormSubmit').textContent = '保存';
+      document.getElementById('accountFormEditingName').textContent = account.name;
+      document.getElementById('accountFormEditing').style.display = 'block';
+    }
+    
+    // 添加或保存账户
+    async function saveAccount() {
+      const id = document.getElementById('accountFormId').value.trim();
+      const name = document.getElementById('accountFormName').value.trim();
+      const apiKey = document.getElementById('accountFormKey').value.trim();
+      const submitBtn = document.getElementById('accountFormSubmit');
+      
+      if (!name || (!editingAccountId && !apiKey)) {
+        showNotification('请填写账户名称和 API 密钥。', 'error');
+        return;
       }
       
-      .stats-content {
-        flex-direction: column;
-        gap: 1.5rem;
+      submitBtn.disabled = true;
+      submitBtn.textContent = '验证中...';
+      
+      try {
+        if (editingAccountId) {
+          await apiJson(\`/api/accounts/\${encodeURIComponent(editingAccountId)}\`, 'PUT', { name, apiKey });
+          showNotification(\`账户 '\${name}' 已保存。\`, 'success');
+        } else {
+          await apiJson('/api/accounts', 'POST', { id, name, apiKey });
+          showNotification(\`账户 '\${name}' 已添加。\`, 'success');
+        }
+        
+        resetAccountForm();
+        await fetchAccounts();
+        fetchServices();
+      } catch (error) {
+        console.error('保存账户出错:', error);
+        showNotification('保存账户出错: ' + error.message, 'error');
+      } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = editingAccountId ? '保存' : '添加账户';
+      }
+    }
+    
+    // 删除账户
+    async function deleteAccount(accountId) {
+      const account = allAccounts.find(acc => acc.id === accountId);
+      if (!account || !confirm(\`确定要删除账户 '\${account.name}'?\\n\\n该账户的服务将不再显示，用户访问范围中的该账户也会被移除。\`)) {
+        return;
+      }
+      
+      try {
+        await apiJson(\`/api/accounts/\${encodeURIComponent(accountId)}\`, 'DELETE');
+        showNotification(\`账户 '\${account.name}' 已删除。\`, 'success');
+        if (editingAccountId === accountId) {
+          resetAccountForm();
+        }
+        await fetchAccounts();
+        fetchServices();
+      } catch (error) {
+        console.error('删除账户出错:', error);
+        showNotification('删除账户出错: ' + error.message, 'error');
       }
+    }
+    
+    // 打开审计日志模态框
+    async function openAuditModal() {
+      document.getElementById('auditModal').classList.add('show');
+      await fetchAudit();
+    }
+    
+    // 关闭审计日志模态框
+    function closeAuditModal() {
+      document.getElementById('auditModal').classList.remove('show');
+    }
+    
+    // 根据筛选条件构造审计日志查询参数
+    function buildAuditQuery(format) {
+      const params = new URLSearchParams();
+      const user = document.getElementById('auditUser').value.trim();
+      const service = document.getElementById('auditService').value.trim();
+      const action = document.getElementById('auditAction').value;
       
-      .search-box {
-        width: 100%;
+      if (user) params.set('user', user);
+      if (service) params.set('service', service);
+      if (action) params.set('action', action);
+      if (format) {
+        params.set('format', format);
+        params.set('limit', '5000');
       }
       
-      .services-grid {
-        grid-template-columns: 1fr;
-      }
+      return params.toString();
+    }
+    
+    // 获取审计日志
+    async function fetchAudit() {
+      const container = document.getElementById('auditContainer');
+      container.innerHTML = '<div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载审计日志中...</p></div>';
       
-      .service-info-grid {
-        grid-template-columns: 1fr;
+      try {
+        const response = await fetch(\`/api/audit?\${buildAuditQuery()}\`);
+        if (!response.ok) {
+          throw new Error(\`获取审计日志失败: \${response.status} \${response.statusText}\`);
+        }
+        renderAudit(await response.json());
+      } catch (error) {
+        console.error('获取审计日志出错:', error);
+        container.innerHTML = \`<div class="empty-state"><h3>加载审计日志出错</h3><p>\${escapeHtml(error.message)}</p></div>\`;
       }
+    }
+    
+    // 渲染审计日志
+    function renderAudit(entries) {
+      const container = document.getElementById('auditContainer');
       
-      .service-actions {
-        grid-template-columns: 1fr;
+      if (entries.length === 0) {
+        container.innerHTML = '<div class="empty-state"><h3>没有审计记录</h3><p>没有符合筛选条件的操作记录。</p></div>';
+        return;
       }
       
-      .env-var-grid {
-        grid-template-columns: 1fr;
-        gap: 0.75rem;
-      }
+      const hashCell = (before, after) => {
+        if (!before && !after) {
+          return '-';
+        }
+        return \`<code>\${before || '∅'}</code> → <code>\${after || '∅'}</code>\`;
+      };
       
-      .env-var-actions {
-        margin-top: 0.75rem;
-        justify-content: flex-start;
-      }
+      const rows = entries.map(entry => \`
+        <tr>
+          <td>\${new Date(entry.timestamp).toLocaleString('zh-CN')}</td>
+          <td>
+            <strong>\${escapeHtml(entry.user)}</strong>
+            \${entry.via && entry.via.startsWith('token:') ? '<span class="status-pill muted">令牌</span>' : ''}
+            <div style="font-size: 11px; color: #94a3b8;">\${escapeHtml(entry.ip || '')}</div>
+          </td>
+          <td>\${AUDIT_ACTION_LABELS[entry.action] || escapeHtml(entry.action)}</td>
+          <td>
+            <div>\${escapeHtml(entry.accountId || '')}</div>
+            <div style="font-size: 12px; font-family: monospace;">\${escapeHtml(entry.serviceId || '')}</div>
+          </td>
+          <td>
+            \${entry.envVarKey ? \`<span class="env-var-key" style="font-size: 12px; padding: 2px 6px;">\${escapeHtml(entry.envVarKey)}</span>\` : ''}
+            \${entry.deployId ? \`<span style="font-size: 12px; font-family: monospace;">\${escapeHtml(entry.deployId)}</span>\` : ''}
+            \${entry.commitId || entry.imageUrl ? \`<div style="font-size: 12px; color: #64748b; font-family: monospace;">\${escapeHtml(entry.commitId || entry.imageUrl)}</div>\` : ''}
+            \${entry.clearCache === 'clear' ? '<div style="font-size: 12px; color: #64748b;">清除构建缓存</div>' : ''}
+            \${entry.targetUser ? \`<strong style="font-size: 12px;">\${escapeHtml(entry.targetUser)}</strong>\` : ''}
+            \${entry.lockType ? \`<span style="font-size: 12px;">\${entry.lockType === 'ip' ? 'IP' : '用户名'} \${escapeHtml(entry.subject)}</span>\` : ''}
+            \${entry.tokenId ? \`<div style="font-size: 12px; color: #64748b;">\${escapeHtml(entry.tokenName || '')} <code>\${escapeHtml(entry.tokenId)}</code></div>\` : ''}
+            \${entry.role || entry.changes || entry.scopes ? \`<div style="font-size: 12px; color: #64748b;">\${escapeHtml(entry.role || entry.changes || entry.scopes)}</div>\` : ''}
+            \${entry.revoked ? \`<div style="font-size: 12px; color: #64748b;">\${entry.revoked} 个会话</div>\` : ''}
+          </td>
+          <td style="font-size: 12px;">\${hashCell(entry.beforeHash, entry.afterHash)}</td>
+        </tr>
+      \`).join('');
       
-      .form-row {
-        grid-template-columns: 1fr;
-      }
+      container.innerHTML = \`
+        <table class="data-table">
+          <thead>
+            <tr><th>时间</th><th>用户</th><th>操作</th><th>账户 / 服务</th><th>对象</th><th>值哈希（前 → 后）</th></tr>
+          </thead>
+          <tbody>\${rows}</tbody>
+        </table>
+      \`;
     }
     
-    /* 自定义滚动条 */
-    .modal-body::-webkit-scrollbar {
-      width: 6px;
+    // 导出审计日志
+    function exportAudit(format) {
+      window.location.href = \`/api/audit?\${buildAuditQuery(format)}\`;
     }
     
-    .modal-body::-webkit-scrollbar-track {
-      background: #f1f5f9;
-      border-radius: 3px;
+    // 检查当前用户是否拥有指定权限
+    function can(permission) {
+      return currentUser.permissions.includes('*') || currentUser.permissions.includes(permission);
     }
     
-    .modal-body::-webkit-scrollbar-thumb {
-      background: #cbd5e1;
-      border-radius: 3px;
+    // 打开用户管理模态框
+    async function openUsersModal() {
+      const roleSelect = document.getElementById('inviteRole');
+      roleSelect.innerHTML = Object.keys(ROLE_LABELS)
+        .map(role => \`<option value="\${role}">\${ROLE_LABELS[role]}</option>\`)
+        .join('');
+      
+      document.getElementById('inviteResult').classList.remove('show');
+      document.getElementById('scopeEditor').classList.remove('show');
+      document.getElementById('usersModal').classList.add('show');
+      
+      try {
+        const response = await fetch('/api/accounts');
+        allAccounts = response.ok ? await response.json() : [];
+      } catch (error) {
+        console.error('获取账户出错:', error);
+        allAccounts = [];
+      }
+      
+      await Promise.all([fetchUsers(), fetchLoginLockouts()]);
     }
     
-    .modal-body::-webkit-scrollbar-thumb:hover {
-      background: #94a3b8;
+    // 关闭用户管理模态框
+    function closeUsersModal() {
+      document.getElementById('usersModal').classList.remove('show');
+      document.getElementById('inviteUsername').value = '';
     }
-  </style>
-</head>
-<body>
-  <header class="header">
-    <div class="header-container">
-      <div class="logo">
-        <div class="logo-icon">
-          <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-            <path d="M12 2L2 7V12C2 16.5 4.23 20.68 7.62 23.15L12 25L16.38 23.15C19.77 20.68 22 16.5 22 12V7L12 2M12 4.18L19.25 7.8V12C19.25 15.58 17.58 18.85 15 20.75V13.25H9V20.75C6.42 18.85 4.75 15.58 4.75 12V7.8L12 4.18Z" />
-          </svg>
-        </div>
-        <h1>Render Service Manager</h1>
-      </div>
-      <a href="/logout" class="logout-btn">
-        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-          <path d="M17 7L15.59 8.41L18.17 11H8V13H18.17L15.59 15.58L17 17L22 12L17 7Z" fill="currentColor"/>
-          <path d="M4 5H12V3H4C2.9 3 2 3.9 2 5V19C2 20.1 2.9 21 4 21H12V19H4V5Z" fill="currentColor"/>
-        </svg>
-        登出
-      </a>
-    </div>
-  </header>
-
-  <div class="main-content">
-    <div class="container">
-      <!-- 统计栏 -->
-      <div class="stats-bar">
-        <div class="stats-content">
-          <div class="stat-item">
-            <div class="stat-icon">
-              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M21 8V20.993A1 1 0 0 1 20.007 22H3.993A.993.993 0 0 1 3 21.008V2.992C3 2.455 3.449 2 4.002 2h10.995L21 8zm-2 1h-5V4H5v16h14V9zM8 7h3v2H8V7zm0 4h8v2H8v-2zm0 4h8v2H8v-2z" fill="currentColor"/>
-              </svg>
-            </div>
-            <div class="stat-info">
-              <h3 id="totalServices">0</h3>
-              <p>总服务数</p>
-            </div>
-          </div>
-          <div class="stat-item">
-            <div class="stat-icon">
-              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z" fill="currentColor"/>
-              </svg>
-            </div>
-            <div class="stat-info">
-              <h3 id="liveServices">0</h3>
-              <p>运行中服务</p>
-            </div>
-          </div>
-          <div class="stat-item">
-            <div class="stat-icon">
-              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm-5 14H7v-2h7v2zm3-4H7v-2h10v2zm0-4H7V7h10v2z" fill="currentColor"/>
-              </svg>
-            </div>
-            <div class="stat-info">
-              <h3 id="totalAccounts">0</h3>
-              <p>账户数</p>
-            </div>
-          </div>
-        </div>
-        <div class="search-box">
-          <input 
-            type="text" 
-            id="serviceSearch" 
-            class="search-input" 
-            placeholder="搜索服务..."
-            onkeyup="filterServices()"
-          >
-          <svg class="search-icon" width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-            <path d="M21 21L16.514 16.506L21 21ZM19 10.5C19 15.194 15.194 19 10.5 19C5.806 19 2 15.194 2 10.5C2 5.806 5.806 2 10.5 2C15.194 2 19 5.806 19 10.5Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-          </svg>
-        </div>
-      </div>
-      
-      <div id="loading" class="loading">
-        <div class="loading-spinner"></div>
-        <p>加载服务中...</p>
-      </div>
+    
+    // 获取用户列表
+    async function fetchUsers() {
+      const container = document.getElementById('usersContainer');
+      container.innerHTML = '<div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载用户中...</p></div>';
       
-      <div id="services-container" class="services-grid" style="display: none;">
-        <!-- 服务将在这里动态加载 -->
-      </div>
-    </div>
-  </div>
-
-  <footer class="footer">
-    <p>© 2025 Render Service Manager | <a href="https://github.com/ssfun/render-service-manager" target="_blank" rel="noopener noreferrer">@sfun</a></p>
-  </footer>
-
-  <!-- 环境变量模态框 -->
-  <div id="envVarsModal" class="modal">
-    <div class="modal-content">
-      <div class="modal-header">
-        <div>
-          <div class="modal-title-section">
-            <h2 class="modal-title">环境变量</h2>
-            <button class="close-btn" onclick="closeEnvVarsModal()">×</button>
-          </div>
-          <div class="modal-service-info" id="modalServiceInfo">
-            <!-- 服务信息将在这里插入 -->
-          </div>
-        </div>
-      </div>
-      <div class="modal-body">
-        <div id="envVarsContainer" class="env-vars-container">
-          <!-- 环境变量将在这里加载 -->
-        </div>
-
-        <!-- 添加新环境变量部分 -->
-        <div class="add-env-var-section">
-          <div class="add-env-var-header">
-            <h3 class="add-env-var-title">添加新变量</h3>
-            <button class="toggle-form-btn" onclick="toggleAddForm()">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M12 5V19M5 12H19" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-              </svg>
-              <span id="toggleFormText">添加变量</span>
-            </button>
-          </div>
-          <div class="add-env-var-form" id="addEnvVarForm">
-            <div class="form-row">
-              <div class="form-group">
-                <label class="form-label">键</label>
-                <input 
-                  type="text" 
-                  id="newEnvVarKey" 
-                  class="form-input key-input" 
-                  placeholder="VARIABLE_NAME"
-                  onkeydown="handleFormKeyDown(event)"
-                >
-              </div>
-              <div class="form-group">
-                <label class="form-label">值</label>
-                <input 
-                  type="text" 
-                  id="newEnvVarValue" 
-                  class="form-input" 
-                  placeholder="variable_value"
-                  onkeydown="handleFormKeyDown(event)"
-                >
-              </div>
-            </div>
-            <div class="form-actions" style="display: flex; gap: 0.75rem; justify-content: flex-end;">
-              <button class="inline-editor-btn cancel-edit-btn" onclick="toggleAddForm()">
-                取消
-              </button>
-              <button class="inline-editor-btn save-edit-btn" onclick="addEnvVar()">
-                保存变量
-              </button>
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-  </div>
-
-  <!-- 事件日志模态框 -->
-  <div id="eventsModal" class="modal">
-    <div class="modal-content">
-      <div class="modal-header">
-        <div>
-          <div class="modal-title-section">
-            <h2 class="modal-title">事件日志</h2>
-            <button class="close-btn" onclick="closeEventsModal()">×</button>
-          </div>
-          <div class="modal-service-info" id="eventsModalServiceInfo">
-            <!-- 服务信息将在这里插入 -->
-          </div>
-        </div>
-      </div>
-      <div class="modal-body">
-        <div id="eventsContainer" class="events-container">
-          <!-- 事件日志将在这里加载 -->
-        </div>
-      </div>
-    </div>
-  </div>
-
-  <script>
-    let currentAccountName = ''
-    let currentServiceId = ''
-    let currentAccountId = ''
-    let currentServiceName = ''
-    let allEnvVars = []
-    let allServices = []
-    let isFormVisible = false
-    let editingKey = null
-
-    // 从API获取服务
-    async function fetchServices() {
       try {
-        const response = await fetch('/api/services');
+        const response = await fetch('/api/users');
+        
         if (!response.ok) {
-          throw new Error('获取服务失败');
+          throw new Error(\`获取用户失败: \${response.status} \${response.statusText}\`);
         }
         
-        allServices = await response.json();
-        renderServices(allServices);
-        updateStats();
+        allUsers = await response.json();
+        renderUsers(allUsers);
+      } catch (error) {
+        console.error('获取用户出错:', error);
+        container.innerHTML = \`<div class="empty-state"><h3>加载用户出错</h3><p>\${escapeHtml(error.message)}</p></div>\`;
+      }
+    }
+    
+    // 渲染用户列表
+    function renderUsers(users) {
+      const container = document.getElementById('usersContainer');
+      
+      const rows = users.map(user => {
+        const locked = user.builtin || user.username === currentUser.username;
+        const roleOptions = Object.keys(ROLE_LABELS)
+          .map(role => \`<option value="\${role}" \${role === user.role ? 'selected' : ''}>\${ROLE_LABELS[role]}</option>\`)
+          .join('');
         
-        // 修复：直接使用style.display而不是依赖hidden类
-        document.getElementById('loading').style.display = 'none';
-        document.getElementById('services-container').style.display = 'grid';
+        let statusHtml = '<span class="status-pill">正常</span>';
+        if (user.disabled) {
+          statusHtml = '<span class="status-pill danger">已禁用</span>';
+        } else if (user.status === 'invited') {
+          statusHtml = '<span class="status-pill muted">待接受邀请</span>';
+        }
+        
+        return \`
+          <tr>
+            <td>
+              <strong>\${escapeHtml(user.username)}</strong>
+              \${user.builtin ? '<span class="status-pill muted">内置</span>' : ''}
+            </td>
+            <td>
+              <select onchange="updateUser('\${escapeHtml(user.username)}', { role: this.value })" \${locked ? 'disabled' : ''}>\${roleOptions}</select>
+            </td>
+            <td>
+              \${statusHtml}
+              \${user.totpEnabled ? '<span class="status-pill muted">2FA</span>' : ''}
+            </td>
+            <td>
+              \${describeScope(user)}
+              \${user.role === 'admin' ? '' : \`<button class="env-var-btn edit-btn" style="display: inline-flex; margin-left: 0.5rem;" onclick="openScopeEditor('\${escapeHtml(user.username)}')">编辑</button>\`}
+            </td>
+            <td>\${user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString('zh-CN') : '-'}</td>
+            <td>
+              \${locked ? '' : \`
+                <div class="env-var-actions">
+                  <button class="env-var-btn \${user.disabled ? 'copy-btn' : 'delete-btn'}" onclick="updateUser('\${escapeHtml(user.username)}', { disabled: \${!user.disabled} })">
+                    \${user.disabled ? '启用' : '禁用'}
+                  </button>
+                  \${user.totpEnabled ? \`<button class="env-var-btn cancel-edit-btn" onclick="resetUserTotp('\${escapeHtml(user.username)}')">重置2FA</button>\` : ''}
+                </div>
+              \`}
+            </td>
+          </tr>
+        \`;
+      }).join('');
+      
+      container.innerHTML = \`
+        <table class="data-table">
+          <thead>
+            <tr><th>用户</th><th>角色</th><th>状态</th><th>访问范围</th><th>最近登录</th><th></th></tr>
+          </thead>
+          <tbody>\${rows}</tbody>
+        </table>
+      \`;
+    }
+    
+    // 获取登录失败记录
+    async function fetchLoginLockouts() {
+      const container = document.getElementById('loginLockoutsContainer');
+      
+      try {
+        const response = await fetch('/api/login-lockouts');
+        
+        if (!response.ok) {
+          throw new Error(\`获取登录失败记录失败: \${response.status} \${response.statusText}\`);
+        }
+        
+        renderLoginLockouts(await response.json());
       } catch (error) {
-        console.error('获取服务出错:', error);
-        document.getElementById('loading').style.display = 'none';
-        showNotification('加载服务出错: ' + error.message, 'error');
+        console.error('获取登录失败记录出错:', error);
+        container.innerHTML = \`<p style="color: #ef4444;">\${escapeHtml(error.message)}</p>\`;
       }
     }
     
-    // 在UI中渲染服务
-    function renderServices(services) {
-      const container = document.getElementById('services-container');
-      container.innerHTML = '';
+    // 渲染登录失败记录
+    function renderLoginLockouts(records) {
+      const container = document.getElementById('loginLockoutsContainer');
       
-      if (services.length === 0) {
-        container.innerHTML = \`
-          <div class="empty-state" style="grid-column: 1 / -1;">
-            <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <path d="M20 7L12 3L4 7M20 7L12 11M20 7V17L12 21M12 11L4 7M12 11V21M4 7V17L12 21" stroke="#94a3b8" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-            </svg>
-            <h3>未找到服务</h3>
-            <p>您的Render账户中没有配置任何服务。</p>
-          </div>
-        \`;
+      if (records.length === 0) {
+        container.innerHTML = '<p>最近没有登录失败记录。</p>';
         return;
       }
       
-      services.forEach(service => {
-        const serviceCard = createServiceCard(service);
-        container.appendChild(serviceCard);
+      const rows = records.map(record => \`
+        <tr>
+          <td>
+            <span class="status-pill muted">\${record.type === 'ip' ? 'IP' : '用户名'}</span>
+            <strong>\${escapeHtml(record.subject)}</strong>
+          </td>
+          <td>\${record.failures}</td>
+          <td>\${new Date(record.lastFailureAt).toLocaleString('zh-CN')}</td>
+          <td>
+            \${record.locked
+              ? \`<span class="status-pill danger">锁定至 \${new Date(record.lockedUntil).toLocaleTimeString('zh-CN')}</span>\`
+              : '<span class="status-pill">未锁定</span>'}
+          </td>
+          <td>
+            <button class="env-var-btn copy-btn" data-type="\${escapeHtml(record.type)}" data-subject="\${escapeHtml(record.subject)}">
+              \${record.locked ? '解除锁定' : '清除记录'}
+            </button>
+          </td>
+        </tr>
+      \`).join('');
+      
+      container.innerHTML = \`
+        <table class="data-table">
+          <thead>
+            <tr><th>对象</th><th>失败次数</th><th>最近失败</th><th>状态</th><th></th></tr>
+          </thead>
+          <tbody>\${rows}</tbody>
+        </table>
+      \`;
+      
+      // 用户名来自未登录的请求，不能拼接进内联脚本，通过data属性传递
+      container.querySelectorAll('[data-subject]').forEach(button => {
+        button.addEventListener('click', () => unlockLogin(button.dataset.type, button.dataset.subject));
       });
     }
     
-    // 创建服务卡片元素
-    function createServiceCard(service) {
-      const card = document.createElement('div');
-      card.className = 'service-card';
-      card.setAttribute('data-name', service.name.toLowerCase());
-      card.setAttribute('data-account', service.accountName.toLowerCase());
+    // 解除登录锁定并清除失败计数
+    async function unlockLogin(type, subject) {
+      try {
+        await apiJson(\`/api/login-lockouts/\${encodeURIComponent(type)}/\${encodeURIComponent(subject)}\`, 'DELETE');
+        showNotification('已解除锁定', 'success');
+        await fetchLoginLockouts();
+      } catch (error) {
+        console.error('解除登录锁定出错:', error);
+        showNotification(error.message, 'error');
+      }
+    }
+    
+    // 描述用户的访问范围
+    function describeScope(user) {
+      if (user.role === 'admin' || !user.scope) {
+        return '全部账户';
+      }
       
-      // 根据suspended字段确定状态类
-      let statusClass = 'status-live';
-      let statusText = '运行中';
+      const accountIds = Object.keys(user.scope);
+      if (accountIds.length === 0) {
+        return '无';
+      }
       
-      if (service.suspended === 'suspended') {
-        statusClass = 'status-suspended';
-        statusText = '已暂停';
+      return accountIds.map(accountId => {
+        const account = allAccounts.find(acc => acc.id === accountId);
+        const services = user.scope[accountId];
+        const label = account ? account.name : accountId;
+        return \`\${escapeHtml(label)}\${services === '*' ? '' : \` (\${services.length} 个服务)\`}\`;
+      }).join('<br>');
+    }
+    
+    // 打开访问范围编辑器
+    function openScopeEditor(username) {
+      const user = allUsers.find(u => u.username === username);
+      if (!user) {
+        return;
       }
       
-      // 格式化日期
-      const updatedDate = new Date(service.updatedAt).toLocaleDateString();
+      scopeEditingUser = username;
+      const editor = document.getElementById('scopeEditor');
+      const scope = user.scope || {};
       
-      card.innerHTML = \`
-        <div class="service-card-header">
-          <div class="service-header-top">
-            <h3 class="service-name">\${service.name}</h3>
-            <div class="service-badges">
-              <span class="service-type">\${service.type}</span>
-              <span class="account-badge">
-                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M12 4C14.21 4 16 5.79 16 8C16 10.21 14.21 12 12 12C9.79 12 8 10.21 8 8C8 5.79 9.79 4 12 4M12 14C16.42 14 20 15.79 20 18V20H4V18C4 15.79 7.58 14 12 14Z" fill="currentColor"/>
-                </svg>
-                \${service.accountName}
-              </span>
-            </div>
-          </div>
-          <div class="service-meta">
-            <div class="meta-item">
-              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M12 2C6.48 2 2 6.48 2 12S6.48 22 12 22 22 17.52 22 12 17.52 2 12 2ZM16.2 16.2L11 13V7H12.5V12.2L17 14.9L16.2 16.2Z" fill="currentColor"/>
-              </svg>
-              更新于 \${updatedDate}
+      const accountsHtml = allAccounts.map(account => {
+        const allowed = scope[account.id];
+        const mode = !user.scope ? 'all' : (allowed === '*' ? 'all' : (Array.isArray(allowed) ? 'some' : 'none'));
+        const services = allServices.filter(service => service.accountId === account.id);
+        
+        const servicesHtml = services.map(service => \`
+          <label>
+            <input type="checkbox" data-account="\${escapeHtml(account.id)}" value="\${escapeHtml(service.id)}" \${Array.isArray(allowed) && allowed.includes(service.id) ? 'checked' : ''}>
+            \${escapeHtml(service.name)}
+          </label>
+        \`).join('');
+        
+        return \`
+          <div class="scope-account">
+            <div class="scope-account-header">
+              <strong>\${escapeHtml(account.name)}</strong>
+              <select id="scope-mode-\${escapeHtml(account.id)}" class="form-input" style="padding: 6px 8px;" onchange="toggleScopeServices('\${escapeHtml(account.id)}')">
+                <option value="none" \${mode === 'none' ? 'selected' : ''}>无权限</option>
+                <option value="all" \${mode === 'all' ? 'selected' : ''}>全部服务</option>
+                <option value="some" \${mode === 'some' ? 'selected' : ''}>指定服务</option>
+              </select>
             </div>
-            <div class="meta-item">
-              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M12 2C15.31 2 18 4.66 18 7.95C18 12.41 12 19 12 19S6 12.41 6 7.95C6 4.66 8.69 2 12 2M12 6C10.9 6 10 6.9 10 8C10 9.1 10.9 10 12 10C13.1 10 14 9.1 14 8C14 6.9 13.1 6 12 6Z" fill="currentColor"/>
-              </svg>
-              \${service.region}
+            <div class="scope-services" id="scope-services-\${escapeHtml(account.id)}" style="display: \${mode === 'some' ? 'grid' : 'none'};">
+              \${servicesHtml || '<span style="color: #94a3b8;">此账户下没有服务</span>'}
             </div>
           </div>
+        \`;
+      }).join('');
+      
+      editor.innerHTML = \`
+        <div class="add-env-var-header" style="margin-bottom: 0.75rem;">
+          <h3 class="add-env-var-title">\${escapeHtml(username)} 的访问范围</h3>
+          <label style="font-size: 13px; display: flex; align-items: center; gap: 0.4rem;">
+            <input type="checkbox" id="scopeUnrestricted" \${user.scope ? '' : 'checked'}>
+            不限制（包括以后添加的账户）
+          </label>
         </div>
-        <div class="service-card-body">
-          <div class="service-status-row">
-            <div class="service-status \${statusClass}">
-              <div class="status-indicator"></div>
-              \${statusText}
-            </div>
-            <a href="\${service.url}" target="_blank" class="service-url">
-              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M18 13V19C18 20.1 17.1 21 16 21H5C3.9 21 3 20.1 3 19V8C3 6.9 3.9 6 5 6H11M15 3H21M21 3V9M21 3L10 14" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-              </svg>
-              访问服务
-            </a>
-          </div>
-          <div class="service-info-grid">
-            <div class="info-item">
-              <span class="info-label">套餐</span>
-              <span class="info-value">\${service.plan}</span>
-            </div>
-            <div class="info-item">
-              <span class="info-label">环境</span>
-              <span class="info-value">\${service.env}</span>
-            </div>
-            <div class="info-item">
-              <span class="info-label">自动部署</span>
-              <span class="info-value">\${service.autoDeploy === 'yes' ? '已启用' : '已禁用'}</span>
-            </div>
-            <div class="info-item">
-              <span class="info-label">服务ID</span>
-              <span class="info-value" style="font-size: 12px; font-family: monospace;">\${service.id}</span>
-            </div>
-          </div>
-          <div class="service-actions">
-            <button class="action-btn deploy-btn" onclick="deployService('\${service.accountName}', '\${service.id}', '\${service.name}')" \${service.suspended === 'suspended' ? 'disabled' : ''}>
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M12 2L13.09 8.26L18 7L16.74 12L22 13.09L15.74 14L17 19L12 17.74L7 19L8.26 14L2 13.09L8.26 12L7 7L12 8.26V2Z" fill="white"/>
-              </svg>
-              部署
-            </button>
-            <button class="action-btn env-vars-btn" onclick="openEnvVarsModal('\${service.accountName}', '\${service.id}', '\${service.name}')">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M4 6H2V20C2 21.1 2.9 22 4 22H18V20H4V6ZM20 2H8C6.9 2 6 2.9 6 4V16C6 17.1 6.9 18 8 18H20C21.1 18 22 17.1 22 16V4C22 2.9 21.1 2 20 2ZM19 11H15V15H13V11H9V9H13V5H15V9H19V11Z" fill="currentColor"/>
-              </svg>
-              环境变量
-            </button>
-            <button class="action-btn events-btn" onclick="openEventsModal('\${service.accountName}', '\${service.id}', '\${service.name}')">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M12 8V12L15 15M21 12C21 16.9706 16.9706 21 12 21C7.02944 21 3 16.9706 3 12C3 7.02944 7.02944 3 12 3C16.9706 3 21 7.02944 21 12Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-              </svg>
-              事件日志
-            </button>
-          </div>
+        \${accountsHtml}
+        <div class="form-actions" style="display: flex; gap: 0.75rem; justify-content: flex-end; margin-top: 1rem;">
+          <button class="inline-editor-btn cancel-edit-btn" onclick="closeScopeEditor()">取消</button>
+          <button class="inline-editor-btn save-edit-btn" onclick="saveScope()">保存访问范围</button>
         </div>
       \`;
+      editor.classList.add('show');
+    }
+    
+    // 切换账户下服务列表的显示
+    function toggleScopeServices(accountId) {
+      const mode = document.getElementById(\`scope-mode-\${accountId}\`).value;
+      document.getElementById(\`scope-services-\${accountId}\`).style.display = mode === 'some' ? 'grid' : 'none';
+      document.getElementById('scopeUnrestricted').checked = false;
+    }
+    
+    // 关闭访问范围编辑器
+    function closeScopeEditor() {
+      scopeEditingUser = null;
+      document.getElementById('scopeEditor').classList.remove('show');
+    }
+    
+    // 保存访问范围
+    async function saveScope() {
+      if (!scopeEditingUser) {
+        return;
+      }
       
-      return card;
+      let scope = null;
+      if (!document.getElementById('scopeUnrestricted').checked) {
+        scope = {};
+        allAccounts.forEach(account => {
+          const mode = document.getElementById(\`scope-mode-\${account.id}\`).value;
+          if (mode === 'all') {
+            scope[account.id] = '*';
+          } else if (mode === 'some') {
+            const checked = document.querySelectorAll(\`#scope-services-\${account.id} input:checked\`);
+            scope[account.id] = Array.from(checked).map(input => input.value);
+          }
+        });
+      }
+      
+      const username = scopeEditingUser;
+      closeScopeEditor();
+      await updateUser(username, { scope });
+    }
+    
+    // 重置用户的双因素认证
+    async function resetUserTotp(username) {
+      if (!confirm(\`确定要重置 \${username} 的双因素认证?\\n\\n对方下次登录时只需密码，可重新启用。\`)) {
+        return;
+      }
+      await updateUser(username, { resetTotp: true });
+    }
+    
+    // 邀请用户
+    async function inviteUser() {
+      const username = document.getElementById('inviteUsername').value.trim();
+      const role = document.getElementById('inviteRole').value;
+      
+      if (!username) {
+        showNotification('请输入用户名。', 'error');
+        return;
+      }
+      
+      try {
+        const result = await apiJson('/api/users', 'POST', { username, role });
+        
+        const inviteResult = document.getElementById('inviteResult');
+        inviteResult.innerHTML = \`
+          已邀请 <strong>\${escapeHtml(username)}</strong>，请将以下链接发送给对方（7天内有效）：<br>
+          <code>\${escapeHtml(result.inviteUrl)}</code>
+          <button class="env-var-btn copy-btn" style="display: inline-flex; margin-left: 0.5rem;" onclick="copyValue('邀请链接', '\${escapeHtml(result.inviteUrl)}')">复制</button>
+        \`;
+        inviteResult.classList.add('show');
+        document.getElementById('inviteUsername').value = '';
+        
+        await fetchUsers();
+      } catch (error) {
+        console.error('邀请用户出错:', error);
+        showNotification('邀请用户出错: ' + error.message, 'error');
+      }
+    }
+    
+    // 更新用户角色或状态
+    async function updateUser(username, changes) {
+      try {
+        await apiJson(\`/api/users/\${encodeURIComponent(username)}\`, 'PUT', changes);
+        
+        showNotification(\`用户 '\${username}' 已更新。\`, 'success');
+      } catch (error) {
+        console.error('更新用户出错:', error);
+        showNotification('更新用户出错: ' + error.message, 'error');
+      }
+      
+      await fetchUsers();
+    }
+    
+    // 处理模态框外的点击
+    window.onclick = function(event) {
+      const envVarsModal = document.getElementById('envVarsModal');
+      const eventsModal = document.getElementById('eventsModal');
+      const usersModal = document.getElementById('usersModal');
+      const securityModal = document.getElementById('securityModal');
+      const tokensModal = document.getElementById('tokensModal');
+      const auditModal = document.getElementById('auditModal');
+      const sessionsModal = document.getElementById('sessionsModal');
+      const accountsModal = document.getElementById('accountsModal');
+      const scheduleModal = document.getElementById('scheduleModal');
+      const keepAliveModal = document.getElementById('keepAliveModal');
+      const deployModal = document.getElementById('deployModal');
+      
+      if (event.target === envVarsModal) {
+        closeEnvVarsModal();
+      } else if (event.target === eventsModal) {
+        closeEventsModal();
+      } else if (event.target === usersModal) {
+        closeUsersModal();
+      } else if (event.target === securityModal) {
+        closeSecurityModal();
+      } else if (event.target === tokensModal) {
+        closeTokensModal();
+      } else if (event.target === auditModal) {
+        closeAuditModal();
+      } else if (event.target === sessionsModal) {
+        closeSessionsModal();
+      } else if (event.target === accountsModal) {
+        closeAccountsModal();
+      } else if (event.target === scheduleModal) {
+        closeScheduleModal();
+      } else if (event.target === keepAliveModal) {
+        closeKeepAliveModal();
+      } else if (event.target === deployModal) {
+        closeDeployModal();
+      }
+    }
+    
+    // 处理Escape键
+    document.addEventListener('keydown', function(event) {
+      if (event.key === 'Escape') {
+        const envVarsModal = document.getElementById('envVarsModal');
+        const eventsModal = document.getElementById('eventsModal');
+        const usersModal = document.getElementById('usersModal');
+        const securityModal = document.getElementById('securityModal');
+        const tokensModal = document.getElementById('tokensModal');
+        const auditModal = document.getElementById('auditModal');
+        const sessionsModal = document.getElementById('sessionsModal');
+        const accountsModal = document.getElementById('accountsModal');
+        const scheduleModal = document.getElementById('scheduleModal');
+        const keepAliveModal = document.getElementById('keepAliveModal');
+        const deployModal = document.getElementById('deployModal');
+        
+        if (envVarsModal.classList.contains('show')) {
+          if (editingKey) {
+            cancelInlineEdit(editingKey);
+          } else {
+            closeEnvVarsModal();
+          }
+        } else if (eventsModal.classList.contains('show')) {
+          closeEventsModal();
+        } else if (usersModal.classList.contains('show')) {
+          closeUsersModal();
+        } else if (securityModal.classList.contains('show')) {
+          closeSecurityModal();
+        } else if (tokensModal.classList.contains('show')) {
+          closeTokensModal();
+        } else if (auditModal.classList.contains('show')) {
+          closeAuditModal();
+        } else if (sessionsModal.classList.contains('show')) {
+          closeSessionsModal();
+        } else if (accountsModal.classList.contains('show')) {
+          closeAccountsModal();
+        } else if (scheduleModal.classList.contains('show')) {
+          closeScheduleModal();
+        } else if (keepAliveModal.classList.contains('show')) {
+          closeKeepAliveModal();
+        } else if (deployModal.classList.contains('show')) {
+          closeDeployModal();
+        }
+      }
+    });
+    
+    // 初始化页面
+    document.addEventListener('DOMContentLoaded', fetchServices);
+  </script>
+</body>
+</html>
+  `;
+  
+  return new Response(html, {
+    headers: { 'Content-Type': 'text/html' }
+  });
+}
+
+/**
+ * 渲染服务详情页面
+ * 按标签页展示完整配置，当前标签页记录在URL的hash中（如 #build），可直接链接到某个标签页
+ * @param {Object} session - 当前会话
+ * @param {string} accountId - 账户ID
+ * @param {string} serviceId - 服务ID
+ * @returns {Response} - 服务详情页面HTML响应
+ */
+function renderServiceDetailPage(session, accountId, serviceId) {
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>服务详情 - Render Service Management</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    
+    body {
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+      background: #f0f2f5;
+      color: #1a202c;
+      line-height: 1.6;
+      min-height: 100vh;
+      display: flex;
+      flex-direction: column;
+    }
+    
+    ${SHARED_STYLES}
+    
+    /* 头部样式 */
+    .header-container {
+      max-width: 1100px;
+      margin: 0 auto;
+      padding: 0 2rem;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
+    
+    h1 {
+      font-size: 22px;
+      font-weight: 700;
+    }
+    
+    .header-link {
+      padding: 10px 20px;
+      background: rgba(255, 255, 255, 0.2);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 10px;
+      text-decoration: none;
+      font-weight: 600;
+      font-size: 14px;
+    }
+    
+    .header-link:hover {
+      background: rgba(255, 255, 255, 0.3);
+    }
+    
+    .container {
+      flex: 1;
+      width: 100%;
+      max-width: 1100px;
+      margin: 0 auto;
+      padding: 2rem;
+    }
+    
+    .panel {
+      background: white;
+      border-radius: 16px;
+      padding: 1.5rem;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.04);
+      margin-bottom: 1.5rem;
+    }
+    
+    .service-title {
+      display: flex;
+      align-items: center;
+      gap: 0.75rem;
+      flex-wrap: wrap;
     }
     
-    // 更新统计信息
-    function updateStats() {
-      const totalServices = allServices.length;
-      const liveServices = allServices.filter(s => s.suspended !== 'suspended').length;
-      const accounts = [...new Set(allServices.map(s => s.accountName))];
-      
-      document.getElementById('totalServices').textContent = totalServices;
-      document.getElementById('liveServices').textContent = liveServices;
-      document.getElementById('totalAccounts').textContent = accounts.length;
+    .service-title h2 {
+      font-size: 22px;
     }
     
-    // 根据搜索过滤服务
-    function filterServices() {
-      const searchTerm = document.getElementById('serviceSearch').value.toLowerCase();
-      const serviceCards = document.querySelectorAll('.service-card');
-      
-      serviceCards.forEach(card => {
-        const name = card.getAttribute('data-name');
-        const account = card.getAttribute('data-account');
-        
-        if (name.includes(searchTerm) || account.includes(searchTerm)) {
-          card.style.display = 'block';
-        } else {
-          card.style.display = 'none';
-        }
-      });
+    .badge {
+      padding: 4px 10px;
+      border-radius: 20px;
+      font-size: 11px;
+      font-weight: 600;
+      background: #e6f3ff;
+      color: #2563eb;
     }
     
-    // 部署服务
-    async function deployService(accountName, serviceId, serviceName) {
-      if (!confirm(\`确定要部署 \${serviceName}?\`)) {
-        return;
-      }
-      
-      const accountId = accountName.toLowerCase().replace(/\\s+/g, '-');
-      
-      try {
-        const response = await fetch('/api/deploy', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            accountId: accountId,
-            serviceId: serviceId
-          })
-        });
-        
-        if (!response.ok) {
-          throw new Error('部署服务失败');
-        }
-        
-        const result = await response.json();
-        showNotification(\`已成功触发 \${serviceName} 的部署。部署ID: \${result.id}\`, 'success');
-        
-        setTimeout(fetchServices, 2000);
-      } catch (error) {
-        console.error('部署服务出错:', error);
-        showNotification('部署服务出错: ' + error.message, 'error');
-      }
+    .badge.live {
+      background: #d1fae5;
+      color: #065f46;
     }
     
-    // 打开事件日志模态框
-    async function openEventsModal(accountName, serviceId, serviceName) {
-      const modal = document.getElementById('eventsModal');
-      const container = document.getElementById('eventsContainer');
-      const serviceInfo = document.getElementById('eventsModalServiceInfo');
-      
-      const accountId = accountName.toLowerCase().replace(/\\s+/g, '-');
-      
-      serviceInfo.innerHTML = \`查看 <strong>\${serviceName}</strong> (\${accountName}) 的最近事件\`;
-      
-      container.innerHTML = '<div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载事件日志中...</p></div>';
-      
-      modal.classList.add('show');
-      
-      try {
-        const response = await fetch(\`/api/events/\${accountId}/\${serviceId}\`);
-        
-        if (!response.ok) {
-          throw new Error(\`获取事件日志失败: \${response.status} \${response.statusText}\`);
-        }
-        
-        const events = await response.json();
-        renderEvents(events);
-      } catch (error) {
-        console.error('获取事件日志出错:', error);
-        container.innerHTML = \`
-          <div class="empty-state">
-            <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <path d="M12 2C6.48 2 2 6.48 2 12C2 17.52 6.48 22 12 22C17.52 22 22 17.52 22 12C22 6.48 17.52 2 12 2ZM13 17H11V15H13V17ZM13 13H11V7H13V13Z" stroke="#ef4444" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-            </svg>
-            <h3>加载事件日志出错</h3>
-            <p>\${error.message}</p>
-          </div>
-        \`;
-      }
+    .badge.suspended {
+      background: #fee2e2;
+      color: #991b1b;
     }
     
-    // 渲染事件日志
-    function renderEvents(events) {
-      const container = document.getElementById('eventsContainer');
-      
-      if (events.length === 0) {
-        container.innerHTML = \`
-          <div class="empty-state">
-            <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <path d="M12 8V12L15 15M21 12C21 16.9706 16.9706 21 12 21C7.02944 21 3 16.9706 3 12C3 7.02944 7.02944 3 12 3C16.9706 3 21 7.02944 21 12Z" stroke="#94a3b8" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-            </svg>
-            <h3>没有事件日志</h3>
-            <p>此服务暂无事件记录。</p>
-          </div>
-        \`;
-        return;
-      }
-      
-      container.innerHTML = '';
-      
-      events.forEach(item => {
-        const event = item.event;
-        const eventItem = document.createElement('div');
-        eventItem.className = 'event-item';
-        
-        // 格式化时间
-        const eventTime = new Date(event.timestamp).toLocaleString('zh-CN', {
-          year: 'numeric',
-          month: '2-digit',
-          day: '2-digit',
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit'
-        });
-        
-        // 解析事件类型和状态
-        let eventTypeText = event.type.replace(/_/g, ' ').toUpperCase();
-        let eventTypeBadgeClass = 'event-type-deploy';
-        let statusHtml = '';
-        
-        if (event.type.includes('deploy')) {
-          eventTypeBadgeClass = 'event-type-deploy';
-          
-          if (event.details && event.details.deployStatus) {
-            const status = event.details.deployStatus;
-            let statusClass = 'event-status-started';
-            let statusText = status.toUpperCase();
-            
-            if (status === 'succeeded') {
-              statusClass = 'event-status-succeeded';
-              statusText = '成功';
-            } else if (status === 'failed') {
-              statusClass = 'event-status-failed';
-              statusText = '失败';
-            } else if (status === 'started') {
-              statusClass = 'event-status-started';
-              statusText = '开始';
-            }
-            
-            statusHtml = \`<div class="event-status \${statusClass}">\${statusText}</div>\`;
-          }
-        } else if (event.type.includes('build')) {
-          eventTypeBadgeClass = 'event-type-build';
-        } else if (event.type.includes('error') || event.type.includes('fail')) {
-          eventTypeBadgeClass = 'event-type-error';
-        }
-        
-        // 构建触发信息
-        let triggerInfo = '';
-        if (event.details && event.details.trigger) {
-          const trigger = event.details.trigger;
-          const triggerParts = [];
-          
-          if (trigger.manual) {
-            triggerParts.push('手动部署');
-          }
-          if (trigger.envUpdated) {
-            triggerParts.push('环境变量更新');
-          }
-          if (trigger.rollback) {
-            triggerParts.push('回滚');
-          }
-          if (trigger.user && trigger.user.email) {
-            triggerParts.push(\`用户: \${trigger.user.email}\`);
-          }
-          
-          if (triggerParts.length > 0) {
-            triggerInfo = \`<div style="margin-top: 0.5rem; font-size: 12px; color: #64748b;">触发: \${triggerParts.join(', ')}</div>\`;
-          }
-        }
-        
-        // 构建失败原因
-        let failureReason = '';
-        if (event.details && event.details.reason && event.details.reason.failure) {
-          const failure = event.details.reason.failure;
-          if (failure.nonZeroExit) {
-            failureReason = \`<div style="margin-top: 0.5rem; font-size: 12px; color: #ef4444;">失败原因: 非零退出码 (\${failure.nonZeroExit})</div>\`;
-          } else if (failure.evicted) {
-            failureReason = \`<div style="margin-top: 0.5rem; font-size: 12px; color: #ef4444;">失败原因: 资源不足</div>\`;
-          }
-        }
-        
-        eventItem.innerHTML = \`
-          <div class="event-header">
-            <div class="event-type">
-              <span class="event-type-badge \${eventTypeBadgeClass}">\${eventTypeText}</span>
-              \${statusHtml}
-            </div>
-            <div class="event-time">\${eventTime}</div>
-          </div>
-          <div class="event-details">
-            <div>事件ID: \${event.id}</div>
-            \${event.details && event.details.deployId ? \`<div>部署ID: \${event.details.deployId}</div>\` : ''}
-            \${triggerInfo}
-            \${failureReason}
-          </div>
-        \`;
-        
-        container.appendChild(eventItem);
-      });
+    .service-subtitle {
+      margin-top: 0.5rem;
+      font-size: 13px;
+      color: #64748b;
+    }
+    
+    .service-subtitle a {
+      color: #667eea;
+      text-decoration: none;
+      font-weight: 600;
+    }
+    
+    .tabs {
+      display: flex;
+      gap: 0.25rem;
+      border-bottom: 2px solid #e2e8f0;
+      margin-bottom: 1.5rem;
+      overflow-x: auto;
+    }
+    
+    .tab-btn {
+      padding: 10px 16px;
+      border: none;
+      background: none;
+      font-size: 14px;
+      font-weight: 600;
+      color: #64748b;
+      cursor: pointer;
+      border-bottom: 2px solid transparent;
+      margin-bottom: -2px;
+      white-space: nowrap;
+    }
+    
+    .tab-btn:hover {
+      color: #334155;
+    }
+    
+    .tab-btn.active {
+      color: #667eea;
+      border-bottom-color: #667eea;
+    }
+    
+    .detail-grid {
+      display: grid;
+      grid-template-columns: 220px 1fr;
+      gap: 0.75rem 1.5rem;
+      font-size: 14px;
+    }
+    
+    .detail-label {
+      color: #64748b;
+      font-weight: 500;
+    }
+    
+    .detail-value {
+      color: #1a202c;
+      word-break: break-all;
+    }
+    
+    .detail-value code {
+      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+      font-size: 13px;
+      background: #f1f5f9;
+      padding: 2px 6px;
+      border-radius: 4px;
+    }
+    
+    .data-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+    
+    .data-table th {
+      text-align: left;
+      font-size: 12px;
+      font-weight: 600;
+      color: #94a3b8;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+      padding: 0.5rem 0.75rem;
+      border-bottom: 2px solid #e2e8f0;
+    }
+    
+    .data-table td {
+      padding: 0.75rem;
+      border-bottom: 1px solid #e2e8f0;
+      color: #374151;
+      vertical-align: middle;
+    }
+    
+    .deploy-toolbar {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 1rem;
+      margin-bottom: 1rem;
+    }
+    
+    .deploy-toolbar select {
+      padding: 8px 12px;
+      border: 1px solid #e2e8f0;
+      border-radius: 8px;
+      font-size: 14px;
+      background: white;
+    }
+    
+    .deploy-status {
+      display: inline-block;
+      padding: 2px 8px;
+      border-radius: 12px;
+      font-size: 12px;
+      font-weight: 600;
+      white-space: nowrap;
+      background: #f1f5f9;
+      color: #64748b;
     }
     
-    // 关闭事件日志模态框
-    function closeEventsModal() {
-      const modal = document.getElementById('eventsModal');
-      modal.classList.remove('show');
+    .deploy-status.live {
+      background: #d1fae5;
+      color: #065f46;
     }
     
-    // 打开环境变量模态框
-    async function openEnvVarsModal(accountName, serviceId, serviceName) {
-      currentAccountName = accountName;
-      currentServiceId = serviceId;
-      currentServiceName = serviceName;
-      currentAccountId = accountName.toLowerCase().replace(/\\s+/g, '-');
-      
-      const modal = document.getElementById('envVarsModal');
-      const container = document.getElementById('envVarsContainer');
-      const serviceInfo = document.getElementById('modalServiceInfo');
-      
-      serviceInfo.innerHTML = \`管理 <strong>\${serviceName}</strong> (\${accountName}) 的变量\`;
-      
-      container.innerHTML = '<div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载环境变量中...</p></div>';
-      resetAddForm();
-      
-      modal.classList.add('show');
-      
-      try {
-        const response = await fetch(\`/api/env-vars/\${currentAccountId}/\${currentServiceId}\`);
-        
-        if (!response.ok) {
-          throw new Error(\`获取环境变量失败: \${response.status} \${response.statusText}\`);
-        }
-        
-        const envVars = await response.json();
-        allEnvVars = envVars;
-        renderEnvVars(envVars);
-      } catch (error) {
-        console.error('获取环境变量出错:', error);
-        container.innerHTML = \`
-          <div class="empty-state">
-            <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <path d="M12 2C6.48 2 2 6.48 2 12C2 17.52 6.48 22 12 22C17.52 22 22 17.52 22 12C22 6.48 17.52 2 12 2ZM13 17H11V15H13V17ZM13 13H11V7H13V13Z" stroke="#ef4444" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-            </svg>
-            <h3>加载变量出错</h3>
-            <p>\${error.message}</p>
-          </div>
-        \`;
-      }
+    .deploy-status.in-progress {
+      background: #e0e7ff;
+      color: #3730a3;
     }
     
-    // 使用网格布局渲染环境变量
-    function renderEnvVars(envVars) {
-      const container = document.getElementById('envVarsContainer');
-      
-      if (envVars.length === 0) {
-        container.innerHTML = \`
-          <div class="empty-state">
-            <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <path d="M20 7L12 3L4 7M20 7L12 11M20 7V17L12 21M12 11L4 7M12 11V21M4 7V17L12 21" stroke="#94a3b8" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-            </svg>
-            <h3>没有环境变量</h3>
-            <p>此服务尚未设置任何环境变量。<br>点击"添加变量"创建您的第一个环境变量。</p>
-          </div>
-        \`;
-        return;
-      }
-      
-      container.innerHTML = '';
-      
-      envVars.forEach(item => {
-        const envVar = item.envVar;
-        const envVarItem = document.createElement('div');
-        envVarItem.className = 'env-var-item';
-        envVarItem.id = \`env-var-\${envVar.key}\`;
-        
-        envVarItem.innerHTML = \`
-          <div class="env-var-grid">
-            <div class="env-var-key">\${envVar.key}</div>
-            <div class="env-var-value-wrapper">
-              <div class="env-var-value masked" id="value-\${envVar.key}" onclick="startInlineEdit('\${envVar.key}')" title="点击编辑">••••••••••••••••</div>
-              <button class="visibility-toggle" onclick="toggleValueVisibility('\${envVar.key}')" title="切换可见性">
-                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M1 12S5 4 12 4S23 12 23 12S19 20 12 20S1 12 1 12Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                  <circle cx="12" cy="12" r="3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                </svg>
-              </button>
-              <div class="inline-editor" id="editor-\${envVar.key}">
-                <textarea class="inline-editor-input" id="input-\${envVar.key}" onkeydown="handleEditorKeyDown(event, '\${envVar.key}')">\${envVar.value}</textarea>
-                <div class="inline-editor-actions">
-                  <button class="inline-editor-btn cancel-edit-btn" onclick="cancelInlineEdit('\${envVar.key}')">
-                    取消
-                  </button>
-                  <button class="inline-editor-btn save-edit-btn" onclick="saveInlineEdit('\${envVar.key}')">
-                    保存
-                  </button>
-                </div>
-              </div>
-            </div>
-            <div class="env-var-actions">
-              <button class="env-var-btn copy-btn" onclick="copyValue('\${envVar.key}', '\${escapeHtml(envVar.value)}')" title="复制值">
-                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M20 9H11C9.89543 9 9 9.89543 9 11V20C9 21.1046 9.89543 22 11 22H20C21.1046 22 22 21.1046 22 20V11C22 9.89543 21.1046 9 20 9Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                  <path d="M5 15H4C2.89543 15 2 14.1046 2 13V4C2 2.89543 2.89543 2 4 2H13C14.1046 2 15 2.89543 15 4V5" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                </svg>
-                复制
-              </button>
-              <button class="env-var-btn edit-btn" onclick="startInlineEdit('\${envVar.key}')" title="编辑变量">
-                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M11 4H4C2.89543 4 2 4.89543 2 6V20C2 21.1046 2.89543 22 4 22H18C19.1046 22 20 21.1046 20 20V13" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                  <path d="M18.5 2.50023C18.8978 2.1024 19.4374 1.87891 20 1.87891C20.5626 1.87891 21.1022 2.1024 21.5 2.50023C21.8978 2.89805 22.1213 3.43762 22.1213 4.00023C22.1213 4.56284 21.8978 5.1024 21.5 5.50023L12 15.0002L8 16.0002L9 12.0002L18.5 2.50023Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                </svg>
-                编辑
-              </button>
-              <button class="env-var-btn delete-btn" onclick="deleteEnvVar('\${envVar.key}')" title="删除变量">
-                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M3 6H5H21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                  <path d="M8 6V4C8 2.89543 8.89543 2 10 2H14C15.1046 2 16 2.89543 16 4V6M19 6V20C19 21.1046 18.1046 22 17 22H7C5.89543 22 5 21.1046 5 20V6H19Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                </svg>
-                删除
-              </button>
-            </div>
-          </div>
-        \`;
-        
-        container.appendChild(envVarItem);
-      });
+    .deploy-status.failed {
+      background: #fee2e2;
+      color: #991b1b;
     }
     
-    // 切换值的可见性
-    function toggleValueVisibility(key) {
-      const valueElement = document.getElementById(\`value-\${key}\`);
-      const isCurrentlyMasked = valueElement.classList.contains('masked');
-      
-      if (isCurrentlyMasked) {
-        const envVar = allEnvVars.find(item => item.envVar.key === key);
-        if (envVar) {
-          valueElement.textContent = envVar.envVar.value;
-          valueElement.classList.remove('masked');
-        }
-      } else {
-        valueElement.textContent = '••••••••••••••••';
-        valueElement.classList.add('masked');
-      }
+    .commit-sha {
+      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+      font-size: 12px;
+      color: #667eea;
     }
     
-    // 开始内联编辑
-    function startInlineEdit(key) {
-      if (editingKey && editingKey !== key) {
-        cancelInlineEdit(editingKey);
+    .commit-message {
+      max-width: 280px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      color: #64748b;
+      font-size: 12px;
+    }
+    
+    .small-btn {
+      padding: 4px 10px;
+      border: 1px solid #e2e8f0;
+      border-radius: 6px;
+      background: white;
+      color: #475569;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+      white-space: nowrap;
+    }
+    
+    .small-btn:hover {
+      background: #f8fafc;
+    }
+    
+    .small-btn:disabled {
+      opacity: 0.6;
+      cursor: not-allowed;
+    }
+    
+    .deploy-row-rollback td {
+      background: #fffbeb;
+    }
+    
+    .rollback-badge {
+      display: inline-block;
+      margin-left: 0.25rem;
+      padding: 2px 8px;
+      border-radius: 12px;
+      font-size: 12px;
+      font-weight: 600;
+      background: #fef3c7;
+      color: #92400e;
+    }
+    
+    .deploy-actions {
+      display: flex;
+      gap: 0.4rem;
+      justify-content: flex-end;
+    }
+    
+    .deploy-events td {
+      background: #f8fafc;
+    }
+    
+    .deploy-event {
+      display: flex;
+      gap: 1rem;
+      padding: 0.25rem 0;
+      font-size: 12px;
+    }
+    
+    .deploy-event-time {
+      color: #94a3b8;
+      white-space: nowrap;
+    }
+    
+    .empty-state {
+      text-align: center;
+      padding: 3rem 2rem;
+      color: #94a3b8;
+    }
+    
+    @media (max-width: 768px) {
+      .container {
+        padding: 1rem;
       }
       
-      editingKey = key;
-      const item = document.getElementById(\`env-var-\${key}\`);
-      const valueWrapper = item.querySelector('.env-var-value-wrapper');
-      const valueDiv = document.getElementById(\`value-\${key}\`);
-      const editor = document.getElementById(\`editor-\${key}\`);
-      const input = document.getElementById(\`input-\${key}\`);
-      const visibilityToggle = valueWrapper.querySelector('.visibility-toggle');
-      
-      item.classList.add('editing');
-      
-      valueDiv.style.display = 'none';
-      visibilityToggle.style.display = 'none';
-      editor.classList.add('active');
-      
-      input.focus();
-      input.select();
+      .detail-grid {
+        grid-template-columns: 1fr;
+        gap: 0.25rem;
+      }
       
-      autoResizeTextarea(input);
+      .detail-label {
+        margin-top: 0.5rem;
+      }
+    }
+  </style>
+</head>
+<body>
+  <header class="header">
+    <div class="header-container">
+      <h1>Render Service Manager</h1>
+      <a href="/" class="header-link">返回仪表盘</a>
+    </div>
+  </header>
+  
+  <div class="container">
+    <div id="serviceHeader" class="panel">
+      <div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载服务详情中...</p></div>
+    </div>
+    <div id="serviceBody" class="panel" style="display: none;">
+      <div id="tabs" class="tabs"></div>
+      <div id="tabContent"></div>
+    </div>
+  </div>
+  
+  <script>
+    const accountId = ${serializeForScript(accountId)};
+    const serviceId = ${serializeForScript(serviceId)};
+    const csrfToken = ${serializeForScript(session.csrfToken)};
+    const canDeploy = ${serializeForScript(hasPermission(session, 'deploy'))};
+    
+    ${SHARED_CLIENT_SCRIPT}
+    
+    const DEPLOY_STATUS_LABELS = {
+      'created': '已创建',
+      'queued': '排队中',
+      'build_in_progress': '构建中',
+      'update_in_progress': '更新中',
+      'pre_deploy_in_progress': '执行部署前命令',
+      'live': '当前运行',
+      'deactivated': '已停用',
+      'build_failed': '构建失败',
+      'update_failed': '更新失败',
+      'pre_deploy_failed': '部署前命令失败',
+      'canceled': '已取消'
+    };
+    
+    // 状态筛选项，值为传给 /api/deploys 的status参数
+    const DEPLOY_STATUS_FILTERS = [
+      { value: '', label: '全部状态' },
+      { value: 'created,queued,build_in_progress,update_in_progress,pre_deploy_in_progress', label: '进行中' },
+      { value: 'live', label: '当前运行' },
+      { value: 'deactivated', label: '已停用' },
+      { value: 'build_failed,update_failed,pre_deploy_failed', label: '失败' },
+      { value: 'canceled', label: '已取消' }
+    ];
+    
+    const DEPLOY_TRIGGER_LABELS = {
+      'api': 'API',
+      'blueprint_sync': 'Blueprint 同步',
+      'deploy_hook': 'Deploy Hook',
+      'deployed_by_render': 'Render',
+      'manual': '手动',
+      'new_commit': '新提交',
+      'rollback': '回滚',
+      'service_resumed': '服务恢复',
+      'service_updated': '服务配置更新',
+      'other': '其他'
+    };
+    
+    const DEPLOYS_PAGE_SIZE = ${DEPLOYS_PAGE_SIZE};
+    
+    const TABS = [
+      { id: 'overview', label: '概览', render: renderOverview },
+      { id: 'deploys', label: '部署记录', render: renderDeploys, load: initDeploys },
+      { id: 'build', label: '构建与部署', render: renderBuild },
+      { id: 'runtime', label: '运行时与实例', render: renderRuntime },
+      { id: 'disk', label: '磁盘', render: renderDisk },
+      { id: 'notifications', label: '通知', render: renderNotifications },
+      { id: 'domains', label: '自定义域名', render: renderDomains }
+    ];
+    
+    let detail = null;
+    let deploysStatus = '';
+    let deploysCursor = null;
+    
+    // 一组名称和值，值为空的项显示为"-"；code为true时以等宽字体显示
+    function detailGrid(items) {
+      return \`
+        <div class="detail-grid">
+          \${items.map(([label, value, code]) => \`
+            <div class="detail-label">\${label}</div>
+            <div class="detail-value">\${value === undefined || value === null || value === '' ? '-' : (code ? \`<code>\${escapeHtml(value)}</code>\` : escapeHtml(value))}</div>
+          \`).join('')}
+        </div>
+      \`;
     }
     
-    // 取消内联编辑
-    function cancelInlineEdit(key) {
-      editingKey = null;
-      const item = document.getElementById(\`env-var-\${key}\`);
-      const valueWrapper = item.querySelector('.env-var-value-wrapper');
-      const valueDiv = document.getElementById(\`value-\${key}\`);
-      const editor = document.getElementById(\`editor-\${key}\`);
-      const input = document.getElementById(\`input-\${key}\`);
-      const visibilityToggle = valueWrapper.querySelector('.visibility-toggle');
-      
-      item.classList.remove('editing');
-      
-      const originalValue = allEnvVars.find(item => item.envVar.key === key)?.envVar.value || '';
-      input.value = originalValue;
-      
-      valueDiv.style.display = 'block';
-      visibilityToggle.style.display = 'flex';
-      editor.classList.remove('active');
-      
-      // 恢复遮罩状态
-      if (valueDiv.classList.contains('masked')) {
-        valueDiv.textContent = '••••••••••••••••';
+    function formatTime(value) {
+      return value ? new Date(value).toLocaleString('zh-CN') : null;
+    }
+    
+    // 获取服务详情并渲染页面
+    async function fetchDetail() {
+      try {
+        detail = await apiJson(\`/api/services/\${encodeURIComponent(accountId)}/\${serviceId}\`);
+        renderHeader();
+        renderTabs();
+      } catch (error) {
+        console.error('获取服务详情出错:', error);
+        document.getElementById('serviceHeader').innerHTML = \`<div class="empty-state"><h3>加载服务详情出错</h3><p>\${escapeHtml(error.message)}</p></div>\`;
       }
     }
     
-    // 保存内联编辑
-    async function saveInlineEdit(key) {
-      const input = document.getElementById(\`input-\${key}\`);
-      const newValue = input.value.trim();
+    function renderHeader() {
+      const service = detail.service;
+      const suspended = service.suspended === 'suspended';
+      document.title = \`\${service.name} - Render Service Management\`;
       
-      if (newValue === '') {
-        showNotification('值不能为空。', 'error');
-        return;
-      }
+      document.getElementById('serviceHeader').innerHTML = \`
+        <div class="service-title">
+          <h2>\${escapeHtml(service.name)}</h2>
+          <span class="badge">\${SERVICE_TYPE_LABELS[service.type] || escapeHtml(service.type)}</span>
+          <span class="badge \${suspended ? 'suspended' : 'live'}">\${suspended ? '已暂停' : '运行中'}</span>
+        </div>
+        <div class="service-subtitle">
+          \${escapeHtml(detail.accountName)} · <code>\${escapeHtml(service.id)}</code>
+          \${service.dashboardUrl ? \` · <a href="\${escapeHtml(service.dashboardUrl)}" target="_blank" rel="noopener noreferrer">在 Render 中打开</a>\` : ''}
+        </div>
+      \`;
+    }
+    
+    function renderTabs() {
+      const current = TABS.find(tab => tab.id === location.hash.slice(1)) || TABS[0];
       
-      const originalValue = allEnvVars.find(item => item.envVar.key === key)?.envVar.value || '';
-      if (newValue === originalValue) {
-        cancelInlineEdit(key);
-        return;
+      document.getElementById('tabs').innerHTML = TABS.map(tab => \`
+        <button class="tab-btn \${tab.id === current.id ? 'active' : ''}" onclick="location.hash = '\${tab.id}'">\${tab.label}</button>
+      \`).join('');
+      document.getElementById('tabContent').innerHTML = current.render();
+      document.getElementById('serviceBody').style.display = 'block';
+      if (current.load) {
+        current.load();
       }
+    }
+    
+    function renderOverview() {
+      const service = detail.service;
+      const details = service.serviceDetails || {};
       
-      try {
-        const response = await fetch(\`/api/env-vars/\${currentAccountId}/\${currentServiceId}/\${encodeURIComponent(key)}\`, {
-          method: 'PUT',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            value: newValue
-          })
-        });
-        
-        if (!response.ok) {
-          throw new Error('更新环境变量失败');
+      return detailGrid([
+        ['名称', service.name],
+        ['类型', SERVICE_TYPE_LABELS[service.type] || service.type],
+        ['服务ID', service.id, true],
+        ['Slug', service.slug, true],
+        ['地址', details.url],
+        ['区域', details.region],
+        ['套餐', details.plan],
+        ['自动部署', service.autoDeploy === 'yes' ? \`已启用 (\${service.autoDeployTrigger || 'commit'})\` : '已禁用'],
+        ['创建时间', formatTime(service.createdAt)],
+        ['更新时间', formatTime(service.updatedAt)]
+      ]);
+    }
+    
+    function renderDeploys() {
+      return \`
+        <div class="deploy-toolbar">
+          <select id="deployStatusFilter" onchange="deploysStatus = this.value; loadDeploys()">
+            \${DEPLOY_STATUS_FILTERS.map(filter => \`<option value="\${filter.value}" \${filter.value === deploysStatus ? 'selected' : ''}>\${filter.label}</option>\`).join('')}
+          </select>
+          <button class="small-btn" onclick="loadDeploys({ refresh: true })">刷新</button>
+        </div>
+        <div id="deploysContainer"></div>
+      \`;
+    }
+    
+    // 部署记录标签页：在列表容器上绑定一次按钮事件（部署ID等来自Render，通过data属性传递），再加载第一页
+    function initDeploys() {
+      document.getElementById('deploysContainer').addEventListener('click', event => {
+        const button = event.target.closest('[data-deploy-action]');
+        if (!button) {
+          return;
         }
         
-        const envVarIndex = allEnvVars.findIndex(item => item.envVar.key === key);
-        if (envVarIndex !== -1) {
-          allEnvVars[envVarIndex].envVar.value = newValue;
+        const { deployId, version, createdAt, finishedAt } = button.closest('tr').dataset;
+        if (button.dataset.deployAction === 'rollback') {
+          rollbackToDeploy(deployId, version);
+        } else if (button.dataset.deployAction === 'cancel') {
+          cancelDeploy(deployId, version);
+        } else {
+          toggleDeployEvents(deployId, createdAt, finishedAt);
         }
-        
-        const valueDiv = document.getElementById(\`value-\${key}\`);
-        valueDiv.textContent = '••••••••••••••••';
-        valueDiv.classList.add('masked');
-        
-        cancelInlineEdit(key);
-        
-        showNotification(\`环境变量 '\${key}' 更新成功。\`, 'success');
-        
-      } catch (error) {
-        console.error('更新环境变量出错:', error);
-        showNotification('更新环境变量出错: ' + error.message, 'error');
-      }
+      });
+      loadDeploys();
     }
     
-    // 删除环境变量
-    async function deleteEnvVar(key) {
-      if (!confirm(\`确定要删除环境变量 '\${key}'?\\n\\n此操作无法撤销。\`)) {
-        return;
+    // 加载部署记录，append为true时加载下一页并追加到列表之后
+    async function loadDeploys({ append = false, refresh = false } = {}) {
+      const container = document.getElementById('deploysContainer');
+      if (!append) {
+        deploysCursor = null;
+        container.innerHTML = '<div class="loading" style="padding: 2rem;"><div class="loading-spinner"></div><p>加载部署记录中...</p></div>';
       }
       
-      try {
-        const response = await fetch(\`/api/env-vars/\${currentAccountId}/\${currentServiceId}/\${encodeURIComponent(key)}\`, {
-          method: 'DELETE'
-        });
-        
-        if (!response.ok) {
-          throw new Error('删除环境变量失败');
-        }
-        
-        allEnvVars = allEnvVars.filter(item => item.envVar.key !== key);
-        renderEnvVars(allEnvVars);
-        
-        showNotification(\`环境变量 '\${key}' 删除成功。\`, 'success');
-        
-      } catch (error) {
-        console.error('删除环境变量出错:', error);
-        showNotification('删除环境变量出错: ' + error.message, 'error');
+      const params = new URLSearchParams({ limit: DEPLOYS_PAGE_SIZE });
+      if (deploysStatus) {
+        params.set('status', deploysStatus);
       }
-    }
-    
-    // 复制值到剪贴板
-    async function copyValue(key, value) {
+      if (deploysCursor) {
+        params.set('cursor', deploysCursor);
+      }
+      if (refresh) {
+        params.set('refresh', '1');
+      }
+      
       try {
-        await navigator.clipboard.writeText(value);
-        showNotification(\`已复制 \${key} 的值到剪贴板\`, 'success');
-      } catch (err) {
-        console.error('复制失败: ', err);
-        const textArea = document.createElement('textarea');
-        textArea.value = value;
-        document.body.appendChild(textArea);
-        textArea.select();
-        document.execCommand('copy');
-        document.body.removeChild(textArea);
-        showNotification(\`已复制 \${key} 的值到剪贴板\`, 'success');
+        const deploys = await apiJson(\`/api/deploys/\${encodeURIComponent(accountId)}/\${serviceId}?\${params}\`);
+        deploysCursor = deploys.length === DEPLOYS_PAGE_SIZE ? deploys[deploys.length - 1].cursor : null;
+        renderDeployRows(deploys.map(item => item.deploy), append);
+      } catch (error) {
+        console.error('获取部署记录出错:', error);
+        if (append) {
+          showNotification(error.message, 'error');
+          document.getElementById('loadMoreDeploysBtn').disabled = false;
+        } else {
+          container.innerHTML = \`<div class="empty-state"><h3>加载部署记录出错</h3><p>\${escapeHtml(error.message)}</p></div>\`;
+        }
       }
     }
     
-    // 显示通知
-    function showNotification(message, type = 'success') {
-      const existingNotifications = document.querySelectorAll('.notification');
-      existingNotifications.forEach(notification => notification.remove());
+    function renderDeployRows(deploys, append) {
+      const container = document.getElementById('deploysContainer');
       
-      const notification = document.createElement('div');
-      notification.className = \`notification \${type}\`;
+      if (!append) {
+        if (deploys.length === 0) {
+          container.innerHTML = '<div class="empty-state"><p>没有符合条件的部署记录。</p></div>';
+          return;
+        }
+        container.innerHTML = \`
+          <table class="data-table">
+            <thead>
+              <tr><th>状态</th><th>提交</th><th>镜像</th><th>触发方式</th><th>开始时间</th><th>完成时间</th><th>耗时</th><th></th></tr>
+            </thead>
+            <tbody id="deploysBody"></tbody>
+          </table>
+          <div id="loadMoreDeploysRow" style="display: flex; justify-content: center; padding: 1rem 0;"></div>
+        \`;
+      }
       
-      const icon = type === 'success' 
-        ? '<svg class="notification-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M9 16.17L4.83 12L3.41 13.41L9 19L21 7L19.59 5.59L9 16.17Z" fill="#10b981"/></svg>'
-        : '<svg class="notification-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M12 2C6.48 2 2 6.48 2 12C2 17.52 6.48 22 12 22C17.52 22 22 17.52 22 12C22 6.48 17.52 2 12 2ZM13 17H11V15H13V17ZM13 13H11V7H13V13Z" fill="#ef4444"/></svg>';
+      document.getElementById('deploysBody').insertAdjacentHTML('beforeend', deploys.map(renderDeployRow).join(''));
+      document.getElementById('loadMoreDeploysRow').innerHTML = deploysCursor
+        ? '<button id="loadMoreDeploysBtn" class="small-btn" onclick="this.disabled = true; loadDeploys({ append: true })">加载更多</button>'
+        : '';
+    }
+    
+    function renderDeployRow(deploy) {
+      const status = deploy.status;
+      let statusClass = '';
+      if (status === 'live') {
+        statusClass = 'live';
+      } else if (status.endsWith('_failed')) {
+        statusClass = 'failed';
+      } else if (status === 'created' || status === 'queued' || status.endsWith('_in_progress')) {
+        statusClass = 'in-progress';
+      }
       
-      notification.innerHTML = \`
-        <div class="notification-content">
-          \${icon}
-          <div class="notification-text">\${message}</div>
-        </div>
-      \`;
+      const commit = deploy.commit;
+      const image = deploy.image;
+      const startedAt = deploy.startedAt || deploy.createdAt;
+      const rollback = deploy.trigger === 'rollback';
       
-      document.body.appendChild(notification);
+      // 只能回滚到曾经上线、已被之后的部署替换的版本
+      const version = commit ? commit.id.slice(0, 7) : (image ? image.ref || image.sha : deploy.id);
+      const rollbackButton = canDeploy && status === 'deactivated'
+        ? '<button class="small-btn" data-deploy-action="rollback">回滚到此版本</button>'
+        : '';
+      const cancelButton = canDeploy && statusClass === 'in-progress'
+        ? '<button class="small-btn" data-deploy-action="cancel">取消部署</button>'
+        : '';
       
-      setTimeout(() => {
-        notification.style.animation = 'slideInRight 0.3s ease-out reverse';
-        setTimeout(() => notification.remove(), 300);
-      }, 4000);
+      return \`
+        <tr id="deploy-\${escapeHtml(deploy.id)}" class="\${rollback ? 'deploy-row-rollback' : ''}" data-deploy-id="\${escapeHtml(deploy.id)}" data-version="\${escapeHtml(version)}" data-created-at="\${escapeHtml(deploy.createdAt)}" data-finished-at="\${escapeHtml(deploy.finishedAt || '')}">
+          <td>
+            <span class="deploy-status \${statusClass}">\${DEPLOY_STATUS_LABELS[status] || escapeHtml(status)}</span>
+            \${rollback ? '<span class="rollback-badge" title="由回滚创建的部署">回滚</span>' : ''}
+          </td>
+          <td>
+            \${commit ? \`
+              <div class="commit-sha" title="\${escapeHtml(commit.id)}">\${escapeHtml(commit.id.slice(0, 7))}</div>
+              <div class="commit-message" title="\${escapeHtml(commit.message || '')}">\${escapeHtml((commit.message || '').split('\\n')[0])}</div>
+            \` : '-'}
+          </td>
+          <td>\${image ? \`<span class="commit-sha" title="\${escapeHtml(image.sha || '')}">\${escapeHtml(image.ref || image.sha)}</span>\` : '-'}</td>
+          <td>\${escapeHtml(DEPLOY_TRIGGER_LABELS[deploy.trigger] || deploy.trigger || '-')}</td>
+          <td>\${formatTime(startedAt) || '-'}</td>
+          <td>\${formatTime(deploy.finishedAt) || '-'}</td>
+          <td>\${deploy.finishedAt ? formatDuration(startedAt, deploy.finishedAt) || '-' : '-'}</td>
+          <td>
+            <div class="deploy-actions">
+              \${rollbackButton}
+              \${cancelButton}
+              <button class="small-btn" data-deploy-action="events">事件</button>
+            </div>
+          </td>
+        </tr>
+      \`;
     }
     
-    // 切换添加表单可见性
-    function toggleAddForm() {
-      const form = document.getElementById('addEnvVarForm');
-      const toggleText = document.getElementById('toggleFormText');
-      
-      isFormVisible = !isFormVisible;
-      
-      if (isFormVisible) {
-        form.classList.add('show');
-        toggleText.textContent = '取消';
-        setTimeout(() => {
-          document.getElementById('newEnvVarKey').focus();
-        }, 300);
-      } else {
-        form.classList.remove('show');
-        toggleText.textContent = '添加变量';
-        resetAddForm();
+    // 回滚到之前的某次部署
+    async function rollbackToDeploy(deployId, version) {
+      if (!confirm(\`确定要回滚到 \${version}?\\n\\nRender 会以该版本创建一次新的部署，并关闭此服务的自动部署。\`)) {
+        return;
       }
-    }
-    
-    // 重置添加表单
-    function resetAddForm() {
-      document.getElementById('newEnvVarKey').value = '';
-      document.getElementById('newEnvVarValue').value = '';
-      isFormVisible = false;
-      const form = document.getElementById('addEnvVarForm');
-      const toggleText = document.getElementById('toggleFormText');
-      form.classList.remove('show');
-      toggleText.textContent = '添加变量';
-    }
-    
-    // 处理表单中的键盘快捷键
-    function handleFormKeyDown(event) {
-      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
-        addEnvVar();
-      } else if (event.key === 'Escape') {
-        toggleAddForm();
+      
+      try {
+        const result = await apiJson(\`/api/deploys/\${encodeURIComponent(accountId)}/\${serviceId}/\${deployId}/rollback\`, 'POST', {});
+        showNotification(\`已开始回滚到 \${version}。部署ID: \${result.id}\`);
+        loadDeploys({ refresh: true });
+      } catch (error) {
+        console.error('回滚部署出错:', error);
+        showNotification('回滚部署出错: ' + error.message, 'error');
       }
     }
     
-    // 处理编辑器中的键盘快捷键
-    function handleEditorKeyDown(event, key) {
-      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
-        event.preventDefault();
-        saveInlineEdit(key);
-      } else if (event.key === 'Escape') {
-        event.preventDefault();
-        cancelInlineEdit(key);
+    // 取消正在进行的部署
+    async function cancelDeploy(deployId, version) {
+      if (!confirm(\`确定要取消 \${version} 的部署?\\n\\n当前运行的版本不受影响。\`)) {
+        return;
       }
       
-      setTimeout(() => autoResizeTextarea(event.target), 0);
-    }
-    
-    // 自动调整文本区域大小
-    function autoResizeTextarea(textarea) {
-      textarea.style.height = 'auto';
-      textarea.style.height = Math.max(38, textarea.scrollHeight) + 'px';
+      try {
+        await apiJson(\`/api/deploys/\${encodeURIComponent(accountId)}/\${serviceId}/\${deployId}/cancel\`, 'POST', {});
+        showNotification(\`已取消 \${version} 的部署。\`);
+        loadDeploys({ refresh: true });
+      } catch (error) {
+        console.error('取消部署出错:', error);
+        showNotification('取消部署出错: ' + error.message, 'error');
+      }
     }
     
-    // 添加环境变量
-    async function addEnvVar() {
-      const key = document.getElementById('newEnvVarKey').value.trim();
-      const value = document.getElementById('newEnvVarValue').value.trim();
-      
-      if (!key || !value) {
-        showNotification('请输入环境变量的键和值。', 'error');
+    // 在部署记录下方展开或收起该部署期间的事件
+    async function toggleDeployEvents(deployId, createdAt, finishedAt) {
+      const existing = document.getElementById(\`deploy-events-\${deployId}\`);
+      if (existing) {
+        existing.remove();
         return;
       }
       
-      const existingVar = allEnvVars.find(item => item.envVar.key === key);
-      if (existingVar) {
-        if (!confirm(\`环境变量 '\${key}' 已存在。是否要更新它？\`)) {
-          return;
-        }
+      const row = document.createElement('tr');
+      row.id = \`deploy-events-\${deployId}\`;
+      row.className = 'deploy-events';
+      row.innerHTML = '<td colspan="8">加载事件中...</td>';
+      document.getElementById(\`deploy-\${deployId}\`).after(row);
+      
+      const params = new URLSearchParams({ limit: 100, startTime: createdAt });
+      if (finishedAt) {
+        // 部署结束的事件可能比finishedAt稍晚写入
+        params.set('endTime', new Date(Date.parse(finishedAt) + 60 * 1000).toISOString());
       }
       
       try {
-        const response = await fetch(\`/api/env-vars/\${currentAccountId}/\${currentServiceId}/\${encodeURIComponent(key)}\`, {
-          method: 'PUT',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            value: value
-          })
-        });
-        
-        if (!response.ok) {
-          throw new Error('添加环境变量失败');
-        }
-        
-        const envVarsResponse = await fetch(\`/api/env-vars/\${currentAccountId}/\${currentServiceId}\`);
-        const envVars = await envVarsResponse.json();
-        allEnvVars = envVars;
-        renderEnvVars(envVars);
-        
-        resetAddForm();
-        
-        showNotification(\`环境变量 '\${key}' \${existingVar ? '更新' : '添加'}成功。\`, 'success');
+        const events = await apiJson(\`/api/events/\${encodeURIComponent(accountId)}/\${serviceId}?\${params}\`);
+        // 同一时段内其他部署的事件不显示
+        const deployEvents = events
+          .map(item => item.event)
+          .filter(event => !event.details || !event.details.deployId || event.details.deployId === deployId)
+          .reverse();
         
+        row.innerHTML = \`<td colspan="8">\${deployEvents.length === 0 ? '这次部署期间没有事件。' : deployEvents.map(event => \`
+          <div class="deploy-event">
+            <span class="deploy-event-time">\${formatTime(event.timestamp)}</span>
+            <span>\${escapeHtml(event.type.replace(/_/g, ' '))}\${event.details && (event.details.deployStatus || event.details.buildStatus) ? \` · \${escapeHtml(event.details.deployStatus || event.details.buildStatus)}\` : ''}</span>
+          </div>
+        \`).join('')}</td>\`;
       } catch (error) {
-        console.error('添加环境变量出错:', error);
-        showNotification('添加环境变量出错: ' + error.message, 'error');
+        console.error('获取事件日志出错:', error);
+        row.innerHTML = \`<td colspan="8">\${escapeHtml(error.message)}</td>\`;
       }
     }
     
-    // 关闭环境变量模态框
-    function closeEnvVarsModal() {
-      if (editingKey) {
-        cancelInlineEdit(editingKey);
-      }
+    function renderBuild() {
+      const service = detail.service;
+      const details = service.serviceDetails || {};
+      const envDetails = details.envSpecificDetails || {};
+      const buildFilter = service.buildFilter || {};
       
-      const modal = document.getElementById('envVarsModal');
-      modal.classList.remove('show');
+      return detailGrid([
+        ['仓库', service.repo],
+        ['分支', service.branch],
+        ['根目录', service.rootDir, true],
+        ['镜像', service.imagePath, true],
+        ['构建命令', envDetails.buildCommand || details.buildCommand, true],
+        ['启动命令', envDetails.startCommand, true],
+        ['部署前命令', details.preDeployCommand || envDetails.preDeployCommand, true],
+        ['Dockerfile', envDetails.dockerfilePath, true],
+        ['Docker 上下文', envDetails.dockerContext, true],
+        ['Docker 命令', envDetails.dockerCommand, true],
+        ['发布目录', details.publishPath, true],
+        ['定时计划 (UTC)', details.schedule, true],
+        ['构建过滤路径', (buildFilter.paths || []).join(', '), true],
+        ['忽略路径', (buildFilter.ignoredPaths || []).join(', '), true]
+      ]);
+    }
+    
+    function renderRuntime() {
+      const details = detail.service.serviceDetails || {};
+      const autoscaling = details.autoscaling;
       
-      resetAddForm();
+      return detailGrid([
+        ['运行时', details.runtime || details.env],
+        ['套餐', details.plan],
+        ['实例数', details.numInstances],
+        ['自动扩缩容', autoscaling && autoscaling.enabled ? \`\${autoscaling.min}–\${autoscaling.max} 个实例\` : '未启用'],
+        ['健康检查路径', details.healthCheckPath, true],
+        ['最长关闭等待 (秒)', details.maxShutdownDelaySeconds],
+        ['开放端口', (details.openPorts || []).map(port => \`\${port.port}/\${port.protocol}\`).join(', ')],
+        ['SSH 地址', details.sshAddress, true],
+        ['维护模式', details.maintenanceMode ? (details.maintenanceMode.enabled ? '已启用' : '未启用') : null]
+      ]);
+    }
+    
+    function renderDisk() {
+      const disk = (detail.service.serviceDetails || {}).disk;
+      if (!disk) {
+        return '<div class="empty-state"><p>此服务没有挂载磁盘。</p></div>';
+      }
       
-      currentAccountName = '';
-      currentServiceId = '';
-      currentAccountId = '';
-      currentServiceName = '';
-      allEnvVars = [];
+      return detailGrid([
+        ['名称', disk.name],
+        ['容量', disk.sizeGB ? \`\${disk.sizeGB} GB\` : null],
+        ['挂载路径', disk.mountPath, true],
+        ['磁盘ID', disk.id, true]
+      ]);
     }
     
-    // 转义HTML的工具函数
-    function escapeHtml(text) {
-      const map = {
-        '&': '&amp;',
-        '<': '&lt;',
-        '>': '&gt;',
-        '"': '&quot;',
-        "'": '&#039;'
-      };
-      return text.replace(/[&<>"']/g, function(m) { return map[m]; });
+    function renderNotifications() {
+      const labels = { 'default': '使用工作区默认设置', 'none': '不通知', 'failure': '仅失败时', 'all': '全部' };
+      const notifications = detail.notifications;
+      
+      return detailGrid([
+        ['部署失败通知', labels[detail.service.notifyOnFail] || detail.service.notifyOnFail],
+        ['通知范围', notifications ? (labels[notifications.notificationsToSend] || notifications.notificationsToSend) : '无法获取'],
+        ['预览环境通知', notifications ? (labels[notifications.previewNotificationsEnabled] || notifications.previewNotificationsEnabled) : '无法获取']
+      ]);
     }
     
-    // 处理模态框外的点击
-    window.onclick = function(event) {
-      const envVarsModal = document.getElementById('envVarsModal');
-      const eventsModal = document.getElementById('eventsModal');
-      
-      if (event.target === envVarsModal) {
-        closeEnvVarsModal();
-      } else if (event.target === eventsModal) {
-        closeEventsModal();
+    function renderDomains() {
+      const domains = detail.customDomains;
+      if (domains === null) {
+        return '<div class="empty-state"><p>无法获取自定义域名。</p></div>';
+      }
+      if (domains.length === 0) {
+        return '<div class="empty-state"><p>没有自定义域名。</p></div>';
       }
+      
+      const rows = domains.map(domain => \`
+        <tr>
+          <td><strong>\${escapeHtml(domain.name)}</strong></td>
+          <td>\${escapeHtml(domain.domainType || '-')}</td>
+          <td>\${escapeHtml(domain.verificationStatus || '-')}</td>
+          <td>\${domain.redirectForName ? escapeHtml(domain.redirectForName) : '-'}</td>
+          <td>\${formatTime(domain.createdAt) || '-'}</td>
+        </tr>
+      \`).join('');
+      
+      return \`
+        <table class="data-table">
+          <thead>
+            <tr><th>域名</th><th>类型</th><th>验证状态</th><th>重定向自</th><th>添加时间</th></tr>
+          </thead>
+          <tbody>\${rows}</tbody>
+        </table>
+      \`;
     }
     
-    // 处理Escape键
-    document.addEventListener('keydown', function(event) {
-      if (event.key === 'Escape') {
-        const envVarsModal = document.getElementById('envVarsModal');
-        const eventsModal = document.getElementById('eventsModal');
-        
-        if (envVarsModal.classList.contains('show')) {
-          if (editingKey) {
-            cancelInlineEdit(editingKey);
-          } else {
-            closeEnvVarsModal();
-          }
-        } else if (eventsModal.classList.contains('show')) {
-          closeEventsModal();
-        }
+    window.addEventListener('hashchange', () => {
+      if (detail) {
+        renderTabs();
       }
     });
     
-    // 初始化页面
-    document.addEventListener('DOMContentLoaded', fetchServices);
+    document.addEventListener('DOMContentLoaded', fetchDetail);
   </script>
 </body>
 </html>